@@ -27,6 +27,7 @@ local json      = hs.json
 local osa       = hs.osascript.applescript
 local usleep    = hs.timer.usleep
 local keystroke = hs.eventtap.keyStroke
+local openURL   = hs.urlevent.openURL
 
 ----------------------------------------------------------------------
 -- Helpers
@@ -251,6 +252,15 @@ function launchpad_shortcut_deck_minimize(s)
   return "ok"
 end
 
+--- Hide the application (Cmd+H equivalent); windows stay un-minimized.
+function launchpad_shortcut_deck_hide(s)
+  local t = parseTarget(s)
+  local app = resolveApp(t)
+  if not app then return "ok" end -- not running: nothing to hide
+  local ok = pcall(function() app:hide() end)
+  return ok and "ok" or "err"
+end
+
 --- Maximize the primary window. Returns "err" if none can be found.
 function launchpad_shortcut_deck_maximize(s)
   local t = parseTarget(s)
@@ -273,6 +283,59 @@ function launchpad_shortcut_deck_fullscreen(s, val)
   return "err"
 end
 
+--- Tile the primary windows of several apps side by side (equal columns, left → right
+--- in the given order) on the screen of the first app's window. Apps are launched if needed.
+--- Returns "err" if any app has no usable window (the others are still placed).
+function launchpad_shortcut_deck_tile(targets)
+  if type(targets) ~= "table" or #targets == 0 then return "err" end
+  local wins, ok = {}, true
+  for _, s in ipairs(targets) do
+    local t = parseTarget(s)
+    local app = resolveApp(t) or ensureApp(t)
+    local w = app and waitWindow(app) or nil
+    if w then wins[#wins+1] = w else ok = false end
+  end
+  if #wins == 0 then return "err" end
+
+  local frame = (wins[1]:screen() or hs.screen.mainScreen()):frame()
+  local width = frame.w / #wins
+  for i, w in ipairs(wins) do
+    if w:isFullScreen() then w:setFullScreen(false) end
+    w:setFrame({ x = frame.x + (i - 1) * width, y = frame.y, w = width, h = frame.h }, 0)
+  end
+  for i = #wins, 1, -1 do wins[i]:focus() end -- leftmost ends up in front
+  return ok and "ok" or "err"
+end
+
+--- Open a URL with the default handler (browser, mail client, custom scheme...).
+function launchpad_shortcut_deck_openURL(url)
+  if type(url) ~= "string" or #url == 0 then return "err" end
+  return openURL(url) and "ok" or "err"
+end
+
+--- Send a hotkey to the frontmost app. `mods` is an array like { "cmd", "shift" }.
+function launchpad_shortcut_deck_keystroke(mods, key)
+  if type(key) ~= "string" or #key == 0 then return "err" end
+  local ok = pcall(function() keystroke(type(mods) == "table" and mods or {}, key, 0) end)
+  return ok and "ok" or "err"
+end
+
+--- Call a global Lua function by name with JSON-encoded positional arguments.
+--- The function may return "ok"/"err" (or false); errors and missing functions return "err".
+function launchpad_shortcut_deck_call(name, argsJson)
+  local fn = type(name) == "string" and _G[name] or nil
+  if type(fn) ~= "function" then return "err" end
+  local args = {}
+  if type(argsJson) == "string" and #argsJson > 0 then
+    local okDecode, decoded = pcall(json.decode, argsJson)
+    if not okDecode or type(decoded) ~= "table" then return "err" end
+    args = decoded
+  end
+  local ok, res = pcall(fn, table.unpack(args))
+  if not ok or res == false or res == "err" then return "err" end
+  return "ok"
+end
+
 --- Return a JSON array with minimal per-app state for multiple targets.
 --- Shape: [{target, running, focused?, windowCount?, minimizedCount?, visibleCount?, allMinimized?, hasVisibleWindows?}, ...]
 --- Cost: one pass over each app's window list; designed to be fast for periodic polling.
@@ -305,3 +368,13 @@ function launchpad_shortcut_deck_getStatesBulk(targets)
 
   return json.encode(results)
 end
+
+--- Return the frontmost app as JSON {bundleId, name}, or "null" when there is none
+--- (or it has no bundle id). Used by the deck's learn mode.
+function launchpad_shortcut_deck_frontmost()
+  local app = appmod.frontmostApplication()
+  if not app then return "null" end
+  local bid = app:bundleID()
+  if type(bid) ~= "string" or #bid == 0 then return "null" end
+  return json.encode({ bundleId = bid, name = app:name() or bid })
+end
@@ -0,0 +1,293 @@
+/**
+ * "app" action type — the original deck behavior for a macOS application.
+ *
+ * Default gesture mapping (spec)
+ * - Single press → focus app; if not available, launch then focus.
+ * - Double‑tap → minimize all windows of the app.
+ * - Long‑press → close all windows (keep process running).
+ *
+ * Each gesture can be rebound per pad to any verb below
+ * (`"doubleTap": "maximize"`, `"longPress": "quit"`, …). The extra gestures
+ * `tripleTap`, `veryLongPress` and `tapHold` have no default; a typical use is
+ * `"veryLongPress": "quit"` so quitting needs a deliberate ≥ 2 s hold.
+ *
+ * LED feedback is optimistic and painted here (focusing/launching/minimizing/
+ * closing), then reconciled by the state-sync loop, which polls `targets()`.
+ * Progress states go through `ctx.progress`: they last while the Hammerspoon
+ * call is pending and end early once the sync loop sees the state listed
+ * with them (e.g. minimized), instead of after a fixed delay.
+ *
+ * App groups
+ * - `bundleIds: [...]` (instead of `bundleId`) makes the pad stand for an ordered
+ *   list of apps, e.g. "whichever browser is running".
+ * - Every verb acts on the first member that is running; when none is, on the
+ *   first one listed (so press launches it).
+ * - The sync loop polls every member and lights the pad with the strongest
+ *   member state (focused > background > minimized > stopped).
+ */
+
+import {LedState} from '../../launchpad/states.js';
+import {logger} from '../../utils/logger.js';
+import {TIMINGS} from '../../config/timings.js';
+
+/** Normalize the target for Hammerspoon (`bundle:…`). */
+export const asBundleTarget = (bundleId) =>
+    (typeof bundleId === 'string' && bundleId.startsWith('bundle:')) ? bundleId : `bundle:${bundleId}`;
+
+/** Tiny sleep helper. */
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const DUR = TIMINGS.controller;
+
+/** Most apps a group pad may list. */
+const MAX_GROUP = 8;
+
+/** Synced states that mean a verb got where it was going. */
+const RUNNING = Object.freeze([LedState.RUNNING_BACKGROUND, LedState.RUNNING_FOCUSED]);
+const FOCUSED = Object.freeze([LedState.RUNNING_FOCUSED]);
+const MINIMIZED = Object.freeze([LedState.MINIMIZED]);
+const STOPPED = Object.freeze([LedState.ASSIGNED_STOPPED]);
+
+/** Bundle IDs of a normalized pad, in priority order. */
+const bundleIdsOf = (entry) => entry.bundleIds ?? [entry.bundleId];
+
+/**
+ * Pick the member of an app group a verb should act on:
+ * the first running one, else the first listed.
+ *
+ * @param {{bundleId:string, bundleIds?:ReadonlyArray<string>}} entry
+ * @param {{ getStatesBulk: (targets:string[]) => Promise<Array<{target:string, running?:boolean}>> }} app
+ * @returns {Promise<string>} Hammerspoon target.
+ */
+async function pickGroupTarget(entry, app) {
+    const targets = bundleIdsOf(entry).map(asBundleTarget);
+    if (targets.length === 1) return targets[0];
+    try {
+        const infos = await app.getStatesBulk(targets);
+        const running = new Set((infos || []).filter((it) => it?.running).map((it) => it.target));
+        return targets.find((t) => running.has(t)) ?? targets[0];
+    } catch (e) {
+        logger.warn('[CTL] group state lookup failed, using the first app', {targets, err: String(e)});
+        return targets[0];
+    }
+}
+
+/** Single press → focus; if not “ok,” launch then focus. */
+async function focusOrLaunch(hsTarget, ctx) {
+    ctx.progress(LedState.FOCUSING, FOCUSED); // optimistic
+    logger.info('[CTL] focus', {padId: ctx.padId, target: ctx.label});
+
+    let r = await ctx.app.focus(hsTarget);
+    if (r !== 'ok') {
+        // Not running or focus failed → launch path.
+        // Blinks through launch and the first focus; settled once a window shows.
+        ctx.progress(LedState.LAUNCHING, FOCUSED);
+        logger.info('[CTL] launch', {padId: ctx.padId, target: ctx.label});
+
+        const rLaunch = await ctx.app.launch(hsTarget);
+        if (rLaunch !== 'ok') throw new Error(`launch failed: ${rLaunch}`);
+
+        await sleep(DUR.postLaunchFocusDelay);
+        r = await ctx.app.focus(hsTarget);
+        if (r !== 'ok') {
+            logger.warn('[CTL] focus after launch returned non-ok', {padId: ctx.padId, target: ctx.label, r});
+        }
+    }
+
+    ctx.poke();
+}
+
+/** Launch (or bring forward) without waiting for a window. */
+async function launch(hsTarget, ctx) {
+    ctx.progress(LedState.LAUNCHING, RUNNING); // optimistic
+    logger.info('[CTL] launch', {padId: ctx.padId, target: ctx.label});
+
+    const r = await ctx.app.launch(hsTarget);
+    if (r !== 'ok') throw new Error(`launch failed: ${r}`);
+
+    ctx.poke();
+}
+
+/** Double‑tap → minimize all. */
+async function minimizeAll(hsTarget, ctx) {
+    ctx.progress(LedState.MINIMIZING, MINIMIZED); // optimistic
+    logger.info('[CTL] minimize-all', {padId: ctx.padId, target: ctx.label});
+
+    const r = await ctx.app.minimizeAll(hsTarget);
+    if (r !== 'ok') throw new Error(`minimizeAll failed: ${r}`);
+
+    ctx.poke();
+}
+
+/** Hide the app (windows stay un-minimized, like Cmd+H). */
+async function hide(hsTarget, ctx) {
+    ctx.progress(LedState.MINIMIZING); // optimistic; a hidden app still reports its windows
+    logger.info('[CTL] hide', {padId: ctx.padId, target: ctx.label});
+
+    const r = await ctx.app.hide(hsTarget);
+    if (r !== 'ok') throw new Error(`hide failed: ${r}`);
+
+    ctx.poke();
+}
+
+/** Maximize the primary window (launching/focusing it first if needed). */
+async function maximize(hsTarget, ctx) {
+    ctx.progress(LedState.FOCUSING); // optimistic
+    logger.info('[CTL] maximize', {padId: ctx.padId, target: ctx.label});
+
+    const r = await ctx.app.maximize(hsTarget);
+    if (r !== 'ok') throw new Error(`maximize failed: ${r}`);
+
+    ctx.poke();
+}
+
+/** Enter fullscreen on the primary window. */
+async function fullscreen(hsTarget, ctx) {
+    ctx.progress(LedState.FOCUSING); // optimistic
+    logger.info('[CTL] fullscreen', {padId: ctx.padId, target: ctx.label});
+
+    const r = await ctx.app.fullscreen(hsTarget, true);
+    if (r !== 'ok') throw new Error(`fullscreen failed: ${r}`);
+
+    ctx.poke();
+}
+
+/**
+ * Long‑press → closes all windows (keep the process running).
+ * Blinks red while the windows close; the next sync result (“stopped”) replaces the blink.
+ *
+ * Optimization:
+ * - If the app is running and fully minimized (no visible windows),
+ *   prefer a fast-close path that does not unminimize windows first
+ *   (integration method `closeAllFast`, when available).
+ */
+async function closeAll(hsTarget, ctx) {
+    ctx.progress(LedState.QUITTING, STOPPED);
+    logger.info('[CTL] close-all (long-press)', {padId: ctx.padId, target: ctx.label});
+
+    // Check the current state to decide the best close strategy.
+    let minimizedOnly = false;
+    try {
+        const st = await ctx.app.getState?.(hsTarget);
+        minimizedOnly = !!(st && st.running && (st.allMinimized || st.visibleCount === 0));
+    } catch {
+        // Ignore state errors; we'll fall back to the regular path.
+    }
+
+    const closeFn =
+        (minimizedOnly && typeof ctx.app.closeAllFast === 'function')
+            ? ctx.app.closeAllFast.bind(ctx.app)
+            : ctx.app.closeAll.bind(ctx.app);
+
+    const r = await closeFn(hsTarget);
+    if (r !== 'ok') throw new Error(`closeAll failed: ${r}`);
+
+    ctx.poke(DUR.pokeMs + 30);
+}
+
+/** Quit the process (same red blink as close, then “stopped”). */
+async function quit(hsTarget, ctx) {
+    ctx.progress(LedState.QUITTING, STOPPED);
+    logger.info('[CTL] quit', {padId: ctx.padId, target: ctx.label});
+
+    const r = await ctx.app.quit(hsTarget);
+    if (r !== 'ok') throw new Error(`quit failed: ${r}`);
+
+    ctx.poke(DUR.pokeMs + 30);
+}
+
+/**
+ * Tile the apps of several pads side by side (chord `tile` verb), left → right
+ * in pad order. Group pads contribute the member a verb would act on.
+ *
+ * @param {ReadonlyArray<{bundleId:string, bundleIds?:ReadonlyArray<string>}>} entries - App pads.
+ * @param {{ tile: (targets:string[]) => Promise<string>, getStatesBulk: Function }} app
+ * @throws {Error} When Hammerspoon could not place every window.
+ */
+export async function tileApps(entries, app) {
+    const targets = await Promise.all(entries.map((entry) =>
+        entry.bundleIds ? pickGroupTarget(entry, app) : asBundleTarget(entry.bundleId)));
+    const r = await app.tile(targets);
+    if (r !== 'ok') throw new Error(`tile failed: ${r}`);
+}
+
+/** Verbs a gesture can be bound to on an app pad. */
+const VERBS = Object.freeze({
+    focus: focusOrLaunch,
+    launch,
+    minimize: minimizeAll,
+    hide,
+    maximize,
+    fullscreen,
+    close: closeAll,
+    quit,
+});
+
+/** Spec defaults, used when a pad does not bind a gesture. */
+const DEFAULT_VERBS = Object.freeze({
+    press: 'focus',
+    doubleTap: 'minimize',
+    longPress: 'close',
+});
+
+export const appAction = {
+    type: 'app',
+    fields: ['appName', 'bundleId', 'bundleIds'],
+
+    normalize(entry, where, issues) {
+        let ok = true;
+        let ids = null;
+        if (entry.bundleIds !== undefined) {
+            if (entry.bundleId !== undefined) {
+                issues.push(`${where}: set either bundleId or bundleIds, not both`);
+                ok = false;
+            }
+            const list = entry.bundleIds;
+            if (!Array.isArray(list) || list.length === 0 || list.length > MAX_GROUP
+                || !list.every((id) => typeof id === 'string' && id.trim())) {
+                issues.push(`${where} → bundleIds: must be a list of 1..${MAX_GROUP} non-empty strings`);
+                ok = false;
+            } else {
+                ids = list.map((id) => id.trim());
+                const dup = ids.find((id, i) => ids.indexOf(id) !== i);
+                if (dup) {
+                    issues.push(`${where} → bundleIds: "${dup}" is listed twice`);
+                    ok = false;
+                }
+            }
+        } else if (typeof entry.bundleId !== 'string' || !entry.bundleId.trim()) {
+            issues.push(`${where} → bundleId: must be a non-empty string`);
+            ok = false;
+        }
+        if (entry.appName !== undefined && (typeof entry.appName !== 'string' || !entry.appName.trim())) {
+            issues.push(`${where} → appName: must be a non-empty string when set`);
+            ok = false;
+        }
+        if (!ok) return null;
+
+        // A one-app group is just a plain pad.
+        if (ids?.length > 1) {
+            return {appName: entry.appName?.trim() || ids.join(' | '), bundleId: ids[0], bundleIds: Object.freeze(ids)};
+        }
+        const bundleId = ids?.[0] ?? entry.bundleId.trim();
+        return {appName: entry.appName?.trim() || bundleId, bundleId};
+    },
+
+    gestures: Object.keys(DEFAULT_VERBS),
+    verbs: Object.keys(VERBS),
+
+    // `target` is the primary app (macro conditions); the sync loop polls every member.
+    target: (entry) => asBundleTarget(entry.bundleId),
+    targets: (entry) => bundleIdsOf(entry).map(asBundleTarget),
+
+    // Progress states are painted by the gesture handlers above.
+    feedback: {failure: LedState.ERROR},
+
+    async run(entry, ctx) {
+        const fn = VERBS[ctx.verb || DEFAULT_VERBS[ctx.gesture]];
+        if (!fn) return;
+        const target = entry.bundleIds ? await pickGroupTarget(entry, ctx.app) : asBundleTarget(entry.bundleId);
+        if (entry.bundleIds) logger.debug('[CTL] group member', {padId: ctx.padId, target});
+        await fn(target, ctx);
+    },
+};
@@ -0,0 +1,16 @@
+/**
+ * Built-in pad action types. Importing this module registers them.
+ * Extra types can be added with registerActionType() before the config loads.
+ */
+
+import {registerActionType} from './registry.js';
+import {appAction} from './app.js';
+import {urlAction} from './url.js';
+import {shellAction} from './shell.js';
+import {keystrokeAction} from './keystroke.js';
+import {luaAction} from './lua.js';
+import {macroAction} from './macro.js';
+
+for (const def of [appAction, urlAction, shellAction, keystrokeAction, luaAction, macroAction]) registerActionType(def);
+
+export {registerActionType, getActionType, actionTypeNames} from './registry.js';
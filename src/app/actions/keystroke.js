@@ -0,0 +1,59 @@
+/**
+ * "keystroke" action type — send a hotkey to the frontmost app through Hammerspoon.
+ *
+ * Config: { "type": "keystroke", "keys": "cmd+shift+4", "name"?: "Screenshot" }
+ * `keys` is `+`-separated modifiers followed by one key name as understood by
+ * hs.eventtap.keyStroke ("a", "space", "return", "f5", "left"…).
+ */
+
+import {LedState} from '../../launchpad/states.js';
+
+/** Modifier names accepted by Hammerspoon. */
+const MODIFIERS = new Set(['cmd', 'alt', 'ctrl', 'shift', 'fn']);
+
+/** Friendly aliases → Hammerspoon modifier names. */
+const ALIASES = Object.freeze({command: 'cmd', option: 'alt', opt: 'alt', control: 'ctrl'});
+
+/**
+ * Parse "cmd+shift+4" into { mods: ['cmd','shift'], key: '4' }.
+ * @param {string} keys
+ * @returns {{mods: string[], key: string}|null}
+ */
+export function parseKeys(keys) {
+    const parts = String(keys).toLowerCase().split('+').map((p) => p.trim());
+    const key = parts.pop();
+    if (!key || parts.some((p) => !p)) return null;
+    const mods = parts.map((p) => ALIASES[p] || p);
+    if (mods.some((m) => !MODIFIERS.has(m))) return null;
+    return {mods, key};
+}
+
+export const keystrokeAction = {
+    type: 'keystroke',
+    fields: ['name', 'keys'],
+
+    normalize(entry, where, issues) {
+        const parsed = typeof entry.keys === 'string' ? parseKeys(entry.keys) : null;
+        if (!parsed) {
+            issues.push(`${where} → keys: must look like "cmd+shift+4" (modifiers: ${[...MODIFIERS].join(', ')})`);
+        }
+        if (entry.name !== undefined && (typeof entry.name !== 'string' || !entry.name.trim())) {
+            issues.push(`${where} → name: must be a non-empty string when set`);
+            return null;
+        }
+        if (!parsed) return null;
+        return {name: entry.name?.trim() || entry.keys, keys: entry.keys, mods: Object.freeze(parsed.mods), key: parsed.key};
+    },
+
+    feedback: {
+        ready: LedState.ACTION_READY,
+        running: LedState.ACTION_RUNNING,
+        success: LedState.ACTION_SUCCESS,
+        failure: LedState.ACTION_FAILED,
+    },
+
+    async run(entry, ctx) {
+        const r = await ctx.app.keystroke(entry.mods, entry.key);
+        if (r !== 'ok') throw new Error(`keystroke failed: ${r}`);
+    },
+};
@@ -0,0 +1,47 @@
+/**
+ * "lua" action type — call a named global function in Hammerspoon.
+ *
+ * Config: { "type": "lua", "fn": "toggleMute", "args"?: [ ... ], "name"?: "Mute" }
+ * The function is defined in your own ~/.hammerspoon/init.lua. It may return
+ * "ok"/"err" (or false) to report failure; raising an error also counts as failure.
+ */
+
+import {LedState} from '../../launchpad/states.js';
+
+/** Global Lua identifier (no dots: the function must live in _G). */
+const LUA_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export const luaAction = {
+    type: 'lua',
+    fields: ['name', 'fn', 'args'],
+
+    normalize(entry, where, issues) {
+        let ok = true;
+        if (typeof entry.fn !== 'string' || !LUA_NAME.test(entry.fn)) {
+            issues.push(`${where} → fn: must be the name of a global Lua function`);
+            ok = false;
+        }
+        if (entry.args !== undefined && !Array.isArray(entry.args)) {
+            issues.push(`${where} → args: must be an array when set`);
+            ok = false;
+        }
+        if (entry.name !== undefined && (typeof entry.name !== 'string' || !entry.name.trim())) {
+            issues.push(`${where} → name: must be a non-empty string when set`);
+            ok = false;
+        }
+        if (!ok) return null;
+        return {name: entry.name?.trim() || entry.fn, fn: entry.fn, args: Object.freeze([...(entry.args || [])])};
+    },
+
+    feedback: {
+        ready: LedState.ACTION_READY,
+        running: LedState.ACTION_RUNNING,
+        success: LedState.ACTION_SUCCESS,
+        failure: LedState.ACTION_FAILED,
+    },
+
+    async run(entry, ctx) {
+        const r = await ctx.app.callLua(entry.fn, entry.args);
+        if (r !== 'ok') throw new Error(`lua ${entry.fn} failed: ${r}`);
+    },
+};
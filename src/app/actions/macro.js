@@ -0,0 +1,273 @@
+/**
+ * "macro" action type — run an ordered list of steps from one pad.
+ *
+ * Config:
+ *   { "type": "macro", "name": "Dev setup", "stopOnFailure"?: true, "steps": [
+ *       { "bundleId": "com.googlecode.iterm2", "do": "launch" },
+ *       { "bundleId": "com.microsoft.VSCode", "do": "focus" },
+ *       { "type": "url", "url": "https://github.com" },
+ *       { "wait": 500 },
+ *       { "bundleId": "com.hnc.Discord", "do": "minimize", "when": { "running": true } }
+ *   ] }
+ *
+ * Steps
+ * - An action step is any non-macro pad entry plus optional step keys:
+ *   `do` (verb, for types that offer verbs; default: the type's press action),
+ *   `timeoutMs` (per-step limit; default `TIMINGS.actions.macroStepTimeoutMs`,
+ *   read when the step runs) and `when` (condition).
+ * - `{ "wait": ms }` pauses the sequence.
+ * - `when` is checked against `getState()` of the step's app (or `when.bundleId`):
+ *   every listed flag (`running`, `focused`, `allMinimized`) must match, else the
+ *   step is skipped (a skip is not a failure).
+ * - `stopOnFailure` (default true) aborts at the first failed step; otherwise the
+ *   remaining steps still run and the macro fails at the end.
+ *
+ * Feedback
+ * - The pad blinks yellow on the action layer while the macro runs, then the
+ *   controller paints green (every step ok or skipped) or red.
+ * - Steps run with a muted LED context, so their own optimistic colors do not
+ *   fight the progress blink. A timed-out step is abandoned, not cancelled.
+ */
+
+import {getActionType} from './registry.js';
+import {asBundleTarget} from './app.js';
+import {LedState} from '../../launchpad/states.js';
+import {startBlink} from '../../launchpad/led-animator.js';
+import {logger} from '../../utils/logger.js';
+import {TIMINGS} from '../../config/timings.js';
+
+const ACT = TIMINGS.actions;
+
+/** Limits accepted in the config. */
+const MAX_STEPS = 50;
+const MAX_WAIT_MS = 60000;
+const MAX_TIMEOUT_MS = 120000;
+
+/** Keys that belong to the step, not to the action it runs. */
+const STEP_KEYS = ['do', 'timeoutMs', 'when'];
+
+/** State flags a `when` condition may test. */
+const WHEN_FLAGS = ['running', 'focused', 'allMinimized'];
+
+/** Steps must not paint the macro pad; they get this port instead. */
+const MUTED_LP = Object.freeze({setPad() {}});
+
+const isPlainObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+/** Tiny sleep helper. */
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Reject if `promise` does not settle within `ms`. */
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Validate a `when` condition.
+ * @returns {object|null} `{ target, running?, focused?, allMinimized? }`
+ */
+function normalizeWhen(raw, action, def, at, issues) {
+    if (!isPlainObject(raw)) {
+        issues.push(`${at} → when: must be an object like { "running": true }`);
+        return null;
+    }
+    let ok = true;
+    for (const key of Object.keys(raw)) {
+        if (key !== 'bundleId' && !WHEN_FLAGS.includes(key)) {
+            issues.push(`${at} → when → ${key}: unknown field (expected one of: bundleId, ${WHEN_FLAGS.join(', ')})`);
+            ok = false;
+        }
+    }
+    const flags = {};
+    for (const flag of WHEN_FLAGS) {
+        if (raw[flag] === undefined) continue;
+        if (typeof raw[flag] !== 'boolean') {
+            issues.push(`${at} → when → ${flag}: must be true or false`);
+            ok = false;
+        } else {
+            flags[flag] = raw[flag];
+        }
+    }
+    if (ok && Object.keys(flags).length === 0) {
+        issues.push(`${at} → when: needs at least one of ${WHEN_FLAGS.join(', ')}`);
+        ok = false;
+    }
+
+    let target = null;
+    if (raw.bundleId !== undefined) {
+        if (typeof raw.bundleId !== 'string' || !raw.bundleId.trim()) {
+            issues.push(`${at} → when → bundleId: must be a non-empty string`);
+            ok = false;
+        } else {
+            target = asBundleTarget(raw.bundleId.trim());
+        }
+    } else if (def?.target) {
+        target = def.target(action);
+    } else {
+        issues.push(`${at} → when → bundleId: required for "${action.type}" steps (they have no app of their own)`);
+        ok = false;
+    }
+
+    return ok ? Object.freeze({target, ...flags}) : null;
+}
+
+/**
+ * Validate one step.
+ * @returns {object|null} `{ wait }` or `{ action, verb, timeoutMs, when }` (`timeoutMs` null: the default)
+ */
+function normalizeStep(raw, at, issues, normalizeAction) {
+    if (!isPlainObject(raw)) {
+        issues.push(`${at}: must be an action object or { "wait": ms }`);
+        return null;
+    }
+
+    if ('wait' in raw) {
+        const extra = Object.keys(raw).filter((k) => k !== 'wait');
+        if (extra.length) issues.push(`${at} → ${extra[0]}: unknown field for a wait step (expected only: wait)`);
+        if (!Number.isInteger(raw.wait) || raw.wait < 0 || raw.wait > MAX_WAIT_MS) {
+            issues.push(`${at} → wait: must be an integer 0..${MAX_WAIT_MS} (ms)`);
+            return null;
+        }
+        return extra.length ? null : Object.freeze({wait: raw.wait});
+    }
+
+    const {do: verb, timeoutMs: rawTimeout, when: rawWhen, ...rest} = raw;
+    if (rest.type === 'macro') {
+        issues.push(`${at} → type: macros cannot be nested`);
+        return null;
+    }
+    const action = normalizeAction(at, rest);
+    if (!action) return null;
+    const def = getActionType(action.type);
+
+    let ok = true;
+    if (verb !== undefined && (typeof verb !== 'string' || !def?.verbs?.includes(verb))) {
+        issues.push(def?.verbs?.length
+            ? `${at} → do: unknown action "${verb}" (expected one of: ${def.verbs.join(', ')})`
+            : `${at} → do: "${action.type}" steps have no verbs`);
+        ok = false;
+    }
+
+    const timeoutMs = rawTimeout ?? null;
+    if (timeoutMs !== null && (!Number.isInteger(timeoutMs) || timeoutMs <= 0 || timeoutMs > MAX_TIMEOUT_MS)) {
+        issues.push(`${at} → timeoutMs: must be an integer 1..${MAX_TIMEOUT_MS}`);
+        ok = false;
+    }
+
+    const when = rawWhen === undefined ? null : normalizeWhen(rawWhen, action, def, at, issues);
+    if (rawWhen !== undefined && !when) ok = false;
+
+    return ok ? Object.freeze({action, verb: verb ?? null, timeoutMs, when}) : null;
+}
+
+/**
+ * True when every flag in `when` matches the app's current state.
+ * @param {{target:string} & Record<string, boolean>} when
+ * @param {{ getState: (t:string) => Promise<object> }} app
+ */
+async function conditionHolds(when, app) {
+    const st = await app.getState(when.target);
+    return WHEN_FLAGS.every((flag) => when[flag] === undefined || !!st?.[flag] === when[flag]);
+}
+
+/** Run one action step through its type, with a muted LED context. */
+async function runStep(step, ctx) {
+    const def = getActionType(step.action.type);
+    if (!def) throw new Error(`unknown action type "${step.action.type}"`);
+    await def.run(step.action, {
+        ...ctx,
+        gesture: 'press',
+        verb: step.verb ?? undefined,
+        label: step.action.appName || step.action.name || step.action.type,
+        lp: MUTED_LP,
+        paint: () => {},
+        progress: () => {},
+        poke: () => {},
+    });
+}
+
+export const macroAction = {
+    type: 'macro',
+    fields: ['name', 'steps', 'stopOnFailure'],
+
+    normalize(entry, where, issues, {normalizeAction}) {
+        let ok = true;
+        if (entry.name !== undefined && (typeof entry.name !== 'string' || !entry.name.trim())) {
+            issues.push(`${where} → name: must be a non-empty string when set`);
+            ok = false;
+        }
+        if (entry.stopOnFailure !== undefined && typeof entry.stopOnFailure !== 'boolean') {
+            issues.push(`${where} → stopOnFailure: must be true or false`);
+            ok = false;
+        }
+        if (!Array.isArray(entry.steps) || entry.steps.length === 0 || entry.steps.length > MAX_STEPS) {
+            issues.push(`${where} → steps: must be an array of 1..${MAX_STEPS} steps`);
+            return null;
+        }
+
+        const steps = [];
+        entry.steps.forEach((raw, i) => {
+            const step = normalizeStep(raw, `${where} → steps[${i}]`, issues, normalizeAction);
+            if (step) steps.push(step);
+            else ok = false;
+        });
+        if (!ok) return null;
+
+        return {
+            name: entry.name?.trim() || `macro (${steps.length} steps)`,
+            steps: Object.freeze(steps),
+            stopOnFailure: entry.stopOnFailure ?? true,
+        };
+    },
+
+    // Progress is the blink painted in run(); the controller paints the result.
+    feedback: {
+        ready: LedState.ACTION_READY,
+        success: LedState.ACTION_SUCCESS,
+        failure: LedState.ACTION_FAILED,
+    },
+
+    async run(entry, ctx) {
+        const total = entry.steps.length;
+        const failures = [];
+        let stopBlink = () => {};
+        logger.info('[CTL] macro', {padId: ctx.padId, name: ctx.label, steps: total});
+
+        try {
+            for (const [i, step] of entry.steps.entries()) {
+                const n = i + 1;
+                // Restart each step: a step animation (e.g. close blink) may have claimed the pad.
+                stopBlink = startBlink(ctx.lp, ctx.padId,
+                    ctx.color(LedState.ACTION_RUNNING), ctx.color(LedState.ACTION_READY), ACT.macroProgressHz);
+
+                if (step.wait != null) {
+                    await sleep(step.wait);
+                    continue;
+                }
+
+                const label = step.action.appName || step.action.name || step.action.type;
+                const timeoutMs = step.timeoutMs ?? ACT.macroStepTimeoutMs;
+                try {
+                    if (step.when && !(await withTimeout(conditionHolds(step.when, ctx.app), timeoutMs))) {
+                        logger.info('[CTL] macro step skipped (condition not met)', {padId: ctx.padId, step: n, target: label});
+                        continue;
+                    }
+                    await withTimeout(runStep(step, ctx), timeoutMs);
+                    logger.debug('[CTL] macro step ok', {padId: ctx.padId, step: n, target: label});
+                } catch (e) {
+                    failures.push(`step ${n} (${label}): ${e?.message || e}`);
+                    logger.warn('[CTL] macro step failed', {padId: ctx.padId, step: n, target: label, err: String(e)});
+                    if (entry.stopOnFailure) break;
+                }
+            }
+        } finally {
+            stopBlink();
+        }
+
+        if (failures.length) throw new Error(`${failures.length}/${total} steps failed: ${failures.join('; ')}`);
+    },
+};
@@ -0,0 +1,57 @@
+/**
+ * Pad action registry.
+ *
+ * Every pad in the config has a `type` (default "app"). Each type is described
+ * by a definition object registered here; the config schema, the controller
+ * and the state-sync loop all look types up instead of branching on them.
+ *
+ * Definition contract
+ * - `type`: unique name used in the config (`"type": "url"`).
+ * - `fields`: pad keys accepted besides `type` (used for unknown-field checks).
+ * - `normalize(entry, where, issues, helpers)`: validate type-specific fields, push
+ *   messages as `${where} → field: problem`, return the normalized fields or null.
+ *   `helpers.normalizeAction(where, raw)` validates a nested pad-like action
+ *   (used by composite types such as "macro"); it returns the PadEntry or null.
+ * - `target?(entry)`: Hammerspoon target ("bundle:…") whose OS state drives the
+ *   pad LED. Types without a target show `feedback.ready` while idle.
+ * - `targets?(entry)`: all targets a pad stands for (app groups); the sync loop
+ *   polls each and shows the strongest state. Defaults to `[target(entry)]`.
+ * - `gestures`: gestures the type responds to when the pad does not bind them
+ *   (default: press and doubleTap, i.e. every tap runs the action).
+ * - `verbs?`: names a pad may bind a gesture to (`"longPress": "quit"`); passed
+ *   to `run()` as `ctx.verb`. Only types with a `target` offer verbs.
+ * - `feedback`: LedState keys for `ready`, `running`, `success`, `failure`.
+ *   The controller paints `running` before `run()` and `success`/`failure` after;
+ *   any of them may be omitted when the type paints its own progress.
+ * - `run(entry, ctx)`: perform the action; throw (or reject) on failure.
+ *   `ctx` = { padId, gesture, verb?, label, app, lp, paint(state), progress(state, settledBy?), color(state), poke(delayMs?) }.
+ *   `lp` is the pad's action layer; whatever `run()` paints there is cleared when the action is over.
+ */
+
+/** @type {Map<string, object>} */
+const types = new Map();
+
+/**
+ * Register (or replace) an action type.
+ * @param {{ type: string, fields: string[], normalize: Function, run: Function, gestures?: string[], feedback?: object, target?: Function, targets?: Function }} def
+ */
+export function registerActionType(def) {
+    if (!def || typeof def.type !== 'string' || typeof def.run !== 'function' || typeof def.normalize !== 'function') {
+        throw new Error('registerActionType: definition needs type, normalize() and run()');
+    }
+    types.set(def.type, Object.freeze({feedback: {}, fields: [], gestures: ['press', 'doubleTap'], ...def}));
+}
+
+/**
+ * Look up an action type.
+ * @param {string} [type='app']
+ * @returns {object|undefined}
+ */
+export function getActionType(type = 'app') {
+    return types.get(type);
+}
+
+/** Names of all registered types (for error messages). */
+export function actionTypeNames() {
+    return [...types.keys()];
+}
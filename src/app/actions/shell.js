@@ -0,0 +1,74 @@
+/**
+ * "shell" action type — run a command with `/bin/sh -c` and a timeout.
+ *
+ * Config: { "type": "shell", "command": "say hello", "timeoutMs"?: 5000, "name"?: "Greet" }
+ * The command runs from the user's home directory with the deck's environment.
+ * Without `timeoutMs` the limit is `TIMINGS.actions.shellTimeoutMs`, read when the
+ * command runs (the config is normalized before the timing overrides apply).
+ * A non-zero exit status or a timeout counts as failure (stderr is logged).
+ */
+
+import {execFile} from 'node:child_process';
+import os from 'node:os';
+import {LedState} from '../../launchpad/states.js';
+import {logger} from '../../utils/logger.js';
+import {TIMINGS} from '../../config/timings.js';
+
+/** Upper bound accepted for `timeoutMs` (2 minutes). */
+const MAX_TIMEOUT_MS = 120000;
+
+/**
+ * Run a shell command, resolving with trimmed stdout.
+ * @param {string} command
+ * @param {number} timeoutMs
+ * @returns {Promise<string>}
+ */
+function runShell(command, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        execFile('/bin/sh', ['-c', command], {timeout: timeoutMs, cwd: os.homedir(), maxBuffer: 1024 * 1024}, (err, stdout, stderr) => {
+            if (err) {
+                const why = err.killed ? `timed out after ${timeoutMs} ms` : (String(stderr || '').trim() || err.message);
+                return reject(new Error(why));
+            }
+            resolve(String(stdout || '').trim());
+        });
+    });
+}
+
+export const shellAction = {
+    type: 'shell',
+    fields: ['name', 'command', 'timeoutMs'],
+
+    normalize(entry, where, issues) {
+        let ok = true;
+        if (typeof entry.command !== 'string' || !entry.command.trim()) {
+            issues.push(`${where} → command: must be a non-empty string`);
+            ok = false;
+        }
+        const timeoutMs = entry.timeoutMs;
+        if (timeoutMs !== undefined && (!Number.isInteger(timeoutMs) || timeoutMs <= 0 || timeoutMs > MAX_TIMEOUT_MS)) {
+            issues.push(`${where} → timeoutMs: must be an integer 1..${MAX_TIMEOUT_MS}`);
+            ok = false;
+        }
+        if (entry.name !== undefined && (typeof entry.name !== 'string' || !entry.name.trim())) {
+            issues.push(`${where} → name: must be a non-empty string when set`);
+            ok = false;
+        }
+        if (!ok) return null;
+        const out = {name: entry.name?.trim() || entry.command.trim(), command: entry.command};
+        if (timeoutMs !== undefined) out.timeoutMs = timeoutMs;
+        return out;
+    },
+
+    feedback: {
+        ready: LedState.ACTION_READY,
+        running: LedState.ACTION_RUNNING,
+        success: LedState.ACTION_SUCCESS,
+        failure: LedState.ACTION_FAILED,
+    },
+
+    async run(entry, ctx) {
+        const out = await runShell(entry.command, entry.timeoutMs ?? TIMINGS.actions.shellTimeoutMs);
+        logger.info('[CTL] shell done', {padId: ctx.padId, name: ctx.label, out: out.slice(0, 200)});
+    },
+};
@@ -0,0 +1,39 @@
+/**
+ * "url" action type — open a URL with the default handler via Hammerspoon.
+ *
+ * Config: { "type": "url", "url": "https://calendar.google.com", "name"?: "Calendar" }
+ * Any scheme macOS knows is accepted (https:, mailto:, slack:, obsidian:…).
+ */
+
+import {LedState} from '../../launchpad/states.js';
+
+export const urlAction = {
+    type: 'url',
+    fields: ['name', 'url'],
+
+    normalize(entry, where, issues) {
+        let url = null;
+        try {
+            url = new URL(String(entry.url ?? '')).href;
+        } catch {
+            issues.push(`${where} → url: must be an absolute URL (e.g. "https://example.com")`);
+        }
+        if (entry.name !== undefined && (typeof entry.name !== 'string' || !entry.name.trim())) {
+            issues.push(`${where} → name: must be a non-empty string when set`);
+            return null;
+        }
+        return url ? {name: entry.name?.trim() || url, url} : null;
+    },
+
+    feedback: {
+        ready: LedState.ACTION_READY,
+        running: LedState.ACTION_RUNNING,
+        success: LedState.ACTION_SUCCESS,
+        failure: LedState.ACTION_FAILED,
+    },
+
+    async run(entry, ctx) {
+        const r = await ctx.app.openURL(entry.url);
+        if (r !== 'ok') throw new Error(`openURL failed: ${r}`);
+    },
+};
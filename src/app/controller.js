@@ -3,30 +3,82 @@
  * very low latency and predictable visuals.
  *
  * Responsibilities
- * - Interpret pad gestures (single press, double‑tap, long‑press).
+ * - Interpret pad gestures (single press, double‑tap, long‑press, and per pad
+ *   triple‑tap, very‑long‑press and tap‑hold).
+ * - Dispatch each gesture to the pad's action type (app, url, shell, keystroke, lua)
+ *   through the action registry — no per-type branching here.
  * - Drive optimistic LED feedback immediately on user input.
- * - Call the Hammerspoon integration to launch/focus/minimize/close apps.
- * - Mask LEDs as “busy” for the duration of app animations to avoid flicker.
+ * - Draw action feedback, overlays and the hold ramp on their layers of the
+ *   LED compositor, and clear them when they are over.
+ * - Show progress states (launching, minimizing, closing) for as long as the
+ *   action is pending; the sync loop may end them early once it sees the
+ *   state the action was heading for.
  * - Optionally “poke” the state‑sync loop after actions to settle LEDs fast.
+ * - Route control-button presses (top row) to a registered handler (e.g. pager).
+ * - Run chords (several pads pressed together, detected by the decoder): config
+ *   chords bound to an action or to `tile` / `lock`, and internal ones (learn mode).
+ * - Run swipes (quick slides across a row or column, detected by the swipe
+ *   layer in front of the decoder): page flips, an app verb on every app of
+ *   the swiped line, or an action.
+ * - Hand gestures to an optional interceptor first (e.g. learn mode), and raw
+ *   presses to an optional wake handler before that (the screensaver).
+ * - Ramp the LED of a held pad toward its long press (and on to the very-long
+ *   tier), so users see how long to hold.
+ * - Lock the deck: while locked only chords are handled.
+ * - Track modifier (shift) pads: while one is held, other pads run their `alt`
+ *   bindings and pads that have them light up.
  *
- * Gesture mapping
+ * Gesture mapping (defaults for app pads; see actions/app.js)
  * - Single press → focus app; if not available, launch then focus.
  * - Double‑tap → minimize all windows of the app.
  * - Long‑press → close all windows (keep process running).
+ * Other action types run on every tap and ignore long‑press. Any pad may
+ * rebind a gesture to a verb (`"doubleTap": "maximize"`), to another action
+ * object, or to "none". `tripleTap`, `veryLongPress` and `tapHold` are only
+ * recognized on pads that bind them, so other pads keep their latency.
  *
  * Design notes
  * - LED feedback is optimistic: we paint the intent first, then reconcile via
  *   the periodic state sync loop. This keeps the interface feeling instant.
- * - Busy masking prevents the sync loop from repainting a pad while a known
- *   action animation is in flight (e.g., minimize).
+ * - LED layers (led-compositor.js): the sync loop paints the bottom layer;
+ *   action feedback goes on `ACTION`, alt highlights on `ALERT`, the hold ramp
+ *   on `HOLD`. Each is cleared by whoever set it, so feedback lasts exactly as
+ *   long as its action and the synced color shows again the moment it ends.
+ * - Progress (`ctx.progress`) lasts until the action settles. The sync loop
+ *   calls settleProgress with the state of every pad in progress; a match ends
+ *   the progress there (e.g. minimized while `minimizeAll` is still
+ *   returning). Once the action returns, the progress stays up until the next
+ *   sync result, so the pad never flashes its pre-action color.
+ * - Success/failure colors are shown for `resultBusy` / `errorBusy`, then
+ *   cleared. A pad whose mapping changes drops its feedback; actions still in
+ *   flight for the old mapping no longer paint it.
+ * - Decoder options are derived per pad from its bindings and `timings`
+ *   whenever the pad table changes (see gestureOptions).
+ * - Feedback colors resolve through the active theme and the pad's `colors`;
+ *   a blinking theme state blinks until its layer is cleared.
+ * - The hold ramp starts `holdRampDelayMs` into a hold (taps do not flicker),
+ *   only on pads with a hold gesture and no action feedback showing. An early
+ *   release clears its layer, so the synced color comes straight back. A
+ *   fired hold hands the LED to the action's feedback.
+ * - Modifier state is read at the device, ahead of the swipe layer, and
+ *   captured per pad when it goes down: a tap that fires after the modifier is
+ *   let go (e.g. waitForDouble) still runs its alt binding. Modifier pads keep
+ *   taking part in chords but run no gestures of their own.
  */
 
 import {GestureDecoder} from '../launchpad/gesture-decoder.js';
-import {LedState, LedStateColors} from '../launchpad/states.js';
-import {blinkQuit} from '../launchpad/led-animator.js';
+import {LedState} from '../launchpad/states.js';
+import {isAnimatedState, stateToColor} from '../launchpad/led-state-machine.js';
+import {themeEntry} from '../launchpad/themes.js';
+import {startBlink, startRamp, stopAnimation} from '../launchpad/led-animator.js';
 import {logger} from '../utils/logger.js';
-import {markBusy} from '../utils/busy-registry.js';
+import {Layer, LedCompositor} from '../launchpad/led-compositor.js';
+import {diffMappings} from '../config/mapping-diff.js';
 import {getIntegration} from '../integrations/hammerspoon/index.js';
+import {SwipeDetector} from '../launchpad/swipe-detector.js';
+import {GRID_ROWS, SCENE_COL, getLayout, isControlPad} from '../launchpad/layout.js';
+import {getActionType} from './actions/index.js';
+import {tileApps} from './actions/app.js';
 import {TIMINGS} from '../config/timings.js'; // ← use centralized timings
 
 /** Optional fast re‑sync hook injected by state-sync. */
@@ -37,16 +89,39 @@ export function setPokeSync(fn) {
     _pokeSync = fn;
 }
 
-/** Normalize the target for Hammerspoon (`bundle:…`). */
-const asBundleTarget = (bundleId) =>
-    (typeof bundleId === 'string' && bundleId.startsWith('bundle:')) ? bundleId : `bundle:${bundleId}`;
-
-/** Tiny sleep helper. */
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
 /** Local aliases from centralized timings. */
 const G = TIMINGS.gesture;
 const DUR = TIMINGS.controller;
+const ACT = TIMINGS.actions;
+
+/** Gesture names by tap count. */
+const TAP_GESTURES = Object.freeze([null, 'press', 'doubleTap', 'tripleTap']);
+
+/** Hold gestures; pads that bind one get a hold ramp. */
+const HOLD_GESTURES = Object.freeze(['longPress', 'veryLongPress', 'tapHold']);
+
+/** True when `gesture` does something on the pad (own or alt binding, or type default). */
+function binds(entry, gesture) {
+    const b = entry.bindings?.[gesture];
+    return b != null || entry.alt?.[gesture] != null
+        || (b === undefined && !!getActionType(entry.type)?.gestures.includes(gesture));
+}
+
+/**
+ * Decoder options for a pad: extra gestures it binds and its own thresholds.
+ * `waitForDouble` only applies when the pad has a double tap to wait for.
+ * @param {{type:string, bindings?:Record<string, unknown>, timings?:Record<string, number>, waitForDouble?:boolean}} entry
+ * @returns {object|null} null when the decoder defaults apply.
+ */
+function gestureOptions(entry) {
+    const bound = (g) => binds(entry, g);
+    const opts = {...entry.timings};
+    if (bound('tripleTap')) opts.maxTaps = 3;
+    if (bound('tapHold')) opts.tapHold = true;
+    if (entry.waitForDouble && bound('doubleTap')) opts.waitForDouble = true;
+    opts.veryLongPressMs = bound('veryLongPress') ? (entry.timings?.veryLongPressMs ?? G.veryLongPressMs) : 0;
+    return (opts.maxTaps || opts.tapHold || opts.waitForDouble || opts.veryLongPressMs || entry.timings) ? opts : null;
+}
 
 /**
  * Controller that binds a Launchpad port to application actions.
@@ -59,6 +134,9 @@ export class AppController {
      *     focus: (target:string) => Promise<string>,
      *     minimizeAll: (target:string) => Promise<string>,
      *     closeAll: (target:string) => Promise<string>,
+     *     openURL: (url:string) => Promise<string>,
+     *     keystroke: (mods:string[], key:string) => Promise<string>,
+     *     callLua: (name:string, args?:unknown[]) => Promise<string>,
      *     // Optional optimized variants:
      *     closeAllFast?: (target:string) => Promise<string>,
      *     getState?: (target:string) => Promise<{
@@ -71,147 +149,656 @@ export class AppController {
      *     setPad: (id:number, color:[number,number]) => void,
      *     onPadEvents: (onDown:(id:number)=>void, onUp:(id:number)=>void) => (()=>void)|void
      *   },
-     *   appMappings: Record<number, { appName: string, bundleId: string }>
+     *   leds?: LedCompositor,
+     *   // LED layers over lpPort, shared with the sync loop (default: a private one)
+     *   appMappings: Record<number, { type: string } & Record<string, unknown>>,
+     *   layout?: import('../launchpad/layout.js').Layout
      * }} deps
      */
-    constructor({appService, lpPort, appMappings}) {
+    constructor({appService, lpPort, leds = new LedCompositor(lpPort), appMappings, layout = getLayout()}) {
         this.app = appService;
         this.lp = lpPort;
+        this.leds = leds;
         this.map = appMappings;
+        this.layout = layout;
 
         // Short gesture thresholds for a responsive feel.
         this.decoder = new GestureDecoder(
             (padId, meta) => this.onPress(padId, meta),
-            (padId) => this.onLongPress(padId),
-            {doubleTapMs: G.doubleTapMs, longPressMs: G.longPressMs, bounceMs: G.bounceMs, cooldownMs: G.cooldownMs},
+            (padId, kind) => this.onLongPress(padId, kind),
+            {
+                doubleTapMs: G.doubleTapMs,
+                longPressMs: G.longPressMs,
+                bounceMs: G.bounceMs,
+                cooldownMs: G.cooldownMs,
+                chordWindowMs: G.chordWindowMs,
+                onChord: (chord) => this.onChord(chord),
+            },
         );
 
-        // Wire device events → gesture decoder.
+        /** Optional handler for control buttons; returns true when it consumed the press. */
+        this._controlHandler = null;
+
+        /** Optional gesture hook run before dispatch; returns true when it consumed the gesture. */
+        this._interceptor = null;
+
+        /** Optional hook that sees every raw press first; returns true to swallow it (waking the deck). */
+        this._wakeHandler = null;
+        /** Pads whose press was swallowed; their release is swallowed too. */
+        this._swallowed = new Set();
+
+        /** Internal chords ({ pads, fn }) and config chords ({ pads, action }). */
+        this._chords = new Set();
+        this._configChords = [];
+
+        /** While locked, gestures and control buttons are ignored; chords still run. */
+        this._locked = false;
+
+        /** Optional page flipper for swipes: (delta) => true when the page changed. */
+        this._pageStepper = null;
+
+        /** Hold ramps in flight (padId → stop function). */
+        this._ramps = new Map();
+
+        /** Modifier pads, those held now, and pads pressed while one was held. */
+        this._modifiers = new Set();
+        this._modHeld = new Set();
+        this._shifted = new Set();
+
+        /** Progress states in flight (padId → { settledBy: Set<state>|null, releasedAt }). */
+        this._progress = new Map();
+
+        /** Timers that clear success/failure colors (padId → timeout). */
+        this._flashTimers = new Map();
+
+        /** Bumped when a pad's mapping changes, so stale actions stop painting it. */
+        this._epochs = new Map();
+
+        /** Alt pads lit while a modifier is held. */
+        this._altLit = new Set();
+
+        this._applyGestureOptions();
+
+        // Swipe layer: holds back presses on swipe lines, replays them when no swipe happens.
+        this.swipes = new SwipeDetector(layout, {
+            stepMs: G.swipeStepMs,
+            minPads: G.swipeMinPads,
+            onSwipe: (swipe) => this.onSwipe(swipe),
+            onDown: (padId, at) => {
+                if (isControlPad(padId) && !this._locked && this._controlHandler?.(padId)) return;
+                this.decoder.onDown(padId, at);
+                this._startHoldRamp(padId, at);
+            },
+            onUp: (padId, at) => {
+                this._stopHoldRamp(padId);
+                this.decoder.onUp(padId, at);
+            },
+        });
+
+        // Wire device events → wake handler → modifiers → swipe layer → control handler / gesture decoder (taps, holds, chords).
         this.lp.onPadEvents(
-            (padId) => this.decoder.onDown(padId),
-            (padId) => this.decoder.onUp(padId),
+            (padId) => {
+                if (this._wakeHandler?.(padId)) {
+                    this._swallowed.add(padId);
+                    return;
+                }
+                this._modifierDown(padId);
+                this.swipes.down(padId);
+            },
+            (padId) => {
+                if (this._swallowed.delete(padId)) return;
+                this._modifierUp(padId);
+                this.swipes.up(padId);
+            },
         );
 
         logger.info('[CTL] controller ready');
     }
 
+    /**
+     * Swap the pad table (config hot-reload).
+     * Gesture state is per pad and survives the swap; actions already in flight
+     * finish against the target they started with, but pads whose mapping
+     * changed drop their feedback.
+     * @param {Record<number, { type: string } & Record<string, unknown>>} appMappings
+     */
+    setMappings(appMappings) {
+        const {removed, changed} = diffMappings(this.map, appMappings);
+        for (const padId of [...removed, ...changed]) this._dropFeedback(padId);
+        this.map = appMappings;
+        this._applyGestureOptions();
+        if (this._modHeld.size) {
+            this._endAlt();
+            this._beginAlt();
+        }
+    }
+
+    /** Push per-pad gesture options for the current table into the decoder. */
+    _applyGestureOptions() {
+        this.decoder.clearPadOptions();
+        for (const [padId, entry] of Object.entries(this.map)) {
+            const opts = gestureOptions(entry);
+            if (opts) this.decoder.setPadOptions(Number(padId), opts);
+        }
+    }
+
+    /**
+     * Register a handler for control-button presses (padId ≥ 200).
+     * Presses it consumes (returns true) never reach the gesture decoder.
+     * @param {((padId:number) => boolean)|null} fn
+     */
+    setControlHandler(fn) {
+        this._controlHandler = fn;
+    }
+
+    /**
+     * Register a gesture interceptor (e.g. learn mode). It sees every press and
+     * long-press first; gestures it consumes (returns true) are not dispatched.
+     * @param {((padId:number, gesture:string) => boolean)|null} fn - Gesture names as in dispatch.
+     */
+    setInterceptor(fn) {
+        this._interceptor = fn;
+    }
+
+    /**
+     * Register a wake handler (e.g. the screensaver). It sees every pad press
+     * before anything else; a press it swallows (returns true), and its release,
+     * reach no modifier, swipe, chord or gesture.
+     * @param {((padId:number) => boolean)|null} fn
+     */
+    setWakeHandler(fn) {
+        this._wakeHandler = fn;
+    }
+
+    /**
+     * Register an internal chord: `fn` runs once when every pad in `padIds` goes
+     * down within the chord window. The chord's pads produce no gestures for that
+     * hold. Internal chords bypass the interceptor and the lock, and win over
+     * config chords on the same pads.
+     * @param {number[]} padIds - Two or more pads.
+     * @param {() => void} fn
+     * @returns {() => void} Unregister function.
+     */
+    addChord(padIds, fn) {
+        const chord = {pads: [...padIds], fn};
+        this._chords.add(chord);
+        this._applyChords();
+        return () => {
+            this._chords.delete(chord);
+            this._applyChords();
+        };
+    }
+
+    /**
+     * Swap the config chords (boot and hot-reload).
+     * @param {ReadonlyArray<{pads: ReadonlyArray<number>, action: 'tile'|'lock'|object}>} chords
+     */
+    setChords(chords) {
+        this._configChords = chords;
+        this._applyChords();
+    }
+
+    _applyChords() {
+        this.decoder.setChords([...this._chords, ...this._configChords]);
+    }
+
+    /**
+     * Swap the config swipes (boot and hot-reload).
+     * @param {ReadonlyArray<import('../launchpad/swipe-detector.js').SwipeDef & {action: string|object}>} swipes
+     */
+    setSwipes(swipes) {
+        this.swipes.setSwipes(swipes);
+    }
+
+    /**
+     * Swap the modifier pads (boot and hot-reload) and paint them idle.
+     * @param {ReadonlyArray<number>} padIds
+     */
+    setModifiers(padIds) {
+        for (const padId of this._modifiers) {
+            if (!padIds.includes(padId) && !this.targetFor(padId)) this.leds.clear(Layer.SYNC, padId);
+        }
+        this._modifiers = new Set(padIds);
+        this._modHeld.clear();
+        this._endAlt();
+        for (const padId of this._modifiers) this._show(Layer.SYNC, padId, LedState.MODIFIER);
+    }
+
+    /** True for pads configured as modifiers. */
+    isModifier(padId) {
+        return this._modifiers.has(padId);
+    }
+
+    /** Device press: hold a modifier, or record whether this pad is shifted. */
+    _modifierDown(padId) {
+        if (!this._modifiers.has(padId)) {
+            if (this._modHeld.size) this._shifted.add(padId);
+            else this._shifted.delete(padId);
+            return;
+        }
+        this._modHeld.add(padId);
+        this._show(Layer.SYNC, padId, LedState.MODIFIER_HELD);
+        if (this._modHeld.size === 1) this._beginAlt();
+    }
+
+    /** Device release: let go of a modifier. */
+    _modifierUp(padId) {
+        if (!this._modHeld.delete(padId)) return;
+        this._show(Layer.SYNC, padId, LedState.MODIFIER);
+        if (!this._modHeld.size) this._endAlt();
+    }
+
+    /** Light the pads that have alt bindings (over any action feedback they show). */
+    _beginAlt() {
+        if (this._locked) return;
+        for (const [id, entry] of Object.entries(this.map)) {
+            const padId = Number(id);
+            if (!entry.alt) continue;
+            this._show(Layer.ALERT, padId, LedState.ALT_READY);
+            this._altLit.add(padId);
+        }
+    }
+
+    /** Uncover the alt pads. */
+    _endAlt() {
+        for (const padId of this._altLit) this._hide(Layer.ALERT, padId);
+        this._altLit.clear();
+    }
+
+    /**
+     * Register the page flipper used by `nextPage` / `previousPage` swipes.
+     * @param {((delta:number) => boolean)|null} fn
+     */
+    setPageStepper(fn) {
+        this._pageStepper = fn;
+    }
+
+    /** True while the deck is locked. */
+    locked() {
+        return this._locked;
+    }
+
+    /** Chord handler (decoder callback). */
+    async onChord(chord) {
+        for (const padId of chord.pads) this._stopHoldRamp(padId);
+        logger.info('[CTL] chord', {pads: chord.pads});
+        if (chord.fn) {
+            try {
+                chord.fn();
+            } catch (e) {
+                logger.warn('[CTL] chord handler failed', {err: String(e)});
+            }
+            return;
+        }
+        const [lead] = chord.pads;
+        if (this._interceptor?.(lead, 'chord')) return;
+        if (chord.action === 'lock') return this.toggleLock(chord.pads);
+        if (this._locked) {
+            logger.debug('[CTL] chord ignored, deck locked', {pads: chord.pads});
+            return;
+        }
+        if (chord.action === 'tile') return this.tile(chord.pads);
+        await this.runAction(lead, chord.action, 'chord');
+    }
+
+    /** Swipe handler (swipe layer callback). */
+    async onSwipe({direction, row, col, pads, swipe}) {
+        logger.info('[CTL] swipe', {direction, row, col});
+        if (this._interceptor?.(pads[0], 'swipe')) return;
+        if (this._locked) return;
+        const {action} = swipe;
+        if (action === 'nextPage' || action === 'previousPage') {
+            if (!this._pageStepper?.(action === 'nextPage' ? 1 : -1)) logger.debug('[CTL] swipe: no page to show');
+            return;
+        }
+        if (typeof action === 'string') return this.runOnLine(row, col, action);
+        await this.runAction(pads[0], action, 'swipe');
+    }
+
+    /**
+     * Run an app verb on every app pad of a row or column (swipe verbs).
+     * @param {number|undefined} row
+     * @param {number|undefined} col
+     * @param {string} verb
+     */
+    async runOnLine(row, col, verb) {
+        const pads = row !== undefined
+            ? Array.from({length: SCENE_COL + 1}, (_, c) => this.layout.padAt(row, c))
+            : Array.from({length: GRID_ROWS}, (_, r) => this.layout.padAt(r, col));
+        const apps = pads.filter((padId) => padId != null && this.targetFor(padId)?.type === 'app');
+        if (!apps.length) {
+            logger.debug('[CTL] swipe: no app pads on the line', {row, col});
+            return;
+        }
+        await Promise.all(apps.map((padId) => this.runAction(padId, this.targetFor(padId), 'swipe', verb)));
+    }
+
+    /**
+     * Lock or unlock the deck; the chord's pads flash red (locked) or green (unlocked).
+     * @param {ReadonlyArray<number>} pads - Pads to flash.
+     */
+    toggleLock(pads) {
+        this._locked = !this._locked;
+        logger.info(this._locked ? '[CTL] deck locked' : '[CTL] deck unlocked');
+        for (const padId of pads) this._flash(padId, this._locked ? LedState.ERROR : LedState.ACTION_SUCCESS, ACT.resultBusy);
+    }
+
+    /**
+     * Tile the apps of the chord's pads side by side (left → right in chord order).
+     * Every pad must hold an app; otherwise the chord fails.
+     * @param {ReadonlyArray<number>} pads
+     */
+    async tile(pads) {
+        const entries = pads.map((padId) => this.targetFor(padId));
+        const failAll = () => {
+            for (const padId of pads) this._flash(padId, LedState.ERROR, DUR.errorBusy);
+        };
+        if (!entries.every((e) => e?.type === 'app')) {
+            logger.warn('[CTL] tile needs an app on every chord pad', {pads});
+            failAll();
+            return;
+        }
+        for (const padId of pads) this.paintState(padId, LedState.FOCUSING); // optimistic
+        logger.info('[CTL] tile', {pads, apps: entries.map((e) => e.appName)});
+        try {
+            await tileApps(entries, this.app);
+            for (const padId of pads) {
+                this.clearFeedback(padId);
+                _pokeSync?.(padId);
+            }
+        } catch (e) {
+            logger.error('[CTL] tile failed', {pads, err: String(e)});
+            failAll();
+        }
+    }
+
+    /**
+     * Start the hold ramp on a pad that just went down: HOLD_START → HOLD_LONG
+     * up to its long press, then → HOLD_VERY_LONG when it has that tier.
+     * @param {number} padId
+     * @param {number} [at] - When the press happened (replayed presses).
+     */
+    _startHoldRamp(padId, at) {
+        const entry = this.targetFor(padId);
+        if (!entry || this._locked || this.leds.has(Layer.ACTION, padId) || !this.decoder.holding(padId)) return;
+        if (!HOLD_GESTURES.some((g) => binds(entry, g))) return;
+
+        const o = this.decoder.padOptions(padId);
+        const color = (state) => stateToColor(state, entry.colors);
+        const segments = [{
+            at: Math.min(DUR.holdRampDelayMs, o.longPressMs >> 1),
+            until: o.longPressMs,
+            from: color(LedState.HOLD_START),
+            to: color(LedState.HOLD_LONG),
+        }];
+        if (o.veryLongPressMs > o.longPressMs) {
+            segments.push({at: o.longPressMs, until: o.veryLongPressMs, from: color(LedState.HOLD_LONG), to: color(LedState.HOLD_VERY_LONG)});
+        }
+        this._ramps.set(padId, startRamp(this.leds.port(Layer.HOLD), padId, segments, at));
+    }
+
+    /**
+     * Stop a pad's hold ramp (release, fired hold or chord) and uncover the
+     * pad; a hold action paints its feedback right after.
+     * @param {number} padId
+     */
+    _stopHoldRamp(padId) {
+        const stop = this._ramps.get(padId);
+        if (!stop) return;
+        this._ramps.delete(padId);
+        stop();
+        this.leds.clear(Layer.HOLD, padId);
+    }
+
+    /**
+     * Show a progress state on a pad until its action settles.
+     * @param {number} padId
+     * @param {string} state - e.g. LedState.LAUNCHING (blinks in the stock themes).
+     * @param {ReadonlyArray<string>} settledBy - Synced states that mean the action is done.
+     * @returns {{ settledBy: Set<string>|null, releasedAt: number }} Progress record.
+     */
+    _beginProgress(padId, state, settledBy) {
+        const rec = {settledBy: new Set(settledBy), releasedAt: 0};
+        this._progress.set(padId, rec);
+        this.paintState(padId, state);
+        return rec;
+    }
+
+    /**
+     * The action returned: keep its progress up until the sync loop reports the
+     * pad (whatever it finds), so the synced color replaces it directly.
+     * @param {number} padId
+     * @param {{ settledBy: Set<string>|null, releasedAt: number }} rec
+     */
+    _releaseProgress(padId, rec) {
+        if (this._progress.get(padId) !== rec) return;
+        if (!_pokeSync) {
+            this._progress.delete(padId);
+            this.clearFeedback(padId);
+            return;
+        }
+        rec.settledBy = null;
+        rec.releasedAt = Date.now();
+        _pokeSync(padId);
+    }
+
+    /** True while a pad shows a progress state (the sync loop reports it). */
+    inProgress(padId) {
+        return this._progress.has(padId);
+    }
+
+    /**
+     * Called by the sync loop with the state it found for a pad in progress.
+     * @param {number} padId
+     * @param {string} state - Synced LedState (already painted on the sync layer).
+     * @param {number} [queriedAt] - When the loop asked for it (Date.now()).
+     * @returns {boolean} True when that state ended the progress.
+     */
+    settleProgress(padId, state, queriedAt = Date.now()) {
+        const rec = this._progress.get(padId);
+        if (!rec) return false;
+        if (rec.settledBy ? !rec.settledBy.has(state) : queriedAt < rec.releasedAt) return false;
+        if (rec.settledBy) logger.debug('[CTL] progress settled by sync', {padId, state});
+        this._progress.delete(padId);
+        this.clearFeedback(padId);
+        return true;
+    }
+
     /** Lookup mapping for a pad. */
     targetFor(padId) {
         return this.map[padId];
     }
 
     /**
-     * Single press or double‑tap handler.
-     * - Double‑tap → minimize all windows.
-     * - Single press → focus; if not “ok,” launch then focus.
+     * Show a LedState on one LED layer, through the theme and the pad's
+     * overrides; blinking states animate on that layer until it is cleared.
+     * @param {number} layer - A `Layer` value.
+     * @param {number} padId
+     * @param {string} state
      */
-    async onPress(padId, {double}) {
-        const target = this.targetFor(padId);
-        if (!target) {
-            this.lp.setPad(padId, LedStateColors[LedState.UNASSIGNED]);
-            logger.debug('[CTL] press on unassigned pad', {padId});
+    _show(layer, padId, state) {
+        const port = this.leds.port(layer);
+        const colors = this.targetFor(padId)?.colors;
+        stopAnimation(padId, port);
+        if (!isAnimatedState(state, colors)) {
+            port.setPad(padId, stateToColor(state, colors));
             return;
         }
+        const {on, off, hz} = themeEntry(state);
+        startBlink(port, padId, on, off, hz);
+    }
 
-        const hsTarget = asBundleTarget(target.bundleId);
-        const label = target.appName || hsTarget;
+    /** Clear one LED layer of a pad, uncovering the layers below. */
+    _hide(layer, padId) {
+        const port = this.leds.port(layer);
+        stopAnimation(padId, port);
+        port.clearPad(padId);
+    }
 
-        try {
-            if (double) {
-                // Double‑tap → minimize all.
-                this.lp.setPad(padId, LedStateColors[LedState.MINIMIZING]); // optimistic
-                markBusy(padId, DUR.minimizeBusy);
-                logger.info('[CTL] minimize-all', {padId, target: label});
-
-                const r = await this.app.minimizeAll(hsTarget);
-                if (r !== 'ok') { // noinspection ExceptionCaughtLocallyJS
-                    throw new Error(`minimizeAll failed: ${r}`);
-                }
+    /**
+     * Paint action feedback on a pad; it stays until clearFeedback (or the
+     * next feedback) replaces it.
+     * @param {number} padId
+     * @param {string} state
+     */
+    paintState(padId, state) {
+        clearTimeout(this._flashTimers.get(padId));
+        this._flashTimers.delete(padId);
+        this._show(Layer.ACTION, padId, state);
+    }
 
-                if (_pokeSync) setTimeout(() => _pokeSync(padId), DUR.pokeMs);
-                return;
-            }
+    /** Paint action feedback for `ms`, then clear it. */
+    _flash(padId, state, ms) {
+        this.paintState(padId, state);
+        this._flashTimers.set(padId, setTimeout(() => this.clearFeedback(padId), ms));
+    }
 
-            // Single press → focus; if not “ok,” launch then focus.
-            this.lp.setPad(padId, LedStateColors[LedState.FOCUSING]); // optimistic
-            markBusy(padId, DUR.focusBusy);
-            logger.info('[CTL] focus', {padId, target: label});
-
-            let r = await this.app.focus(hsTarget);
-            if (r !== 'ok') {
-                // Not running or focus failed → launch path.
-                this.lp.setPad(padId, LedStateColors[LedState.LAUNCHING]); // optimistic
-                markBusy(padId, DUR.launchBusy);
-                logger.info('[CTL] launch', {padId, target: label});
-
-                const rLaunch = await this.app.launch(hsTarget);
-                if (rLaunch !== 'ok') { // noinspection ExceptionCaughtLocallyJS
-                    throw new Error(`launch failed: ${rLaunch}`);
-                }
+    /**
+     * Clear a pad's action feedback, uncovering the synced color.
+     * @param {number} padId
+     */
+    clearFeedback(padId) {
+        clearTimeout(this._flashTimers.get(padId));
+        this._flashTimers.delete(padId);
+        this._hide(Layer.ACTION, padId);
+    }
 
-                await sleep(DUR.postLaunchFocusDelay);
-                r = await this.app.focus(hsTarget);
-                if (r !== 'ok') {
-                    logger.warn('[CTL] focus after launch returned non-ok', {padId, target: label, r});
-                }
-            }
+    /** Drop a pad's feedback and progress; actions in flight for it stop painting. */
+    _dropFeedback(padId) {
+        this._epochs.set(padId, (this._epochs.get(padId) ?? 0) + 1);
+        this._progress.delete(padId);
+        this.clearFeedback(padId);
+    }
 
-            if (_pokeSync) setTimeout(() => _pokeSync(padId), DUR.pokeMs);
-        } catch (e) {
-            logger.error('[CTL] press failed', {padId, target: label, err: String(e)});
-            this.lp.setPad(padId, LedStateColors[LedState.ERROR]);
-            markBusy(padId, DUR.errorBusy);
+    /**
+     * Single press, double‑tap or triple‑tap handler.
+     * Dispatches to the pad's action type (see actions/registry.js).
+     */
+    async onPress(padId, {taps}) {
+        const gesture = TAP_GESTURES[taps];
+        if (this._modifiers.has(padId)) return;
+        if (this._interceptor?.(padId, gesture)) return;
+        if (this._locked) return;
+        const target = this.targetFor(padId);
+        if (!target) {
+            logger.debug('[CTL] press on unassigned pad', {padId});
+            return;
         }
+        await this.dispatch(padId, target, gesture, this._shifted.has(padId));
     }
 
     /**
-     * Long‑press handler → closes all windows (keep the process running).
-     * Shows a short red blink first, then updates LED to “stopped.”
-     *
-     * Optimization:
-     * - If the app is running and fully minimized (no visible windows),
-     *   prefer a fast-close path that does not unminimize windows first
-     *   (integration method `closeAllFast`, when available).
+     * Hold handler (long‑press, very‑long‑press or tap‑hold).
+     * Dispatches to the pad's action type.
      */
-    async onLongPress(padId) {
+    async onLongPress(padId, kind = 'longPress') {
+        this._stopHoldRamp(padId);
+        if (this._modifiers.has(padId)) return;
+        if (this._interceptor?.(padId, kind)) return;
+        if (this._locked) return;
         const target = this.targetFor(padId);
         if (!target) return;
+        await this.dispatch(padId, target, kind, this._shifted.has(padId));
+    }
 
-        const hsTarget = asBundleTarget(target.bundleId);
-        const label = target.appName || hsTarget;
+    /**
+     * Resolve a gesture against the pad's bindings, falling back to the type defaults.
+     * Shifted gestures use the pad's `alt` binding when it has one for the gesture.
+     * @param {number} padId
+     * @param {{type:string, bindings?:Record<string, string|object|null>, alt?:Record<string, string|object|null>}} entry
+     * @param {'press'|'doubleTap'|'tripleTap'|'longPress'|'veryLongPress'|'tapHold'} gesture
+     * @param {boolean} [shifted] - The pad went down while a modifier was held.
+     */
+    async dispatch(padId, entry, gesture, shifted = false) {
+        const useAlt = shifted && entry.alt?.[gesture] !== undefined;
+        if (useAlt) logger.debug('[CTL] alt binding', {padId, gesture});
+        const binding = useAlt ? entry.alt[gesture] : entry.bindings?.[gesture];
+        if (binding === null) return; // explicitly disabled
+        if (binding === undefined) {
+            if (!getActionType(entry.type)?.gestures.includes(gesture)) return;
+            return this.runAction(padId, entry, gesture);
+        }
+        if (typeof binding === 'string') return this.runAction(padId, entry, gesture, binding);
+        return this.runAction(padId, binding, gesture);
+    }
 
-        try {
-            // Pre‑close visual cue.
-            markBusy(padId, DUR.quitBusy);
-            logger.info('[CTL] close-all (long-press)', {padId, target: label});
-            await blinkQuit(this.lp, padId, LedStateColors[LedState.QUITTING], DUR.quitBlinkMs);
+    /**
+     * Run a pad action with its type's LED feedback.
+     * - `running` is painted before the action starts.
+     * - `success`/`failure` are painted after it settles, then cleared after
+     *   `resultBusy` / `errorBusy` so the synced color shows again.
+     * - A progress state the action shows through `ctx.progress` lasts until
+     *   the sync loop reports the pad after the action returned (or sees the
+     *   state the action was heading for, see settleProgress).
+     * - Without success feedback or progress, the feedback clears on return.
+     *
+     * @param {number} padId
+     * @param {{type?:string, appName?:string, name?:string}} entry - Normalized pad (or bound action) config.
+     * @param {'press'|'doubleTap'|'tripleTap'|'longPress'|'veryLongPress'|'tapHold'|'chord'|'swipe'} gesture
+     * @param {string} [verb] - Bound verb for types that offer verbs (e.g. "maximize").
+     */
+    async runAction(padId, entry, gesture, verb) {
+        const def = getActionType(entry.type);
+        const label = entry.appName || entry.name || entry.type;
+        if (!def) {
+            logger.warn('[CTL] unknown action type', {padId, type: entry.type});
+            return;
+        }
 
-            // Check the current state to decide the best close strategy.
-            let minimizedOnly = false;
-            try {
-                const st = await this.app.getState?.(hsTarget);
-                minimizedOnly = !!(st && st.running && (st.allMinimized || st.visibleCount === 0));
-            } catch {
-                // Ignore state errors; we'll fall back to the regular path.
-            }
+        const fb = def.feedback || {};
+        const epoch = this._epochs.get(padId);
+        const live = () => this._epochs.get(padId) === epoch; // mapping unchanged
+        const paint = (state) => {
+            if (live()) this.paintState(padId, state);
+        };
+        let progress = null;
+        const ctx = {
+            padId,
+            gesture,
+            verb,
+            label,
+            app: this.app,
+            lp: this.leds.port(Layer.ACTION),
+            paint,
+            color: (state) => stateToColor(state, this.targetFor(padId)?.colors),
+            progress: (state, settledBy = []) => {
+                if (live()) progress = this._beginProgress(padId, state, settledBy);
+            },
+            poke: (delayMs = DUR.pokeMs) => {
+                if (_pokeSync) setTimeout(() => _pokeSync(padId), delayMs);
+            },
+        };
 
-            const closeFn =
-                (minimizedOnly && typeof this.app.closeAllFast === 'function')
-                    ? this.app.closeAllFast.bind(this.app)
-                    : this.app.closeAll.bind(this.app);
+        // Progress handed back to the sync loop, or dropped when a result replaces it.
+        const endProgress = (release) => {
+            if (progress && this._progress.get(padId) === progress) {
+                if (release) return this._releaseProgress(padId, progress);
+                this._progress.delete(padId);
+            }
+        };
 
-            const r = await closeFn(hsTarget);
-            if (r !== 'ok') { // noinspection ExceptionCaughtLocallyJS
-                throw new Error(`closeAll failed: ${r}`);
+        try {
+            if (fb.running) {
+                paint(fb.running); // optimistic
+                logger.info(`[CTL] ${def.type}`, {padId, gesture, target: label});
             }
 
-            // Assigned but currently stopped/hidden.
-            this.lp.setPad(padId, LedStateColors[LedState.ASSIGNED_STOPPED]);
-            if (_pokeSync) setTimeout(() => _pokeSync(padId), DUR.pokeMs + 30);
+            await def.run(entry, ctx);
+            if (!live()) return;
+
+            if (fb.success) {
+                endProgress(false);
+                this._flash(padId, fb.success, ACT.resultBusy);
+            } else if (progress) {
+                endProgress(true);
+            } else {
+                this.clearFeedback(padId);
+            }
         } catch (e) {
-            logger.error('[CTL] long-press failed', {padId, target: label, err: String(e)});
-            this.lp.setPad(padId, LedStateColors[LedState.ERROR]);
-            markBusy(padId, DUR.errorBusy);
+            logger.error('[CTL] action failed', {padId, type: def.type, gesture, verb, target: label, err: String(e)});
+            if (!live()) return;
+            endProgress(false);
+            this._flash(padId, fb.failure || LedState.ERROR, DUR.errorBusy);
         }
     }
 }
@@ -219,10 +806,10 @@ export class AppController {
 /**
  * Factory to create a controller with the default Hammerspoon integration.
  *
- * @param {{ lpPort:any, appMappings: Record<number,{appName:string,bundleId:string}> }} args
+ * @param {{ lpPort:any, leds?: LedCompositor, appMappings: Record<number,{type:string} & Record<string, unknown>>, layout?: import('../launchpad/layout.js').Layout }} args
  * @returns {AppController}
  */
-export function createAppController({lpPort, appMappings}) {
+export function createAppController({lpPort, leds, appMappings, layout}) {
     const appService = getIntegration();
-    return new AppController({appService, lpPort, appMappings});
+    return new AppController({appService, lpPort, leds, appMappings, layout});
 }
@@ -0,0 +1,226 @@
+/**
+ * LearnMode — bind pads from the device instead of editing the config file.
+ *
+ * Responsibilities
+ * - Enter/leave learn mode (pad chord or the `--learn` CLI flag).
+ * - Light the free pads of the visible layout so they are easy to find.
+ * - Tap a pad → it blinks until the next app comes to the front; that app
+ *   (bundle ID + name from Hammerspoon) is saved as the pad's binding.
+ *   Tapping a mapped pad rebinds it; tapping the waiting pad again cancels.
+ * - Scroll app names across the grid: the app a tapped pad is bound to, and
+ *   the app it gets bound to.
+ * - Long-press (any hold) a mapped pad → its binding is removed.
+ *
+ * Design notes
+ * - Gestures reach this module through the controller's interceptor, so while
+ *   learn mode is on no pad, config chord or swipe runs its action (page buttons still work).
+ * - "Next app" means the frontmost app changes after the tap: the terminal
+ *   running the deck is not captured by accident. No change within
+ *   `TIMINGS.learn.timeoutMs` cancels the capture.
+ * - Saving is delegated to `save(padId, entry|null)` (main writes the config
+ *   file and applies the result), so the new binding is live right away.
+ * - Everything learn mode lights is drawn on the compositor's alert layer
+ *   (`lpPort` is that layer's port) and cleared when done, which uncovers the
+ *   pad's synced color.
+ */
+
+import {LedState} from '../launchpad/states.js';
+import {stateToColor} from '../launchpad/led-state-machine.js';
+import {isPattern, themeEntry} from '../launchpad/themes.js';
+import {startBlink, stopAnimation} from '../launchpad/led-animator.js';
+import {logger} from '../utils/logger.js';
+import {TIMINGS} from '../config/timings.js';
+
+const LEARN = TIMINGS.learn;
+
+/** Gestures that unbind a mapped pad (every hold tier). */
+const HOLDS = new Set(['longPress', 'veryLongPress', 'tapHold']);
+
+/** Grid keys of the default chord that toggles learn mode (top and bottom scene buttons). */
+export const LEARN_CHORD = Object.freeze(['r0c8', 'r7c8']);
+
+/**
+ * Create the learn mode controller.
+ *
+ * @param {{
+ *   controller: { setInterceptor: Function, addChord: Function, targetFor: (padId:number) => object|undefined, isModifier?: (padId:number) => boolean },
+ *   appService: { frontmostApp: () => Promise<{bundleId:string, name:string}|null> },
+ *   lpPort: { setPad: (id:number, color:[number,number]) => void, clearPad: (id:number) => void },
+ *   layout: import('../launchpad/layout.js').Layout,
+ *   save: (padId: number, entry: {appName:string, bundleId:string}|null) => Promise<void>,
+ *   showText?: ((text:string, color:[number,number]) => Promise<boolean>) | null,
+ * }} deps
+ * @returns {{ enter: () => void, exit: () => void, toggle: () => void, active: () => boolean, stop: () => void }}
+ */
+export function createLearnMode({controller, appService, lpPort, layout, save, showText = null}) {
+    let on = false;
+    let pending = null; // { padId, stopBlink, cancelled }
+    let refreshTimer = null;
+    const lit = new Set(); // free pads painted by learn mode
+
+    const chordPads = LEARN_CHORD.map((key) => {
+        const [, row, col] = /^r(\d)c(\d)$/.exec(key);
+        return layout.padAt(Number(row), Number(col));
+    });
+
+    /** Grid pads that can be learned (no top row, no chord or modifier pads). */
+    const learnable = (padId) => !chordPads.includes(padId) && !controller.isModifier?.(padId)
+        && (layout.coordsOf(padId)?.row ?? -1) >= 0;
+
+    /** Light free pads; mapped pads show their synced color. */
+    function refresh() {
+        refreshTimer = null;
+        if (!on) return;
+        for (const padId of layout.padIds()) {
+            if (!learnable(padId) || padId === pending?.padId) continue;
+            const free = !controller.targetFor(padId);
+            if (free && !lit.has(padId)) {
+                lit.add(padId);
+                lpPort.setPad(padId, stateToColor(LedState.LEARN_FREE));
+            } else if (!free && lit.delete(padId)) {
+                lpPort.clearPad(padId);
+            }
+        }
+        refreshTimer = setTimeout(refresh, LEARN.pollMs * 4);
+    }
+
+    function clearLit() {
+        for (const padId of lit) lpPort.clearPad(padId);
+        lit.clear();
+    }
+
+    /** Stop waiting for an app; the pad goes back to its normal color. */
+    function cancelPending(reason) {
+        const p = pending;
+        if (!p) return;
+        pending = null;
+        p.cancelled = true;
+        p.stopBlink();
+        lit.delete(p.padId);
+        lpPort.clearPad(p.padId);
+        logger.info('[LEARN] capture cancelled', {padId: p.padId, reason});
+        if (on) refresh();
+    }
+
+    /** Flash the result briefly, then hand the pad back. */
+    function flash(padId, state) {
+        stopAnimation(padId, lpPort);
+        const entry = themeEntry(state);
+        lpPort.setPad(padId, isPattern(entry) ? entry.on : stateToColor(state)); // a flash is solid
+        setTimeout(() => {
+            if (pending?.padId === padId) return; // tapped again meanwhile: the waiting blink owns it
+            lit.delete(padId);
+            lpPort.clearPad(padId);
+            if (on) refresh();
+        }, TIMINGS.actions.resultBusy);
+    }
+
+    /** Wait for the frontmost app to change, then save it on `p.padId`. */
+    async function capture(p) {
+        let start = null;
+        try {
+            start = (await appService.frontmostApp())?.bundleId ?? null;
+        } catch (e) {
+            logger.warn('[LEARN] frontmost app lookup failed', {err: String(e)});
+        }
+        const deadline = Date.now() + LEARN.timeoutMs;
+
+        while (!p.cancelled && Date.now() < deadline) {
+            await new Promise((r) => setTimeout(r, LEARN.pollMs));
+            if (p.cancelled) return;
+            let app = null;
+            try {
+                app = await appService.frontmostApp();
+            } catch {
+                continue;
+            }
+            if (!app || app.bundleId === start) continue;
+
+            pending = null;
+            p.stopBlink();
+            const entry = {appName: app.name, bundleId: app.bundleId};
+            try {
+                await save(p.padId, entry);
+                logger.info('[LEARN] pad bound', {padId: p.padId, ...entry});
+                flash(p.padId, LedState.ACTION_SUCCESS);
+                showText?.(app.name, stateToColor(LedState.ACTION_SUCCESS));
+            } catch (e) {
+                logger.error('[LEARN] saving the binding failed\n' + (e?.message || e));
+                flash(p.padId, LedState.ERROR);
+            }
+            return;
+        }
+        if (!p.cancelled) cancelPending('timeout');
+    }
+
+    /** Start waiting for an app to bind to `padId`. */
+    function arm(padId) {
+        cancelPending('another pad');
+        const blink = startBlink(lpPort, padId, stateToColor(LedState.LEARN_WAITING), stateToColor(LedState.UNASSIGNED));
+        pending = {padId, stopBlink: blink, cancelled: false};
+        logger.info('[LEARN] waiting for an app to come to the front', {padId});
+        capture(pending);
+    }
+
+    async function remove(padId) {
+        if (pending?.padId === padId) cancelPending('removed');
+        try {
+            await save(padId, null);
+            logger.info('[LEARN] pad unbound', {padId});
+            flash(padId, LedState.QUITTING);
+        } catch (e) {
+            logger.error('[LEARN] removing the binding failed\n' + (e?.message || e));
+            flash(padId, LedState.ERROR);
+        }
+    }
+
+    /** Controller interceptor: consume every grid gesture while learning. */
+    function onGesture(padId, gesture) {
+        if (!on) return false;
+        if (gesture === 'chord' || gesture === 'swipe' || !learnable(padId)) return true;
+        if (HOLDS.has(gesture)) {
+            if (controller.targetFor(padId)) remove(padId);
+            return true;
+        }
+        if (pending?.padId === padId) {
+            cancelPending('tapped again');
+        } else {
+            arm(padId);
+            const bound = controller.targetFor(padId);
+            if (bound?.appName) showText?.(bound.appName, stateToColor(LedState.LEARN_WAITING));
+        }
+        return true;
+    }
+
+    function enter() {
+        if (on) return;
+        on = true;
+        logger.info('[LEARN] on — tap a pad, then switch to the app to bind; long-press a pad to unbind');
+        refresh();
+    }
+
+    function exit() {
+        if (!on) return;
+        on = false;
+        cancelPending('learn mode off');
+        clearTimeout(refreshTimer);
+        refreshTimer = null;
+        clearLit();
+        logger.info('[LEARN] off');
+    }
+
+    controller.setInterceptor(onGesture);
+    const removeChord = controller.addChord(chordPads, () => (on ? exit() : enter()));
+
+    return {
+        enter,
+        exit,
+        toggle: () => (on ? exit() : enter()),
+        active: () => on,
+        stop: () => {
+            exit();
+            removeChord();
+            controller.setInterceptor(null);
+        },
+    };
+}
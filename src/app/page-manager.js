@@ -0,0 +1,193 @@
+/**
+ * PageManager — named banks of pad mappings, switched from the top-row buttons.
+ *
+ * Responsibilities
+ * - Own the list of pages and which one is visible.
+ * - Route top-row button presses (via the controller's control handler) to page switches,
+ *   and `nextPage` / `previousPage` swipes (via the controller's page stepper).
+ * - Push the visible page's table into the controller and the state-sync loop,
+ *   so only that page is polled and painted.
+ * - Light the active page's button; other page buttons stay dim.
+ * - Remember each page's last LED colors so switching back repaints instantly.
+ * - Show a context profile in place of the active page while its app is
+ *   frontmost (driven by profile-switcher.js), cross-fading the LEDs.
+ * - Scroll the page name across the grid when the user switches pages.
+ *
+ * Design notes
+ * - A page switch is just a table swap (same path as config hot-reload):
+ *   pads mapped identically on both pages are left untouched (feedback and
+ *   gesture timing survive), and the sync loop confirms the rest on its next tick.
+ * - With a single page the top row is left alone (buttons stay off and unclaimed).
+ * - The page name is only scrolled for switches from the device (buttons and
+ *   swipes), not for profile switches or config reloads. `showText` repaints
+ *   the grid from the new page when the text is done.
+ * - While a profile is shown no page button is lit as active; pressing one
+ *   leaves the profile and shows that page until the frontmost app changes.
+ */
+
+import {LedState} from '../launchpad/states.js';
+import {stateToColor} from '../launchpad/led-state-machine.js';
+import {getLayout} from '../launchpad/layout.js';
+import {logger} from '../utils/logger.js';
+
+/**
+ * @typedef {{ name: string, button: number, mappings: Readonly<Record<number, object>> }} Page
+ * @typedef {{ name: string, bundleIds: ReadonlyArray<string>, mappings: Readonly<Record<number, object>> }} Profile
+ */
+
+/**
+ * Create a page manager.
+ *
+ * @param {{
+ *   pages: ReadonlyArray<Page>,
+ *   layout?: import('../launchpad/layout.js').Layout,
+ *   lpPort: { setPad: (id:number, color:[number,number]) => void }, // the compositor's sync layer
+ *   controller: {
+ *     setMappings: (m:object) => void,
+ *     setControlHandler: (fn:((padId:number)=>boolean)|null) => void,
+ *     setPageStepper: (fn:((delta:number)=>boolean)|null) => void,
+ *   },
+ *   sync?: { setMappings: (m:object, opts?:object) => object, snapshot: () => Map<number, [number,number]> } | null,
+ *   showText?: ((text:string, color:[number,number]) => Promise<boolean>) | null,
+ * }} deps
+ * @returns {{
+ *   activePage: () => Page,
+ *   activeMappings: () => Readonly<Record<number, object>>,
+ *   showPage: (nameOrIndex: string|number) => boolean,
+ *   step: (delta: number) => boolean,
+ *   setPages: (pages: ReadonlyArray<Page>) => void,
+ *   showProfile: (profile: Profile|null) => boolean,
+ *   activeProfile: () => Profile|null,
+ *   setSync: (sync: object|null) => void,
+ *   buttonPads: () => number[],
+ * }}
+ */
+export function createPageManager({pages, layout = getLayout(), lpPort, controller, sync = null, showText = null}) {
+    const buttonPadIds = layout.topRowPadIds;
+    let list = pages;
+    let active = 0;
+    let profile = null; // context profile shown instead of the active page
+    const snapshots = new Map(); // layout key → Map<padId, color>
+
+    const current = () => list[active];
+    const visible = () => profile ?? current();
+    const layoutKey = () => profile ? `profile:${profile.name}` : `page:${current().name}`;
+    const multi = () => list.length > 1;
+
+    /** Light the active page button; others dim; unused buttons off. */
+    function paintButtons() {
+        const used = new Map(list.map((p, i) => [p.button, i]));
+        buttonPadIds.forEach((padId, button) => {
+            const idx = used.get(button);
+            let state = LedState.UNASSIGNED;
+            if (multi() && idx != null) state = (idx === active && !profile) ? LedState.PAGE_ACTIVE : LedState.PAGE_AVAILABLE;
+            lpPort.setPad(padId, stateToColor(state));
+        });
+    }
+
+    /** Push the visible table into controller and sync. */
+    function apply(seed, {fade = false} = {}) {
+        const {mappings} = visible();
+        controller.setMappings(mappings);
+        sync?.setMappings(mappings, {seed, fade});
+    }
+
+    /**
+     * Switch to a page by name or index.
+     * @param {string|number} nameOrIndex
+     * @returns {boolean} true if the visible page changed.
+     */
+    function showPage(nameOrIndex) {
+        const idx = (typeof nameOrIndex === 'number')
+            ? nameOrIndex
+            : list.findIndex((p) => p.name === nameOrIndex);
+        if (idx < 0 || idx >= list.length || (idx === active && !profile)) return false;
+
+        const leaving = !!profile;
+        if (sync) snapshots.set(layoutKey(), sync.snapshot());
+        active = idx;
+        profile = null;
+        apply(snapshots.get(layoutKey()), {fade: leaving});
+        paintButtons();
+        showText?.(current().name, stateToColor(LedState.PAGE_ACTIVE));
+        logger.info('[PAGE] show', {page: current().name});
+        return true;
+    }
+
+    /**
+     * Show a context profile in place of the active page (null → back to the page).
+     * Passing a different object with the same name (config reload) re-applies it.
+     * @param {Profile|null} next
+     * @returns {boolean} true if the visible layout changed.
+     */
+    function showProfile(next) {
+        if ((next ?? null) === profile) return false;
+
+        if (sync) snapshots.set(layoutKey(), sync.snapshot());
+        profile = next ?? null;
+        apply(snapshots.get(layoutKey()), {fade: true});
+        paintButtons();
+        logger.info('[PAGE] profile', {profile: profile?.name ?? null, page: current().name});
+        return true;
+    }
+
+    /**
+     * Show the page `delta` places after the active one (wrapping around).
+     * @param {number} delta - 1 for the next page, -1 for the previous one.
+     * @returns {boolean} true if the visible page changed.
+     */
+    function step(delta) {
+        if (!multi()) return false;
+        const n = list.length;
+        return showPage((((active + delta) % n) + n) % n);
+    }
+
+    /** Control-button handler: consume presses on buttons that select a page. */
+    function onControl(padId) {
+        if (!multi()) return false;
+        const button = buttonPadIds.indexOf(padId);
+        if (button < 0) return false;
+        const idx = list.findIndex((p) => p.button === button);
+        if (idx < 0) return false;
+        showPage(idx);
+        return true;
+    }
+
+    /**
+     * Replace the page list (config hot-reload). Keeps the visible page by name
+     * when it still exists, else falls back to the first page.
+     * @param {ReadonlyArray<Page>} next
+     */
+    function setPages(next) {
+        const name = current()?.name;
+        list = next;
+        const idx = list.findIndex((p) => p.name === name);
+        active = idx >= 0 ? idx : 0;
+        for (const key of snapshots.keys()) {
+            if (key.startsWith('page:') && !list.some((p) => `page:${p.name}` === key)) snapshots.delete(key);
+        }
+        apply();
+        paintButtons();
+    }
+
+    controller.setControlHandler(onControl);
+    controller.setPageStepper(step);
+    controller.setMappings(current().mappings);
+    paintButtons();
+
+    return {
+        activePage: current,
+        activeMappings: () => visible().mappings,
+        showPage,
+        step,
+        setPages,
+        showProfile,
+        activeProfile: () => profile,
+        /** Attach the sync loop once it is running (it is started after the controller). */
+        setSync: (s) => {
+            sync = s;
+        },
+        /** Top-row pads currently lit as page buttons (for shutdown visuals). */
+        buttonPads: () => multi() ? list.map((p) => buttonPadIds[p.button]) : [],
+    };
+}
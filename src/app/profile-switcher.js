@@ -0,0 +1,100 @@
+/**
+ * ProfileSwitcher — context layouts that follow the frontmost app.
+ *
+ * Responsibilities
+ * - Map each profile's bundle IDs to Hammerspoon targets and register them with
+ *   the state-sync loop as watch targets (polled even when no pad maps them).
+ * - React to the sync's frontmost-target reports: show the matching profile,
+ *   or go back to the active page when focus leaves every profile app.
+ * - Swap profiles on config hot-reload, keeping the current one by name.
+ *
+ * Design notes
+ * - Focus must stay on the same target for `TIMINGS.profiles.settleMs` before a
+ *   switch, so Cmd+Tab-ing through apps or a transient panel does not flash layouts.
+ * - The actual swap (cross-fade, dropping stale feedback, snapshots) belongs to the
+ *   page manager and the sync loop; this module only decides *which* layout.
+ */
+
+import {asBundleTarget} from './actions/app.js';
+import {logger} from '../utils/logger.js';
+import {TIMINGS} from '../config/timings.js';
+
+/**
+ * @typedef {import('./page-manager.js').Profile} Profile
+ */
+
+/**
+ * Create a profile switcher.
+ *
+ * @param {{
+ *   profiles: ReadonlyArray<Profile>,
+ *   pager: { showProfile: (p: Profile|null) => boolean },
+ *   settleMs?: number,
+ * }} deps
+ * @returns {{
+ *   watchTargets: () => string[],
+ *   onFocusChange: (target: string|null) => void,
+ *   setProfiles: (profiles: ReadonlyArray<Profile>) => void,
+ *   setSync: (sync: { setWatchTargets: (t: string[]) => void } | null) => void,
+ *   stop: () => void,
+ * }}
+ */
+export function createProfileSwitcher({profiles, pager, settleMs = TIMINGS.profiles.settleMs}) {
+    let byTarget = new Map(); // "bundle:…" → profile
+    let sync = null;
+    let front = null; // last reported frontmost watched target
+    let timer = null;
+
+    function index(list) {
+        byTarget = new Map();
+        for (const p of list || []) {
+            for (const id of p.bundleIds) byTarget.set(asBundleTarget(id), p);
+        }
+    }
+
+    /** Show the profile for the current frontmost target (or none). */
+    function applyFront() {
+        timer = null;
+        const profile = (front && byTarget.get(front)) || null;
+        pager.showProfile(profile);
+    }
+
+    /**
+     * Sync callback: the frontmost watched target changed.
+     * @param {string|null} target
+     */
+    function onFocusChange(target) {
+        front = target;
+        clearTimeout(timer);
+        timer = setTimeout(applyFront, settleMs);
+    }
+
+    /**
+     * Replace the profile list (config hot-reload).
+     * @param {ReadonlyArray<Profile>} next
+     */
+    function setProfiles(next) {
+        index(next);
+        sync?.setWatchTargets([...byTarget.keys()]);
+        clearTimeout(timer);
+        applyFront();
+        logger.info('[PROFILE] profiles updated', {profiles: (next || []).length});
+    }
+
+    index(profiles);
+
+    return {
+        /** Targets the sync loop should poll for frontmost changes. */
+        watchTargets: () => [...byTarget.keys()],
+        onFocusChange,
+        setProfiles,
+        /** Attach the sync loop once it is running (it is started after the switcher). */
+        setSync: (s) => {
+            sync = s;
+        },
+        stop: () => {
+            clearTimeout(timer);
+            timer = null;
+        },
+    };
+}
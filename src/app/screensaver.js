@@ -0,0 +1,153 @@
+/**
+ * Screensaver — rests the deck after a while without pad input, and caps LED
+ * intensity at night.
+ *
+ * Responsibilities
+ * - Count idle time from the last pad press; after `screensaver.afterMinutes`
+ *   run a slow low-intensity wave over the deck (`ambient`) or drop every pad
+ *   to its dim color (`dim`).
+ * - Wake on the next press. That press is swallowed (through the controller's
+ *   wake handler), so it runs nothing.
+ * - Cap LED intensity at `nightMode.maxLevel` between `nightMode.from` and
+ *   `nightMode.to` (local time; the window may cross midnight).
+ *
+ * Design notes
+ * - The ambient wave plays on the compositor's screensaver layer, the top
+ *   one, so waking only clears that layer to uncover the current colors. The
+ *   sync loop keeps running underneath.
+ * - `dim` and night mode are intensity caps on the compositor (`setMaxLevel`):
+ *   the layers keep their colors and the device shows them capped.
+ * - The night window is checked once a minute.
+ */
+
+import {Layer} from '../launchpad/led-compositor.js';
+import {LedState} from '../launchpad/states.js';
+import {stateToColor} from '../launchpad/led-state-machine.js';
+import {startWave} from '../launchpad/led-animator.js';
+import {logger} from '../utils/logger.js';
+import {TIMINGS} from '../config/timings.js';
+
+/** How often the night window is checked (ms). */
+const NIGHT_CHECK_MS = 60000;
+
+/**
+ * Create the screensaver.
+ *
+ * @param {{
+ *   controller: { setWakeHandler: (fn:((padId:number) => boolean)|null) => void },
+ *   leds: import('../launchpad/led-compositor.js').LedCompositor,
+ *   layout: import('../launchpad/layout.js').Layout,
+ *   screensaver?: { afterMinutes: number, style: 'ambient'|'dim' } | null,
+ *   nightMode?: { from: number, to: number, maxLevel: number } | null,
+ *   now?: () => Date,
+ * }} deps - `nightMode` times are minutes after midnight (see config-schema.js).
+ * @returns {{
+ *   setConfig: (screensaver: object|null, nightMode: object|null) => void,
+ *   asleep: () => boolean,
+ *   stop: () => void,
+ * }}
+ */
+export function createScreensaver({controller, leds, layout, screensaver = null, nightMode = null, now = () => new Date()}) {
+    let saver = screensaver;
+    let night = nightMode;
+    let asleep = false;
+    let idleTimer = null;
+    let stopWave = null;
+    let nightOn = false;
+
+    const port = leds.port(Layer.SCREENSAVER);
+
+    function inNightWindow() {
+        if (!night) return false;
+        const d = now();
+        const minute = d.getHours() * 60 + d.getMinutes();
+        return night.from < night.to
+            ? minute >= night.from && minute < night.to
+            : minute >= night.from || minute < night.to;
+    }
+
+    /** Apply the tightest cap in force (night mode, dim screensaver). */
+    function applyLevel() {
+        const nightNow = inNightWindow();
+        if (nightNow !== nightOn) {
+            nightOn = nightNow;
+            logger.info(nightOn ? '[IDLE] night mode on' : '[IDLE] night mode off');
+        }
+        let level = nightOn ? night.maxLevel : 3;
+        if (asleep && saver?.style === 'dim') level = Math.min(level, 1);
+        leds.setMaxLevel(level);
+    }
+
+    function sleep() {
+        idleTimer = null;
+        if (asleep || !saver) return;
+        asleep = true;
+        if (saver.style === 'ambient') {
+            const A = TIMINGS.animations.screensaver;
+            const groupOf = (padId) => {
+                const c = layout.coordsOf(padId);
+                return c ? c.row + 1 + c.col : 0;
+            };
+            stopWave = startWave(port, layout.padIds(), groupOf, stateToColor(LedState.UNASSIGNED),
+                stateToColor(LedState.SCREENSAVER), A.periodMs, A.staggerMs);
+        }
+        applyLevel();
+        logger.info('[IDLE] screensaver on', {style: saver.style});
+    }
+
+    function wake() {
+        if (!asleep) return;
+        asleep = false;
+        stopWave?.();
+        stopWave = null;
+        leds.clearLayer(Layer.SCREENSAVER);
+        applyLevel();
+        logger.info('[IDLE] screensaver off');
+    }
+
+    /** Restart the idle countdown. */
+    function arm() {
+        clearTimeout(idleTimer);
+        idleTimer = saver ? setTimeout(sleep, saver.afterMinutes * 60000) : null;
+    }
+
+    /** Controller wake handler: every press restarts the countdown; the one that wakes the deck is swallowed. */
+    function onPress() {
+        const wasAsleep = asleep;
+        wake();
+        arm();
+        return wasAsleep;
+    }
+
+    /**
+     * Replace the settings (config hot-reload). A changed screensaver wakes the
+     * deck and restarts the countdown.
+     * @param {{ afterMinutes: number, style: string }|null} nextSaver
+     * @param {{ from: number, to: number, maxLevel: number }|null} nextNight
+     */
+    function setConfig(nextSaver, nextNight) {
+        night = nextNight ?? null;
+        if (JSON.stringify(nextSaver ?? null) !== JSON.stringify(saver)) {
+            wake();
+            saver = nextSaver ?? null;
+            arm();
+        }
+        applyLevel();
+    }
+
+    const nightTimer = setInterval(applyLevel, NIGHT_CHECK_MS);
+    controller.setWakeHandler(onPress);
+    arm();
+    applyLevel();
+
+    return {
+        setConfig,
+        asleep: () => asleep,
+        stop: () => {
+            clearTimeout(idleTimer);
+            clearInterval(nightTimer);
+            controller.setWakeHandler(null);
+            wake();
+        },
+    };
+}
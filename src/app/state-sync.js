@@ -1,61 +1,129 @@
 // Periodic LED state synchronization loop for Launchpad pads.
 // Runs in bulk to minimize CPU usage and latency while avoiding overlapping ticks.
 // Designed for continuous updates to reflect application states accurately.
+// The pad table can be swapped at runtime (config hot-reload) via setMappings().
+// Pads whose action type has no OS target (url, shell, …) show their idle color.
+// Extra "watch" targets are queried every tick only to report which of them is
+// frontmost (used by context profiles); table swaps may cross-fade the LEDs.
+// Colors come from the active theme and each pad's `colors` overrides; states
+// whose theme entry blinks are repainted on a short frame timer.
+// A pad may stand for several targets (app groups); it shows the strongest of
+// their states.
+// The loop draws into the bottom layer of the LED compositor (it is handed that
+// layer's port), so it paints every pad on every tick: action feedback and
+// overlays sit on higher layers and simply cover it until they are cleared.
+// Pads showing an action's progress report what the loop sees to the `progress`
+// hook, which may end the progress there.
 
-import {isBusy} from '../utils/busy-registry.js';
-import {LedState, LedStateColors} from '../launchpad/states.js';
-import {stateToColor} from '../launchpad/led-state-machine.js';
+import {LedState} from '../launchpad/states.js';
+import {mixColors as mix, sameColor} from '../launchpad/led-colors.js';
+import {isAnimatedState, stateToColor} from '../launchpad/led-state-machine.js';
 import {logger} from '../utils/logger.js';
 import {TIMINGS} from '../config/timings.js';
+import {diffMappings} from '../config/mapping-diff.js';
+import {getActionType} from './actions/index.js';
 
 /**
- * Ensures the target string is prefixed with "bundle:".
- * @param {string} bundleId - Application bundle identifier.
- * @returns {string} - Normalized bundle target string.
+ * Builds the per-target indexes used for bulk queries.
+ * @param {Object} appMappings - Mapping of pad IDs to pad configurations.
+ * @returns {{ groups: Map<string, number[]>, padToTargets: Map<number, string[]>, idlePads: Map<number, string> }}
+ *          `padToTargets` lists every target of a pad (several for app groups);
+ *          `idlePads` maps target-less pads to their idle LedState.
  */
-const asBundleTarget = (bundleId) =>
-    (typeof bundleId === 'string' && bundleId.startsWith('bundle:')) ? bundleId : `bundle:${bundleId}`;
+function buildIndex(appMappings) {
+    const groups = new Map();
+    const padToTargets = new Map();
+    const idlePads = new Map();
+    for (const [padStr, cfg] of Object.entries(appMappings || {})) {
+        const padId = Number(padStr);
+        if (!Number.isFinite(padId) || !cfg) continue;
+        const def = getActionType(cfg.type);
+        if (!def?.target) {
+            if (def?.feedback?.ready) idlePads.set(padId, def.feedback.ready);
+            continue;
+        }
+        const tgts = def.targets ? def.targets(cfg) : [def.target(cfg)];
+        padToTargets.set(padId, tgts);
+        for (const tgt of tgts) {
+            const arr = groups.get(tgt);
+            if (arr) arr.push(padId);
+            else groups.set(tgt, [padId]);
+        }
+    }
+    return {groups, padToTargets, idlePads};
+}
+
+/** Strength of app states when one pad shows several apps (higher wins). */
+const STATE_RANK = Object.freeze({
+    [LedState.ASSIGNED_STOPPED]: 0,
+    [LedState.MINIMIZED]: 1,
+    [LedState.RUNNING_BACKGROUND]: 2,
+    [LedState.RUNNING_FOCUSED]: 3,
+});
+
+/** Strongest of several app states (focused > background > minimized > stopped). */
+const strongest = (states) => states.reduce((a, b) => (STATE_RANK[b] > STATE_RANK[a] ? b : a));
+
+const sameTargets = (a, b) => a === b || (a && b && a.length === b.length && a.every((t, i) => t === b[i]));
 
 /**
  * Starts the periodic LED synchronization process.
  * @param {Object} params
  * @param {Object} params.appService - Service providing application state data.
- * @param {Object} params.lpPort - Launchpad port object ({ setPad } method required).
+ * @param {Object} params.lpPort - Port to paint into ({ setPad } method required): the compositor's sync layer.
  * @param {Object} params.appMappings - Mapping of pad IDs to application configurations.
  * @param {number} [params.intervalMs=TIMINGS.sync.intervalMsDefault] - Interval between sync ticks in milliseconds.
- * @returns {{ stop: () => void, poke: (padId?: number) => void }}
+ * @param {string[]} [params.watchTargets] - Extra targets polled only for frontmost detection.
+ * @param {(target: string|null) => void} [params.onFocusChange] - Called when the frontmost watched target changes.
+ * @param {{ inProgress: (padId: number) => boolean, settleProgress: (padId: number, state: string, queriedAt: number) => boolean }} [params.progress]
+ *        Progress owner (the controller): told the state of every pad that shows progress.
+ * @returns {{
+ *   stop: () => void,
+ *   poke: (padId?: number) => void,
+ *   setMappings: (next: Object, opts?: { seed?: Map<number, [number, number]>, fade?: boolean }) => { added: number[], removed: number[], changed: number[] },
+ *   setWatchTargets: (targets: string[]) => void,
+ *   snapshot: () => Map<number, [number, number]>,
+ *   repaint: () => void
+ * }}
  */
 export function startStateSync({
                                    appService,
                                    lpPort,
                                    appMappings,
                                    intervalMs = TIMINGS.sync.intervalMsDefault,
+                                   watchTargets = [],
+                                   onFocusChange = null,
+                                   progress = null,
                                }) {
     let timer = null;
     let inFlight = false;
     let stopped = false;
 
     const lastColorByPad = new Map();
-    const forcedPads = new Set();
 
-    // Group pads by target for batch queries
-    const groups = new Map();
-    const padToTarget = new Map();
-    for (const [padStr, cfg] of Object.entries(appMappings || {})) {
-        if (!cfg?.bundleId) continue;
-        const padId = Number(padStr);
-        if (!Number.isFinite(padId)) continue;
-        const tgt = asBundleTarget(cfg.bundleId);
-        padToTarget.set(padId, tgt);
-        const arr = groups.get(tgt);
-        if (arr) arr.push(padId);
-        else groups.set(tgt, [padId]);
-    }
+    let watched = new Set(watchTargets);
+    let focusedWatch = null;
 
-    const ERROR_COLOR = LedStateColors[LedState.ERROR];
+    // In-flight cross-fade: pads move from `from` to `to` over a few frames.
+    // Sync results for fading pads retarget `to` instead of painting directly.
+    let fade = null; // { from: Map, to: Map, step: number, timer }
+    const FADE = TIMINGS.profiles;
+
+    // Last LedState painted per pad, so blinking states and theme changes can repaint.
+    const stateByPad = new Map();
+    let blinkTimer = null;
+
+    // Group pads by target for batch queries (rebuilt by setMappings)
+    let mappings = appMappings || {};
+    let {groups, padToTargets, idlePads} = buildIndex(mappings);
+
+    const offColor = () => stateToColor(LedState.UNASSIGNED);
 
-    const sameColor = (a, b) => a && b && a[0] === b[0] && a[1] === b[1];
     const setIfChanged = (padId, color) => {
+        if (fade?.to.has(padId)) {
+            fade.to.set(padId, color);
+            return;
+        }
         const prev = lastColorByPad.get(padId);
         if (!sameColor(prev, color)) {
             lastColorByPad.set(padId, color);
@@ -63,6 +131,36 @@ export function startStateSync({
         }
     };
 
+    /** Paint a pad's LedState through the theme and its overrides; start blinking if needed. */
+    const paintState = (padId, state) => {
+        const colors = mappings[padId]?.colors;
+        stateByPad.set(padId, state);
+        setIfChanged(padId, stateToColor(state, colors));
+        if (!blinkTimer && !stopped && isAnimatedState(state, colors)) {
+            blinkTimer = setTimeout(blinkFrame, TIMINGS.sync.blinkFrameMs);
+        }
+    };
+
+    /** Paint a synced state and report it to the progress owner (`queriedAt`: when it was asked for). */
+    const paintSynced = (padId, state, queriedAt) => {
+        paintState(padId, state);
+        if (progress?.inProgress(padId)) progress.settleProgress(padId, state, queriedAt);
+    };
+
+    /** Repaint blinking pads at the current phase; stops once none are left. */
+    function blinkFrame() {
+        blinkTimer = null;
+        if (stopped) return;
+        let animated = false;
+        for (const [padId, state] of stateByPad) {
+            const colors = mappings[padId]?.colors;
+            if (!isAnimatedState(state, colors)) continue;
+            animated = true;
+            setIfChanged(padId, stateToColor(state, colors));
+        }
+        if (animated) blinkTimer = setTimeout(blinkFrame, TIMINGS.sync.blinkFrameMs);
+    }
+
     /**
      * Decides the LED state based on application window info.
      * @param {Object} info - Application state info.
@@ -103,48 +201,52 @@ export function startStateSync({
             return;
         }
         inFlight = true;
+        const queriedAt = Date.now();
 
         try {
-            if (groups.size === 0) {
-                scheduleNext();
-                return;
-            }
+            // Target-less pads: idle color (action feedback covers it while it shows).
+            for (const [padId, st] of idlePads) paintState(padId, st);
 
-            const activeGroups = new Map();
-            let activePadCount = 0;
-            for (const [tgt, pads] of groups) {
-                const freePads = pads.filter(p => forcedPads.has(p) || !isBusy(p));
-                if (freePads.length) {
-                    activeGroups.set(tgt, freePads);
-                    activePadCount += freePads.length;
-                }
-            }
-            forcedPads.clear();
-
-            if (activeGroups.size === 0) {
+            const activePads = new Map(padToTargets); // padId → targets at query time
+            const activeTargets = Array.from(new Set([...groups.keys(), ...watched]));
+            if (activeTargets.length === 0) {
                 scheduleNext();
                 return;
             }
 
-            const activeTargets = Array.from(activeGroups.keys());
             const infos = await appService.getStatesBulk(activeTargets);
             const byTarget = new Map();
             for (const it of (infos || [])) byTarget.set(it.target, it);
 
-            for (const [tgt, pads] of activeGroups) {
-                const info = byTarget.get(tgt) || {running: false};
-                const st = decideState(info);
-                const color = stateToColor(st);
-                for (const padId of pads) setIfChanged(padId, color);
+            // Watched targets are always queried, so "none focused" is reliable.
+            if (watched.size && !stopped) {
+                let front = null;
+                for (const tgt of watched) {
+                    if (byTarget.get(tgt)?.focused) front = tgt;
+                }
+                if (front !== focusedWatch) {
+                    focusedWatch = front;
+                    logger.debug('[SYNC] frontmost watched target', {target: front});
+                    try {
+                        onFocusChange?.(front);
+                    } catch (e) {
+                        logger.warn('[SYNC] focus handler failed', {err: String(e)});
+                    }
+                }
+            }
+
+            const stateOf = (tgt) => decideState(byTarget.get(tgt) || {running: false});
+            for (const [padId, tgts] of activePads) {
+                // The table may have been swapped while the query was in flight.
+                if (!sameTargets(padToTargets.get(padId), tgts)) continue;
+                paintSynced(padId, tgts.length === 1 ? stateOf(tgts[0]) : strongest(tgts.map(stateOf)), queriedAt);
             }
 
-            logger.debug('[SYNC] tick ok', {targets: activeTargets.length, pads: activePadCount});
+            logger.debug('[SYNC] tick ok', {targets: activeTargets.length, pads: activePads.size});
         } catch (e) {
             if (!stopped) {
-                logger.warn('[SYNC] tick failed, painting error on free pads', {err: String(e)});
-                for (const [padId] of padToTarget) {
-                    if (!isBusy(padId)) setIfChanged(padId, ERROR_COLOR);
-                }
+                logger.warn('[SYNC] tick failed, painting error on app pads', {err: String(e)});
+                for (const [padId] of padToTargets) paintSynced(padId, LedState.ERROR, queriedAt);
             }
         } finally {
             inFlight = false;
@@ -153,18 +255,132 @@ export function startStateSync({
     }
 
     /**
-     * Forces a pad to be checked immediately on the next tick.
-     * @param {number} [padId] - Pad ID to prioritize.
+     * Runs the next tick right away (e.g. after an action changed a pad's app).
+     * @param {number} [padId] - Pad that prompted it (every pad is checked anyway).
      */
     function poke(padId) {
         if (stopped) return;
-        if (typeof padId === 'number') forcedPads.add(padId);
         if (!inFlight) {
             clearTimeout(timer);
             timer = setTimeout(tick, 25);
         }
     }
 
+    /** Paint one cross-fade frame. */
+    function fadeFrame() {
+        const f = fade;
+        if (!f || stopped) return;
+        f.step++;
+        const t = Math.min(1, f.step / FADE.fadeSteps);
+        for (const [padId, from] of f.from) {
+            const color = mix(from, f.to.get(padId), t);
+            if (!sameColor(lastColorByPad.get(padId), color)) {
+                lastColorByPad.set(padId, color);
+                lpPort.setPad(padId, color);
+            }
+        }
+        if (t >= 1) finishFade();
+        else f.timer = setTimeout(fadeFrame, FADE.fadeStepMs);
+    }
+
+    /** End the current fade, snapping its pads to their latest target colors. */
+    function finishFade() {
+        const f = fade;
+        if (!f) return;
+        fade = null;
+        clearTimeout(f.timer);
+        for (const [padId, color] of f.to) setIfChanged(padId, color);
+    }
+
+    /**
+     * Swaps the pad table without restarting the loop.
+     * - Removed pads are turned off.
+     * - Added/changed pads are repainted on an immediate tick.
+     * - Unchanged pads keep their current color (no flicker).
+     * - `seed` (from snapshot()) paints last-known colors right away, so a page
+     *   shown again looks as it was while the confirming tick is in flight.
+     * - `fade` blends removed/added/changed pads from their current color to the
+     *   new one over a few frames.
+     * @param {Object} next - New mapping of pad IDs to application configurations.
+     * @param {{ seed?: Map<number, [number, number]>, fade?: boolean }} [opts]
+     * @returns {{ added: number[], removed: number[], changed: number[] }}
+     */
+    function setMappings(next, {seed, fade: fadeIn = false} = {}) {
+        finishFade();
+        const diff = diffMappings(mappings, next || {});
+        mappings = next || {};
+        ({groups, padToTargets, idlePads} = buildIndex(mappings));
+
+        const blend = fadeIn && !stopped && FADE.fadeSteps > 1 ? {from: new Map(), to: new Map(), step: 0, timer: null} : null;
+
+        const off = offColor();
+        for (const padId of diff.removed) {
+            stateByPad.delete(padId);
+            if (blend) {
+                blend.from.set(padId, lastColorByPad.get(padId) || off);
+                blend.to.set(padId, off);
+            } else {
+                lastColorByPad.delete(padId);
+                lpPort.setPad(padId, off);
+            }
+        }
+        for (const padId of [...diff.added, ...diff.changed]) {
+            stateByPad.delete(padId);
+            const idle = idlePads.get(padId);
+            const seeded = seed?.get(padId) || (idle ? stateToColor(idle, mappings[padId]?.colors) : null);
+            if (blend) {
+                blend.from.set(padId, lastColorByPad.get(padId) || off);
+                blend.to.set(padId, seeded || off);
+            } else if (seeded) {
+                setIfChanged(padId, seeded);
+            }
+        }
+        if (diff.added.length || diff.changed.length) poke();
+
+        if (blend?.from.size) {
+            fade = blend;
+            fadeFrame();
+        }
+
+        logger.info('[SYNC] mappings updated', {
+            added: diff.added.length,
+            removed: diff.removed.length,
+            changed: diff.changed.length,
+            fade: !!blend,
+        });
+        return diff;
+    }
+
+    /**
+     * Replaces the extra targets polled for frontmost detection.
+     * @param {string[]} targets
+     */
+    function setWatchTargets(targets) {
+        watched = new Set(targets || []);
+        if (focusedWatch && !watched.has(focusedWatch)) focusedWatch = null;
+        poke();
+    }
+
+    /**
+     * Copies the last painted color of every currently mapped pad
+     * (the target color for pads still fading).
+     * @returns {Map<number, [number, number]>}
+     */
+    function snapshot() {
+        const out = new Map();
+        for (const [padId] of padToTargets) {
+            const color = fade?.to.get(padId) || lastColorByPad.get(padId);
+            if (color) out.set(padId, color);
+        }
+        return out;
+    }
+
+    /** Repaints every pad from its last state (after a theme change). */
+    function repaint() {
+        if (stopped) return;
+        for (const [padId, state] of stateByPad) paintState(padId, state);
+    }
+
     logger.info('[SYNC] start', {intervalMs});
     tick();
 
@@ -173,9 +389,20 @@ export function startStateSync({
         stop: () => {
             stopped = true;
             clearTimeout(timer);
+            clearTimeout(fade?.timer);
+            clearTimeout(blinkTimer);
+            fade = null;
             logger.info('[SYNC] stop');
         },
         /** Triggers a quick re-check for a specific pad. */
         poke,
+        /** Swaps the pad table and repaints only the pads that changed. */
+        setMappings,
+        /** Replaces the targets watched for frontmost changes. */
+        setWatchTargets,
+        /** Last painted colors of the current pad table. */
+        snapshot,
+        /** Repaints free pads with the active theme. */
+        repaint,
     };
 }
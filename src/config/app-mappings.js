@@ -1,7 +1,13 @@
-// Mapping: padId (Launchpad MIDI note) → target application.
+// Mapping: pad (grid row/column, see launchpad/layout.js) → target application.
+// Keys like `r1c3` are row 1, column 3 counted from the top-left pad, so the
+// table works on every supported Launchpad model.
 // Always use explicit bundle IDs (prefixed with "bundle:") for reliable targeting.
 // This table is static at runtime, so lookups are O(1) with zero runtime overhead.
 //
+// Built-in default: used only when no user config file exists (see user-config.js).
+// To customize pads without editing source, create
+// ~/.config/launchpad-shortcut-deck/config.json with a "mappings" object of the same shape.
+//
 // How to find a macOS application's bundle ID:
 // 1. Open Terminal.
 // 2. Run: mdls -name kMDItemCFBundleIdentifier -r "/Applications/AppName.app"
@@ -12,25 +18,25 @@
 // Note: `appName` is used only for logging and display purposes.
 
 export const APP_MAPPINGS = Object.freeze({
-    0: {appName: 'Finder', bundleId: 'com.apple.finder'},
-    2: {appName: 'Google Chrome', bundleId: 'com.google.Chrome'},
-    4: {appName: 'YouTube Music', bundleId: 'com.google.Chrome.app.cinhimbnkkaeohfgghhklpknlkffjgod'},
-    6: {appName: 'Google Calendar', bundleId: 'com.google.Chrome.app.kjbdgfilnfhdoflbpgamdcdgpehopbep'},
-    17: {appName: 'Visual Studio Code', bundleId: 'com.microsoft.VSCode'},
-    19: {appName: 'WebStorm', bundleId: 'com.jetbrains.WebStorm'},
-    21: {appName: 'PhpStorm', bundleId: 'com.jetbrains.PhpStorm'},
-    23: {appName: 'iTerm', bundleId: 'com.googlecode.iterm2'},
-    32: {appName: 'Postman', bundleId: 'com.postmanlabs.mac'},
-    34: {appName: 'Notion', bundleId: 'notion.id'},
-    36: {appName: 'Discord', bundleId: 'com.hnc.Discord'},
-    38: {appName: 'Spark', bundleId: 'com.readdle.SparkDesktop'},
-    49: {appName: 'WhatsApp', bundleId: 'net.whatsapp.WhatsApp'},
-    51: {appName: '1Password', bundleId: 'com.1password.1password'},
-    53: {appName: 'Google Meet', bundleId: 'com.google.Chrome.app.kjgfgldnnfoeklkmfkjfagphfepbbdan'},
-    55: {appName: 'Google Keep', bundleId: 'com.google.Chrome.app.eilembjdkfgodjkcjnpgpaenohkicgjd'},
-    64: {appName: 'Ableton Live', bundleId: 'com.ableton.live'},
-    66: {appName: 'ChatGPT', bundleId: 'com.openai.chat'},
+    r0c0: {appName: 'Finder', bundleId: 'com.apple.finder'},
+    r0c2: {appName: 'Google Chrome', bundleId: 'com.google.Chrome'},
+    r0c4: {appName: 'YouTube Music', bundleId: 'com.google.Chrome.app.cinhimbnkkaeohfgghhklpknlkffjgod'},
+    r0c6: {appName: 'Google Calendar', bundleId: 'com.google.Chrome.app.kjbdgfilnfhdoflbpgamdcdgpehopbep'},
+    r1c1: {appName: 'Visual Studio Code', bundleId: 'com.microsoft.VSCode'},
+    r1c3: {appName: 'WebStorm', bundleId: 'com.jetbrains.WebStorm'},
+    r1c5: {appName: 'PhpStorm', bundleId: 'com.jetbrains.PhpStorm'},
+    r1c7: {appName: 'iTerm', bundleId: 'com.googlecode.iterm2'},
+    r2c0: {appName: 'Postman', bundleId: 'com.postmanlabs.mac'},
+    r2c2: {appName: 'Notion', bundleId: 'notion.id'},
+    r2c4: {appName: 'Discord', bundleId: 'com.hnc.Discord'},
+    r2c6: {appName: 'Spark', bundleId: 'com.readdle.SparkDesktop'},
+    r3c1: {appName: 'WhatsApp', bundleId: 'net.whatsapp.WhatsApp'},
+    r3c3: {appName: '1Password', bundleId: 'com.1password.1password'},
+    r3c5: {appName: 'Google Meet', bundleId: 'com.google.Chrome.app.kjgfgldnnfoeklkmfkjfagphfepbbdan'},
+    r3c7: {appName: 'Google Keep', bundleId: 'com.google.Chrome.app.eilembjdkfgodjkcjnpgpaenohkicgjd'},
+    r4c0: {appName: 'Ableton Live', bundleId: 'com.ableton.live'},
+    r4c2: {appName: 'ChatGPT', bundleId: 'com.openai.chat'},
 
     // To add more pads:
-    // padNumber: { appName: 'Display name', bundleId: 'bundle:com.example.App' }
+    // rXcY: { appName: 'Display name', bundleId: 'bundle:com.example.App' }
 });
@@ -0,0 +1,851 @@
+/**
+ * Schema validation for the user configuration file.
+ *
+ * Responsibilities
+ * - Check the raw (parsed JSON/YAML) object against the expected shape.
+ * - Collect *every* problem in one pass so users can fix the file at once.
+ * - Normalize valid input into frozen pages of pad tables keyed by device pad ID.
+ * - Translate grid keys (`"r2c3"`, `"top3"`, `{row, col}`) through the model's layout.
+ * - Delegate type-specific pad fields to the action registry (app/url/shell/…).
+ * - Validate per-pad gesture bindings (`press`, `doubleTap`, `tripleTap`,
+ *   `longPress`, `veryLongPress`, `tapHold`) and per-pad gesture `timings`.
+ * - Validate the LED `theme` and per-pad `colors` overrides (see launchpad/themes.js).
+ * - Validate `timings` overrides (see config/timings.js).
+ *
+ * Pages
+ * - `pages: [{ name, button?, mappings }]` defines up to 8 banks, selected by
+ *   the top-row buttons (`button` is 0..7, left → right; defaults to the index).
+ * - A plain top-level `mappings` object is shorthand for a single page.
+ *
+ * Pad keys
+ * - `mappings` is either an object keyed by pad (`"r2c3"`, `"top3"`, or a raw
+ *   pad number) or an array of entries that carry their position in `at`
+ *   (`{ "at": { "row": 2, "col": 3 }, "bundleId": "..." }`).
+ * - `model` (default "launchpad-s") picks the layout that turns keys into pads.
+ *
+ * Profiles
+ * - `profiles: [{ name, bundleId | bundleIds, mappings }]` are layouts shown
+ *   automatically while one of their apps is frontmost (see profile-switcher.js).
+ * - A bundle ID may trigger at most one profile.
+ *
+ * Chords
+ * - `chords: [{ pads: [<pad key>, …], action }]` run an action when 2..4 grid
+ *   pads are pressed together, on every page and profile. `action` is a pad
+ *   action object, `"tile"` (the apps on the chord's pads side by side) or
+ *   `"lock"` (lock/unlock the deck).
+ *
+ * Swipes
+ * - `swipes: [{ direction, row? | col?, action }]` run an action when 3+ adjacent
+ *   pads are pressed in a quick slide (see launchpad/swipe-detector.js).
+ *   `row` (0..7 or "top") limits left/right swipes to one row, `col` (0..8)
+ *   limits up/down swipes to one column. `action` is "nextPage",
+ *   "previousPage", an app verb applied to every app pad of the swiped line
+ *   (`"minimize"`), or a pad action object.
+ *
+ * Modifiers
+ * - `modifiers: [<pad key>, …]` marks grid or scene pads as modifiers (shift).
+ *   While one is held, other pads run the gestures of their `alt` block
+ *   (`"alt": { "press": "quit" }`) instead of their own. Modifier pads cannot
+ *   be mapped on any page or profile.
+ *
+ * Screensaver and night mode
+ * - `screensaver: { afterMinutes, style? }` dims the deck after that many
+ *   minutes without a pad press: `ambient` (default) runs a slow low-intensity
+ *   wave, `dim` drops every pad to its dim color.
+ * - `nightMode: { from, to, maxLevel? }` caps LED intensity at `maxLevel`
+ *   (1..2, default 1) between two local times (`"22:30"`); the window may cross
+ *   midnight. Normalized times are minutes after midnight.
+ *
+ * Error reporting
+ * - Each issue names the offending pad and field, e.g.:
+ *     pad "r1c1" → bundleId: must be a non-empty string
+ *     page "Media" → pad "r1c1" → bundleId: must be a non-empty string
+ * - `normalizeConfig` throws a single Error whose message starts with
+ *   "CONFIG_INVALID:" followed by one issue per line; the list is also
+ *   attached as `err.issues` for programmatic use.
+ */
+
+import {DEFAULT_MODEL, GRID_ROWS, SCENE_COL, TOP_ROW, getLayout, layoutModels, padKey, parsePadRef} from '../launchpad/layout.js';
+import {SWIPE_DIRECTIONS, isHorizontal} from '../launchpad/swipe-detector.js';
+import {actionTypeNames, getActionType} from '../app/actions/index.js';
+import {DEFAULT_TIMINGS, normalizePadTimings, normalizeTimings} from './timings.js';
+import {DEFAULT_THEME, colorKeyNames, paletteNames, parseColor, resolveStateKey, themeNames} from '../launchpad/themes.js';
+
+/** Top-level keys accepted in the config file. */
+const TOP_LEVEL_KEYS = new Set(['$schema', 'model', 'theme', 'timings', 'mappings', 'pages', 'profiles', 'chords', 'swipes', 'modifiers', 'screensaver', 'nightMode']);
+
+/** Keys accepted in a page entry. */
+const PAGE_KEYS = new Set(['name', 'button', 'mappings']);
+
+/** Keys accepted in a profile entry. */
+const PROFILE_KEYS = new Set(['name', 'bundleId', 'bundleIds', 'mappings']);
+
+/** Keys accepted in a chord entry. */
+const CHORD_KEYS = new Set(['pads', 'action']);
+
+/** Built-in chord actions (besides action objects). */
+const CHORD_VERBS = Object.freeze(['tile', 'lock']);
+
+/** Pads per chord. */
+const CHORD_MIN_PADS = 2;
+const CHORD_MAX_PADS = 4;
+
+/** Keys accepted in a swipe entry. */
+const SWIPE_KEYS = new Set(['direction', 'row', 'col', 'action']);
+
+/** Page verbs a swipe may be bound to (app verbs are accepted too). */
+const SWIPE_PAGE_VERBS = Object.freeze(['nextPage', 'previousPage']);
+
+/** Name of the implicit page created from a top-level `mappings` object. */
+const DEFAULT_PAGE_NAME = 'main';
+
+/** Fields and styles of the `screensaver` block. */
+const SCREENSAVER_KEYS = new Set(['afterMinutes', 'style']);
+const SCREENSAVER_STYLES = Object.freeze(['ambient', 'dim']);
+
+/** Fields of the `nightMode` block. */
+const NIGHT_MODE_KEYS = new Set(['from', 'to', 'maxLevel']);
+
+/**
+ * A normalized pad: `{ type, ...typeFields, bindings? }`, e.g.
+ * `{ type: 'app', appName, bundleId }` or `{ type: 'url', name, url }`.
+ * `bindings` maps a gesture to a verb (string), an action (PadEntry) or null (disabled);
+ * gestures missing from it keep the type's defaults.
+ * `colors` maps LedState names to `[r, g]` / `[r, g, b]` overrides of the active theme.
+ * `timings` holds the pad's own gesture thresholds (`doubleTapMs`, `longPressMs`, `veryLongPressMs`).
+ * `waitForDouble` holds a press back until the double-tap window closes (see GestureDecoder).
+ * `alt` maps gestures to the bindings used while a modifier pad is held (same values as `bindings`).
+ * @typedef {Readonly<{
+ *   type: string,
+ *   bindings?: Readonly<Record<string, string|object|null>>,
+ *   colors?: Readonly<Record<string, Readonly<number[]>>>,
+ *   timings?: Readonly<Record<string, number>>,
+ *   waitForDouble?: boolean,
+ *   alt?: Readonly<Record<string, string|object|null>>
+ * } & Record<string, unknown>>} PadEntry
+ */
+
+/** Action type assumed when a pad entry has no `type`. */
+const DEFAULT_TYPE = 'app';
+
+/** Gestures a pad may rebind (value: verb string, action object, or "none"/null). */
+const GESTURE_KEYS = Object.freeze(['press', 'doubleTap', 'tripleTap', 'longPress', 'veryLongPress', 'tapHold']);
+
+const isPlainObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+
+/** True when the pad's very-long hold does something (own or alt binding, or type default). */
+const bindsVeryLongPress = (pad) => pad.bindings?.veryLongPress != null || pad.alt?.veryLongPress != null
+    || (pad.bindings?.veryLongPress === undefined && !!getActionType(pad.type)?.gestures.includes('veryLongPress'));
+
+/** Hint appended to bad pad keys. */
+const PAD_KEY_HINT = '"r<row>c<col>" (row 0..7, col 0..8 where 8 is the scene column), "top<0..7>", or a pad number on this model';
+
+/** Printable form of a pad reference for messages (malformed `{row, col}` objects as written). */
+const refLabel = (ref) => {
+    if (!isPlainObject(ref)) return String(ref);
+    return Number.isInteger(ref.row) && Number.isInteger(ref.col) ? `r${ref.row}c${ref.col}` : JSON.stringify(ref);
+};
+
+/**
+ * Validate one gesture binding.
+ *
+ * @param {string} where - e.g. `pad "17" → longPress`.
+ * @param {unknown} value
+ * @param {{verbs?: string[]}} def - Action type of the pad being bound.
+ * @param {string[]} issues
+ * @returns {{ok: boolean, value?: string|object|null}}
+ */
+function normalizeBinding(where, value, def, issues) {
+    if (value === null || value === 'none') return {ok: true, value: null};
+    if (typeof value === 'string') {
+        if (!def.verbs?.length) {
+            issues.push(`${where}: verb bindings need a pad with an app target; use an action object instead`);
+            return {ok: false};
+        }
+        if (!def.verbs.includes(value)) {
+            issues.push(`${where}: unknown action "${value}" (expected one of: ${def.verbs.join(', ')}, none)`);
+            return {ok: false};
+        }
+        return {ok: true, value};
+    }
+    if (isPlainObject(value)) {
+        const action = normalizePad(where, value, issues, {nested: true});
+        return action ? {ok: true, value: action} : {ok: false};
+    }
+    issues.push(`${where}: must be an action name, an action object, or "none"`);
+    return {ok: false};
+}
+
+/**
+ * Validate per-pad LED overrides: `{ "running": "amber", "stopped": [1, 0] }`.
+ *
+ * @param {string} where
+ * @param {unknown} raw
+ * @param {string[]} issues
+ * @returns {Readonly<Record<string, Readonly<number[]>>>|null}
+ */
+function normalizeColors(where, raw, issues) {
+    if (!isPlainObject(raw)) {
+        issues.push(`${where}: must be an object like { "running": "amber" }`);
+        return null;
+    }
+    const out = {};
+    let ok = true;
+    for (const [key, value] of Object.entries(raw)) {
+        const states = resolveStateKey(key);
+        if (!states) {
+            issues.push(`${where} → ${key}: unknown state (expected one of: ${colorKeyNames().join(', ')}, or a LedState name)`);
+            ok = false;
+            continue;
+        }
+        const color = parseColor(value);
+        if (!color) {
+            issues.push(`${where} → ${key}: must be [r, g] or [r, g, b] with integers 0..3, "#rrggbb", or one of: ${paletteNames().join(', ')}`);
+            ok = false;
+            continue;
+        }
+        for (const state of states) out[state] = color;
+    }
+    return ok ? Object.freeze(out) : null;
+}
+
+/**
+ * Validate and normalize a single pad entry.
+ * Common keys are checked here; type-specific fields by the action type.
+ *
+ * @param {string} where - Location prefix for messages, e.g. `pad "17"`.
+ * @param {unknown} entry
+ * @param {string[]} issues - Collector for error messages.
+ * @param {{nested?: boolean}} [opts] - Nested actions (bindings, macro steps) take no
+ *        pad-level keys (gesture bindings, alt, colors, timings, waitForDouble).
+ * @returns {PadEntry|null}
+ */
+function normalizePad(where, entry, issues, {nested = false} = {}) {
+    if (!isPlainObject(entry)) {
+        issues.push(`${where}: must be an object like { "appName": "...", "bundleId": "..." }`);
+        return null;
+    }
+
+    const type = entry.type ?? DEFAULT_TYPE;
+    const def = getActionType(type);
+    if (!def) {
+        issues.push(`${where} → type: unknown action type "${type}" (expected one of: ${actionTypeNames().join(', ')})`);
+        return null;
+    }
+
+    const allowed = new Set(['type', ...def.fields, ...(nested ? [] : [...GESTURE_KEYS, 'alt', 'colors', 'timings', 'waitForDouble'])]);
+    let ok = true;
+    for (const field of Object.keys(entry)) {
+        if (!allowed.has(field)) {
+            issues.push(`${where} → ${field}: unknown field for type "${type}" (expected one of: ${[...allowed].join(', ')})`);
+            ok = false;
+        }
+    }
+
+    const fields = def.normalize(entry, where, issues, {
+        normalizeAction: (at, raw) => normalizePad(at, raw, issues, {nested: true}),
+    });
+
+    let bindings = null;
+    for (const gesture of nested ? [] : GESTURE_KEYS) {
+        if (!(gesture in entry)) continue;
+        const b = normalizeBinding(`${where} → ${gesture}`, entry[gesture], def, issues);
+        if (!b.ok) ok = false;
+        else (bindings ??= {})[gesture] = b.value;
+    }
+
+    let alt = null;
+    if (!nested && entry.alt !== undefined) {
+        if (!isPlainObject(entry.alt) || !Object.keys(entry.alt).length) {
+            issues.push(`${where} → alt: must be an object like { "press": "quit" }`);
+            ok = false;
+        } else {
+            alt = {};
+            for (const [gesture, value] of Object.entries(entry.alt)) {
+                if (!GESTURE_KEYS.includes(gesture)) {
+                    issues.push(`${where} → alt → ${gesture}: unknown gesture (expected one of: ${GESTURE_KEYS.join(', ')})`);
+                    ok = false;
+                    continue;
+                }
+                const b = normalizeBinding(`${where} → alt → ${gesture}`, value, def, issues);
+                if (!b.ok) ok = false;
+                else alt[gesture] = b.value;
+            }
+        }
+    }
+
+    let colors = null;
+    if (!nested && entry.colors !== undefined) {
+        colors = normalizeColors(`${where} → colors`, entry.colors, issues);
+        if (!colors) ok = false;
+    }
+
+    let timings = null;
+    if (!nested && entry.timings !== undefined) {
+        timings = normalizePadTimings(entry.timings, issues, `${where} → timings`);
+        if (!timings) ok = false;
+    }
+
+    if (!nested && entry.waitForDouble !== undefined && typeof entry.waitForDouble !== 'boolean') {
+        issues.push(`${where} → waitForDouble: must be true or false`);
+        ok = false;
+    }
+
+    if (!ok || !fields) return null;
+    const out = {type, ...fields};
+    if (bindings) out.bindings = Object.freeze(bindings);
+    if (alt) out.alt = Object.freeze(alt);
+    if (colors) out.colors = colors;
+    if (timings) out.timings = timings;
+    if (!nested && entry.waitForDouble !== undefined) out.waitForDouble = entry.waitForDouble;
+    return Object.freeze(out);
+}
+
+/**
+ * Validate and normalize a pad table (pad key → entry) into padId → entry.
+ *
+ * @param {unknown} raw - Object keyed by pad, or array of entries with `at`.
+ * @param {string[]} issues
+ * @param {import('../launchpad/layout.js').Layout} layout
+ * @param {string} [scope=''] - Location prefix for messages, e.g. `page "Media" → `.
+ * @returns {Readonly<Record<number, PadEntry>>}
+ */
+function normalizeMappings(raw, issues, layout, scope = '') {
+    const out = {};
+    const seen = new Map(); // pad ID → key that claimed it
+
+    const add = (where, field, ref, entry) => {
+        const padId = parsePadRef(ref, layout);
+        if (padId == null) {
+            issues.push(`${where}: ${field} must be ${PAD_KEY_HINT}`);
+            return;
+        }
+        if (seen.has(padId)) {
+            issues.push(`${where}: same pad as "${seen.get(padId)}"`);
+            return;
+        }
+        seen.set(padId, refLabel(ref));
+        const pad = normalizePad(where, entry, issues);
+        if (pad) out[padId] = pad;
+    };
+
+    if (Array.isArray(raw)) {
+        raw.forEach((item, i) => {
+            if (!isPlainObject(item) || item.at === undefined) {
+                issues.push(`${scope}mappings[${i}]: must be a pad entry with "at" (e.g. { "at": { "row": 0, "col": 0 }, ... })`);
+                return;
+            }
+            const {at, ...entry} = item;
+            add(`${scope}pad "${refLabel(at)}"`, 'at', at, entry);
+        });
+        return Object.freeze(out);
+    }
+
+    if (!isPlainObject(raw)) {
+        issues.push(`${scope}mappings: must be an object keyed by pad (e.g. "r0c0") or an array of entries with "at"`);
+        return Object.freeze(out);
+    }
+
+    for (const [key, entry] of Object.entries(raw)) {
+        add(`${scope}pad "${key}"`, 'key', key, entry);
+    }
+    return Object.freeze(out);
+}
+
+/**
+ * Validate and normalize the `pages` array.
+ *
+ * @param {unknown} raw
+ * @param {string[]} issues
+ * @returns {ReadonlyArray<{name:string, button:number, mappings:Readonly<Record<number, object>>}>}
+ */
+function normalizePages(raw, issues, layout) {
+    const topRow = layout.topRowPadIds;
+    if (!Array.isArray(raw) || raw.length === 0) {
+        issues.push('pages: must be a non-empty array of { name, mappings }');
+        return Object.freeze([]);
+    }
+    if (raw.length > topRow.length) {
+        issues.push(`pages: at most ${topRow.length} pages (one per top-row button), got ${raw.length}`);
+    }
+
+    const pages = [];
+    const names = new Set();
+    const buttons = new Map(); // button index → page name
+
+    raw.forEach((page, i) => {
+        const label = isNonEmptyString(page?.name) ? `page "${page.name.trim()}"` : `page #${i}`;
+        if (!isPlainObject(page)) {
+            issues.push(`${label}: must be an object like { "name": "...", "mappings": { ... } }`);
+            return;
+        }
+        for (const field of Object.keys(page)) {
+            if (!PAGE_KEYS.has(field)) issues.push(`${label} → ${field}: unknown field (expected one of: ${[...PAGE_KEYS].join(', ')})`);
+        }
+
+        const name = isNonEmptyString(page.name) ? page.name.trim() : null;
+        if (!name) issues.push(`${label} → name: must be a non-empty string`);
+        else if (names.has(name)) issues.push(`${label} → name: duplicate page name`);
+        else names.add(name);
+
+        const button = page.button ?? i;
+        if (!Number.isInteger(button) || button < 0 || button >= topRow.length) {
+            issues.push(`${label} → button: must be an integer 0..${topRow.length - 1}`);
+        } else if (buttons.has(button)) {
+            issues.push(`${label} → button: already used by page "${buttons.get(button)}"`);
+        } else {
+            buttons.set(button, name ?? `#${i}`);
+        }
+
+        const mappings = normalizeMappings(page.mappings, issues, layout, `${label} → `);
+        pages.push(Object.freeze({name: name ?? `#${i}`, button, mappings}));
+    });
+
+    // Page buttons are owned by the pager whenever there is more than one page.
+    if (pages.length > 1) {
+        for (const page of pages) {
+            for (const [button, owner] of buttons) {
+                const padId = topRow[button];
+                if (padId in page.mappings) {
+                    issues.push(`page "${page.name}" → pad "${padKey(padId, layout)}": reserved for the button of page "${owner}"`);
+                }
+            }
+        }
+    }
+
+    return Object.freeze(pages);
+}
+
+/**
+ * Validate and normalize the `profiles` array.
+ *
+ * @param {unknown} raw
+ * @param {string[]} issues
+ * @returns {ReadonlyArray<{name:string, bundleIds:ReadonlyArray<string>, mappings:Readonly<Record<number, PadEntry>>}>}
+ */
+function normalizeProfiles(raw, issues, layout) {
+    if (!Array.isArray(raw)) {
+        issues.push('profiles: must be an array of { name, bundleId, mappings }');
+        return Object.freeze([]);
+    }
+
+    const profiles = [];
+    const names = new Set();
+    const owners = new Map(); // bundle ID → profile name
+
+    raw.forEach((profile, i) => {
+        const label = isNonEmptyString(profile?.name) ? `profile "${profile.name.trim()}"` : `profile #${i}`;
+        if (!isPlainObject(profile)) {
+            issues.push(`${label}: must be an object like { "name": "...", "bundleId": "...", "mappings": { ... } }`);
+            return;
+        }
+        for (const field of Object.keys(profile)) {
+            if (!PROFILE_KEYS.has(field)) issues.push(`${label} → ${field}: unknown field (expected one of: ${[...PROFILE_KEYS].join(', ')})`);
+        }
+
+        const name = isNonEmptyString(profile.name) ? profile.name.trim() : null;
+        if (!name) issues.push(`${label} → name: must be a non-empty string`);
+        else if (names.has(name)) issues.push(`${label} → name: duplicate profile name`);
+        else names.add(name);
+
+        if (profile.bundleId !== undefined && profile.bundleIds !== undefined) {
+            issues.push(`${label} → bundleIds: use either "bundleId" or "bundleIds", not both`);
+        }
+        const list = profile.bundleIds ?? (profile.bundleId !== undefined ? [profile.bundleId] : undefined);
+        const field = profile.bundleIds !== undefined ? 'bundleIds' : 'bundleId';
+        const bundleIds = [];
+        if (!Array.isArray(list) || list.length === 0) {
+            issues.push(`${label} → bundleId: must be a non-empty string (or "bundleIds": a non-empty array)`);
+        } else {
+            for (const id of list) {
+                if (!isNonEmptyString(id)) {
+                    issues.push(`${label} → ${field}: must be non-empty strings`);
+                    continue;
+                }
+                const bundleId = id.trim();
+                if (owners.has(bundleId)) issues.push(`${label} → ${field}: "${bundleId}" already triggers profile "${owners.get(bundleId)}"`);
+                else owners.set(bundleId, name ?? `#${i}`);
+                bundleIds.push(bundleId);
+            }
+        }
+
+        const mappings = normalizeMappings(profile.mappings, issues, layout, `${label} → `);
+        profiles.push(Object.freeze({name: name ?? `#${i}`, bundleIds: Object.freeze(bundleIds), mappings}));
+    });
+
+    return Object.freeze(profiles);
+}
+
+/**
+ * Validate and normalize the `chords` array.
+ *
+ * @param {unknown} raw
+ * @param {string[]} issues
+ * @param {import('../launchpad/layout.js').Layout} layout
+ * @returns {ReadonlyArray<{pads: ReadonlyArray<number>, action: 'tile'|'lock'|PadEntry}>}
+ */
+function normalizeChords(raw, issues, layout) {
+    if (!Array.isArray(raw)) {
+        issues.push('chords: must be an array of { pads, action }');
+        return Object.freeze([]);
+    }
+
+    const chords = [];
+    const seen = new Map(); // sorted pad IDs → chord label
+
+    raw.forEach((chord, i) => {
+        const label = `chord #${i}`;
+        if (!isPlainObject(chord)) {
+            issues.push(`${label}: must be an object like { "pads": ["r0c0", "r0c1"], "action": "tile" }`);
+            return;
+        }
+        for (const field of Object.keys(chord)) {
+            if (!CHORD_KEYS.has(field)) issues.push(`${label} → ${field}: unknown field (expected one of: ${[...CHORD_KEYS].join(', ')})`);
+        }
+
+        let ok = true;
+        const pads = [];
+        if (!Array.isArray(chord.pads) || chord.pads.length < CHORD_MIN_PADS || chord.pads.length > CHORD_MAX_PADS) {
+            issues.push(`${label} → pads: must be a list of ${CHORD_MIN_PADS}..${CHORD_MAX_PADS} pads`);
+            ok = false;
+        } else {
+            for (const ref of chord.pads) {
+                const padId = parsePadRef(ref, layout);
+                if (padId == null) {
+                    issues.push(`${label} → pads: "${refLabel(ref)}" must be ${PAD_KEY_HINT}`);
+                    ok = false;
+                } else if (layout.coordsOf(padId).row === TOP_ROW) {
+                    issues.push(`${label} → pads: "${refLabel(ref)}" is a top-row button; chords use grid and scene pads`);
+                    ok = false;
+                } else if (pads.includes(padId)) {
+                    issues.push(`${label} → pads: "${refLabel(ref)}" is listed twice`);
+                    ok = false;
+                } else {
+                    pads.push(padId);
+                }
+            }
+        }
+
+        let action = null;
+        if (chord.action === undefined) {
+            issues.push(`${label} → action: missing (${CHORD_VERBS.join(', ')}, or an action object)`);
+            ok = false;
+        } else if (typeof chord.action === 'string') {
+            if (CHORD_VERBS.includes(chord.action)) action = chord.action;
+            else {
+                issues.push(`${label} → action: unknown action "${chord.action}" (expected one of: ${CHORD_VERBS.join(', ')}, or an action object)`);
+                ok = false;
+            }
+        } else {
+            action = normalizePad(`${label} → action`, chord.action, issues, {nested: true});
+            if (!action) ok = false;
+        }
+
+        if (!ok) return;
+        const key = [...pads].sort((a, b) => a - b).join(',');
+        if (seen.has(key)) {
+            issues.push(`${label} → pads: same pads as ${seen.get(key)}`);
+            return;
+        }
+        seen.set(key, label);
+        chords.push(Object.freeze({pads: Object.freeze(pads), action}));
+    });
+
+    return Object.freeze(chords);
+}
+
+/**
+ * Validate and normalize the `swipes` array.
+ *
+ * @param {unknown} raw
+ * @param {string[]} issues
+ * @returns {ReadonlyArray<{direction:string, row?:number, col?:number, action:string|PadEntry}>}
+ */
+function normalizeSwipes(raw, issues) {
+    if (!Array.isArray(raw)) {
+        issues.push('swipes: must be an array of { direction, action }');
+        return Object.freeze([]);
+    }
+
+    const verbs = [...SWIPE_PAGE_VERBS, ...(getActionType('app')?.verbs ?? [])];
+    const swipes = [];
+    const seen = new Map(); // direction + line → swipe label
+
+    raw.forEach((swipe, i) => {
+        const label = `swipe #${i}`;
+        if (!isPlainObject(swipe)) {
+            issues.push(`${label}: must be an object like { "direction": "right", "row": "top", "action": "nextPage" }`);
+            return;
+        }
+        for (const field of Object.keys(swipe)) {
+            if (!SWIPE_KEYS.has(field)) issues.push(`${label} → ${field}: unknown field (expected one of: ${[...SWIPE_KEYS].join(', ')})`);
+        }
+
+        let ok = true;
+        const {direction} = swipe;
+        if (!SWIPE_DIRECTIONS.includes(direction)) {
+            issues.push(`${label} → direction: must be one of: ${SWIPE_DIRECTIONS.join(', ')}`);
+            ok = false;
+        }
+        const horizontal = isHorizontal(direction);
+
+        const line = {};
+        if (swipe.row !== undefined) {
+            if (!horizontal) {
+                issues.push(`${label} → row: only left/right swipes run along a row (use "col" for up/down)`);
+                ok = false;
+            } else if (swipe.row === 'top') {
+                line.row = TOP_ROW;
+            } else if (Number.isInteger(swipe.row) && swipe.row >= 0 && swipe.row < GRID_ROWS) {
+                line.row = swipe.row;
+            } else {
+                issues.push(`${label} → row: must be 0..${GRID_ROWS - 1} or "top"`);
+                ok = false;
+            }
+        }
+        if (swipe.col !== undefined) {
+            if (horizontal) {
+                issues.push(`${label} → col: only up/down swipes run along a column (use "row" for left/right)`);
+                ok = false;
+            } else if (Number.isInteger(swipe.col) && swipe.col >= 0 && swipe.col <= SCENE_COL) {
+                line.col = swipe.col;
+            } else {
+                issues.push(`${label} → col: must be 0..${SCENE_COL}`);
+                ok = false;
+            }
+        }
+
+        let action = null;
+        if (swipe.action === undefined) {
+            issues.push(`${label} → action: missing (${SWIPE_PAGE_VERBS.join(', ')}, an app verb, or an action object)`);
+            ok = false;
+        } else if (typeof swipe.action === 'string') {
+            if (verbs.includes(swipe.action)) action = swipe.action;
+            else {
+                issues.push(`${label} → action: unknown action "${swipe.action}" (expected one of: ${verbs.join(', ')}, or an action object)`);
+                ok = false;
+            }
+        } else {
+            action = normalizePad(`${label} → action`, swipe.action, issues, {nested: true});
+            if (!action) ok = false;
+        }
+
+        if (!ok) return;
+        const key = `${direction}:${line.row ?? ''}:${line.col ?? ''}`;
+        if (seen.has(key)) {
+            issues.push(`${label}: same direction and line as ${seen.get(key)}`);
+            return;
+        }
+        seen.set(key, label);
+        swipes.push(Object.freeze({direction, ...line, action}));
+    });
+
+    return Object.freeze(swipes);
+}
+
+/**
+ * Validate the modifier pads: grid or scene pads, each listed once.
+ *
+ * @param {unknown} raw
+ * @param {string[]} issues
+ * @param {import('../launchpad/layout.js').Layout} layout
+ * @returns {ReadonlyArray<number>}
+ */
+function normalizeModifiers(raw, issues, layout) {
+    if (!Array.isArray(raw)) {
+        issues.push('modifiers: must be a list of pads like ["r0c8"]');
+        return Object.freeze([]);
+    }
+    const pads = [];
+    for (const ref of raw) {
+        const padId = parsePadRef(ref, layout);
+        if (padId == null) {
+            issues.push(`modifiers: "${refLabel(ref)}" must be ${PAD_KEY_HINT}`);
+        } else if (layout.coordsOf(padId).row === TOP_ROW) {
+            issues.push(`modifiers: "${refLabel(ref)}" is a top-row button; modifiers use grid and scene pads`);
+        } else if (pads.includes(padId)) {
+            issues.push(`modifiers: "${refLabel(ref)}" is listed twice`);
+        } else {
+            pads.push(padId);
+        }
+    }
+    return Object.freeze(pads);
+}
+
+/**
+ * Validate the screensaver block.
+ *
+ * @param {unknown} raw
+ * @param {string[]} issues
+ * @returns {Readonly<{afterMinutes:number, style:'ambient'|'dim'}>|null}
+ */
+function normalizeScreensaver(raw, issues) {
+    if (!isPlainObject(raw)) {
+        issues.push('screensaver: must be an object like { "afterMinutes": 10, "style": "ambient" }');
+        return null;
+    }
+    const before = issues.length;
+    for (const field of Object.keys(raw)) {
+        if (!SCREENSAVER_KEYS.has(field)) issues.push(`screensaver → ${field}: unknown field (expected one of: ${[...SCREENSAVER_KEYS].join(', ')})`);
+    }
+    const {afterMinutes, style = 'ambient'} = raw;
+    if (!Number.isInteger(afterMinutes) || afterMinutes < 1 || afterMinutes > 1440) {
+        issues.push('screensaver → afterMinutes: must be an integer 1..1440');
+    }
+    if (!SCREENSAVER_STYLES.includes(style)) {
+        issues.push(`screensaver → style: must be one of: ${SCREENSAVER_STYLES.join(', ')}`);
+    }
+    return issues.length > before ? null : Object.freeze({afterMinutes, style});
+}
+
+/**
+ * Parse a local time of day: `"HH:MM"` (24 h) → minutes after midnight.
+ * @param {unknown} value
+ * @returns {number|null}
+ */
+function parseTimeOfDay(value) {
+    const m = typeof value === 'string' ? /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value.trim()) : null;
+    return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/**
+ * Validate the night mode block.
+ *
+ * @param {unknown} raw
+ * @param {string[]} issues
+ * @returns {Readonly<{from:number, to:number, maxLevel:number}>|null} Times in minutes after midnight.
+ */
+function normalizeNightMode(raw, issues) {
+    if (!isPlainObject(raw)) {
+        issues.push('nightMode: must be an object like { "from": "22:00", "to": "07:00", "maxLevel": 1 }');
+        return null;
+    }
+    const before = issues.length;
+    for (const field of Object.keys(raw)) {
+        if (!NIGHT_MODE_KEYS.has(field)) issues.push(`nightMode → ${field}: unknown field (expected one of: ${[...NIGHT_MODE_KEYS].join(', ')})`);
+    }
+    const from = parseTimeOfDay(raw.from);
+    const to = parseTimeOfDay(raw.to);
+    const {maxLevel = 1} = raw;
+    if (from == null) issues.push('nightMode → from: must be a time like "22:00"');
+    if (to == null) issues.push('nightMode → to: must be a time like "07:00"');
+    if (from != null && from === to) issues.push('nightMode → to: must differ from "from"');
+    if (!Number.isInteger(maxLevel) || maxLevel < 1 || maxLevel > 2) issues.push('nightMode → maxLevel: must be 1 or 2');
+    return issues.length > before ? null : Object.freeze({from, to, maxLevel});
+}
+
+/**
+ * Validate a raw config object and return its normalized form.
+ *
+ * @param {unknown} raw - Parsed file contents.
+ * @param {{ defaults: { mappings: Record<number, {appName:string, bundleId:string}> } }} opts
+ *        `defaults.mappings` is used (as a single page) when the file has neither `mappings` nor `pages`.
+ * @returns {{
+ *   model: string,
+ *   theme: string,
+ *   timings: Readonly<object>|null,
+ *   pages: ReadonlyArray<{name:string, button:number, mappings:Readonly<Record<number, PadEntry>>}>,
+ *   profiles: ReadonlyArray<{name:string, bundleIds:ReadonlyArray<string>, mappings:Readonly<Record<number, PadEntry>>}>,
+ *   chords: ReadonlyArray<{pads: ReadonlyArray<number>, action: 'tile'|'lock'|PadEntry}>,
+ *   swipes: ReadonlyArray<{direction:string, row?:number, col?:number, action:string|PadEntry}>,
+ *   modifiers: ReadonlyArray<number>,
+ *   screensaver: Readonly<{afterMinutes:number, style:'ambient'|'dim'}>|null,
+ *   nightMode: Readonly<{from:number, to:number, maxLevel:number}>|null
+ * }}
+ * @throws {Error} CONFIG_INVALID with one line per issue.
+ */
+export function normalizeConfig(raw, {defaults}) {
+    const issues = [];
+
+    if (!isPlainObject(raw)) {
+        issues.push('config: top level must be an object');
+    } else {
+        for (const key of Object.keys(raw)) {
+            if (!TOP_LEVEL_KEYS.has(key)) issues.push(`config → ${key}: unknown top-level key`);
+        }
+    }
+
+    const obj = isPlainObject(raw) ? raw : {};
+
+    let model = obj.model ?? DEFAULT_MODEL;
+    if (!getLayout(model)) {
+        issues.push(`config → model: unknown model "${model}" (expected one of: ${layoutModels().join(', ')})`);
+        model = DEFAULT_MODEL;
+    }
+    const layout = getLayout(model);
+
+    const theme = obj.theme ?? DEFAULT_THEME;
+    if (!themeNames().includes(theme)) {
+        issues.push(`config → theme: unknown theme "${theme}" (expected one of: ${themeNames().join(', ')})`);
+    }
+
+    let pages;
+    if (obj.pages !== undefined) {
+        if (obj.mappings !== undefined) issues.push('config → mappings: use either "mappings" or "pages", not both');
+        pages = normalizePages(obj.pages, issues, layout);
+    } else {
+        const mappings = normalizeMappings(obj.mappings ?? defaults.mappings, issues, layout);
+        pages = Object.freeze([Object.freeze({name: DEFAULT_PAGE_NAME, button: 0, mappings})]);
+    }
+
+    const profiles = obj.profiles !== undefined ? normalizeProfiles(obj.profiles, issues, layout) : Object.freeze([]);
+
+    // Page buttons stay live while a profile is shown, so profiles cannot map them either.
+    if (pages.length > 1) {
+        for (const profile of profiles) {
+            for (const page of pages) {
+                const padId = layout.topRowPadIds[page.button];
+                if (padId in profile.mappings) {
+                    issues.push(`profile "${profile.name}" → pad "${padKey(padId, layout)}": reserved for the button of page "${page.name}"`);
+                }
+            }
+        }
+    }
+
+    const chords = obj.chords !== undefined ? normalizeChords(obj.chords, issues, layout) : Object.freeze([]);
+    const swipes = obj.swipes !== undefined ? normalizeSwipes(obj.swipes, issues) : Object.freeze([]);
+
+    const modifiers = obj.modifiers !== undefined ? normalizeModifiers(obj.modifiers, issues, layout) : Object.freeze([]);
+
+    // A modifier only shifts other pads; it runs no action of its own.
+    const scopes = [
+        ...pages.map((page) => [pages.length > 1 ? `page "${page.name}" → ` : '', page.mappings]),
+        ...profiles.map((profile) => [`profile "${profile.name}" → `, profile.mappings]),
+    ];
+    for (const padId of modifiers) {
+        for (const [scope, mappings] of scopes) {
+            if (padId in mappings) issues.push(`${scope}pad "${padKey(padId, layout)}": is a modifier pad (see "modifiers")`);
+        }
+    }
+
+    const timings = obj.timings === undefined ? null : normalizeTimings(obj.timings, issues);
+
+    // A pad's own longPressMs may pass the very-long threshold it inherits; the
+    // decoder then drops that tier, so a bound veryLongPress would never fire.
+    // Checked against this file's timings over the defaults (not the running
+    // TIMINGS), so a config passes or fails the same at boot and on reload.
+    if (obj.timings === undefined || timings) {
+        const gesture = {...DEFAULT_TIMINGS.gesture, ...timings?.gesture};
+        for (const [scope, mappings] of scopes) {
+            for (const [padId, pad] of Object.entries(mappings)) {
+                if (!pad.timings || !bindsVeryLongPress(pad)) continue;
+                const longPressMs = pad.timings.longPressMs ?? gesture.longPressMs;
+                const veryLongPressMs = pad.timings.veryLongPressMs ?? gesture.veryLongPressMs;
+                if (veryLongPressMs <= longPressMs) {
+                    issues.push(`${scope}pad "${padKey(Number(padId), layout)}" → timings: veryLongPressMs (${veryLongPressMs}) must be greater than longPressMs (${longPressMs}) on a pad that binds veryLongPress`);
+                }
+            }
+        }
+    }
+    const screensaver = obj.screensaver === undefined ? null : normalizeScreensaver(obj.screensaver, issues);
+    const nightMode = obj.nightMode === undefined ? null : normalizeNightMode(obj.nightMode, issues);
+
+    if (issues.length) {
+        const err = new Error('CONFIG_INVALID:\n  - ' + issues.join('\n  - '));
+        err.issues = issues;
+        throw err;
+    }
+
+    return Object.freeze({model, theme, timings, pages, profiles, chords, swipes, modifiers, screensaver, nightMode});
+}
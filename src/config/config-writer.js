@@ -0,0 +1,166 @@
+/**
+ * Config writer — save single pad bindings back to the user config file.
+ *
+ * Responsibilities
+ * - Add, replace or remove the entry of one pad in the layout currently shown
+ *   (a page, a profile, or the top-level `mappings`).
+ * - Keep the file recognisable: YAML keeps its comments and layout (edits go
+ *   through the YAML document model); JSON is rewritten with 2-space indent.
+ * - Validate the edited config before anything is written, so a save can never
+ *   leave a file the deck would reject.
+ *
+ * Design notes
+ * - Pads are matched through the layout, so `"17"`, `"r1c1"` and `{row, col}`
+ *   entries for the same pad are all replaced (or removed) together.
+ * - New entries use grid keys (`"r2c3"`); array-style mappings get `at`.
+ * - A file without pads (built-in table in use) is seeded with the built-in
+ *   table first, so learning one pad does not drop the others.
+ * - Writes go to a temp file that is renamed over the original (atomic for
+ *   the hot-reload watcher, which then sees a single change).
+ */
+
+import {mkdir, readFile, rename, writeFile} from 'node:fs/promises';
+import path from 'node:path';
+import YAML from 'yaml';
+import {APP_MAPPINGS} from './app-mappings.js';
+import {normalizeConfigText, parseConfigText} from './user-config.js';
+import {padKey, parsePadRef} from '../launchpad/layout.js';
+
+const isYamlFile = (file) => /\.ya?ml$/i.test(file);
+const isPlainObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+/** Page name as the schema reports it: trimmed `name`, or `#<index>`. */
+const pageName = (page, i) => (typeof page?.name === 'string' && page.name.trim()) ? page.name.trim() : `#${i}`;
+
+/**
+ * Path to the mappings the scope refers to, e.g. `["pages", 1, "mappings"]`.
+ *
+ * @param {object} raw - Parsed config.
+ * @param {{page?: string, profile?: string}} scope
+ * @returns {(string|number)[]}
+ * @throws {Error} CONFIG_WRITE when the page or profile is not in the file.
+ */
+function mappingsPath(raw, scope) {
+    if (scope?.profile != null) {
+        const i = Array.isArray(raw.profiles) ? raw.profiles.findIndex((p) => p?.name?.trim?.() === scope.profile) : -1;
+        if (i < 0) throw new Error(`CONFIG_WRITE: profile "${scope.profile}" not found in the file`);
+        return ['profiles', i, 'mappings'];
+    }
+    if (Array.isArray(raw.pages)) {
+        const i = raw.pages.findIndex((p, idx) => pageName(p, idx) === scope?.page);
+        if (i < 0) throw new Error(`CONFIG_WRITE: page "${scope?.page}" not found in the file`);
+        return ['pages', i, 'mappings'];
+    }
+    return ['mappings'];
+}
+
+/**
+ * Minimal editing surface shared by the JSON and YAML paths.
+ * Paths are arrays of keys/indexes; `js` is a plain snapshot for lookups.
+ */
+function jsonStore(raw) {
+    const parentOf = (p) => p.slice(0, -1).reduce((o, k) => (o[k] ??= {}), raw);
+    return {
+        js: raw,
+        set: (p, v) => {
+            parentOf(p)[p.at(-1)] = v;
+        },
+        remove: (p) => {
+            const parent = parentOf(p);
+            if (Array.isArray(parent)) parent.splice(p.at(-1), 1);
+            else delete parent[p.at(-1)];
+        },
+        push: (p, v) => {
+            parentOf([...p, 0]).push(v);
+        },
+        toString: () => JSON.stringify(raw, null, 2) + '\n',
+    };
+}
+
+function yamlStore(doc) {
+    // New entries follow the style of their siblings (flow `{ … }` or block).
+    const node = (p, v) => {
+        const n = doc.createNode(v);
+        const siblings = doc.getIn(p.slice(0, -1), true)?.items || [];
+        n.flow = siblings.some((it) => (it?.value ?? it)?.flow);
+        return n;
+    };
+    return {
+        js: doc.toJS() ?? {},
+        set: (p, v) => doc.setIn(p, node(p, v)),
+        remove: (p) => doc.deleteIn(p),
+        push: (p, v) => doc.addIn(p, node([...p, 0], v)),
+        toString: () => doc.toString(),
+    };
+}
+
+/**
+ * Set or remove the entry of one pad and save the file.
+ *
+ * @param {string} file - Config file (created when missing).
+ * @param {{
+ *   padId: number,
+ *   entry: object|null,
+ *   scope: {page?: string, profile?: string},
+ *   layout: import('../launchpad/layout.js').Layout,
+ * }} edit - `entry` null removes the pad.
+ * @returns {Promise<object|null>} The new normalized config, or null when nothing changed.
+ * @throws {Error} CONFIG_WRITE / CONFIG_PARSE / CONFIG_INVALID, or the fs error.
+ */
+export async function writePadEntry(file, {padId, entry, scope, layout}) {
+    let text = null;
+    try {
+        text = await readFile(file, 'utf8');
+    } catch (e) {
+        if (e?.code !== 'ENOENT') throw e;
+    }
+
+    const yaml = isYamlFile(file);
+    let store;
+    if (yaml) {
+        const doc = YAML.parseDocument(text ?? '');
+        if (doc.errors.length) throw new Error(`CONFIG_PARSE: ${file}: ${doc.errors[0].message}`);
+        if (!doc.contents) doc.contents = doc.createNode({});
+        if (!isPlainObject(doc.toJS())) throw new Error(`CONFIG_WRITE: ${file}: top level must be a mapping`);
+        store = yamlStore(doc);
+    } else {
+        const raw = text == null ? {} : parseConfigText(text, file);
+        if (!isPlainObject(raw)) throw new Error(`CONFIG_WRITE: ${file}: top level must be an object`);
+        store = jsonStore(raw);
+    }
+
+    // Built-in table in use: copy it in so the other pads survive.
+    if (store.js.pages === undefined && store.js.mappings === undefined) {
+        const seed = JSON.parse(JSON.stringify(APP_MAPPINGS));
+        store.set(['mappings'], seed);
+        store.js.mappings ??= seed;
+    }
+
+    const base = mappingsPath(store.js, scope);
+    const current = base.reduce((o, k) => o?.[k], store.js);
+    const key = padKey(padId, layout);
+    let changed = false;
+
+    if (Array.isArray(current)) {
+        const idx = current.findIndex((it) => isPlainObject(it) && parsePadRef(it.at, layout) === padId);
+        if (idx >= 0 && entry) store.set([...base, idx], {at: key, ...entry});
+        else if (idx >= 0) store.remove([...base, idx]);
+        else if (entry) store.push(base, {at: key, ...entry});
+        changed = idx >= 0 || !!entry;
+    } else {
+        const same = Object.keys(current || {}).filter((k) => parsePadRef(k, layout) === padId);
+        for (const k of same) store.remove([...base, k]);
+        if (entry) store.set([...base, key], entry);
+        changed = same.length > 0 || !!entry;
+    }
+    if (!changed) return null;
+
+    const out = store.toString();
+    const config = normalizeConfigText(out, file); // throws before anything is written
+
+    await mkdir(path.dirname(file), {recursive: true});
+    const tmp = `${file}.tmp-${process.pid}`;
+    await writeFile(tmp, out, 'utf8');
+    await rename(tmp, file);
+    return config;
+}
@@ -0,0 +1,48 @@
+/**
+ * Diff two pad tables (padId → entry) to find which pads need attention
+ * after a config reload.
+ *
+ * Entries are produced by config-schema.js (frozen, with a stable key order),
+ * so a structural comparison via JSON is exact and cheap for tables of this size.
+ */
+
+/**
+ * Compare two pad entries.
+ *
+ * @param {object|undefined} a
+ * @param {object|undefined} b
+ * @returns {boolean}
+ */
+export function samePad(a, b) {
+    if (a === b) return true;
+    if (!a || !b) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compute the pad-level difference between two tables.
+ *
+ * @param {Record<number, object>} prev
+ * @param {Record<number, object>} next
+ * @returns {{ added: number[], removed: number[], changed: number[] }}
+ *          Pad IDs (numbers), each list sorted ascending.
+ */
+export function diffMappings(prev = {}, next = {}) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const key of Object.keys(next)) {
+        const id = Number(key);
+        if (!Number.isFinite(id)) continue;
+        if (!(key in prev)) added.push(id);
+        else if (!samePad(prev[key], next[key])) changed.push(id);
+    }
+    for (const key of Object.keys(prev)) {
+        const id = Number(key);
+        if (Number.isFinite(id) && !(key in next)) removed.push(id);
+    }
+
+    const asc = (a, b) => a - b;
+    return {added: added.sort(asc), removed: removed.sort(asc), changed: changed.sort(asc)};
+}
@@ -1,46 +1,349 @@
 // Centralized timing constants for gestures, controller masking, sync cadence,
-// and boot/shutdown animations. Keeping them in one place makes tuning safe
-// and consistent across the app.
+// config reloads, profile switches, learn mode, scrolling text, and boot/shutdown animations. Keeping them
+// in one place makes tuning safe and consistent across the app.
+//
+// Overrides
+// - The user config (`timings: { gesture: { doubleTapMs: 400 } }`) and env vars
+//   (`LP_TIMING_GESTURE_DOUBLE_TAP_MS=400`, env wins) may change any key below.
+// - Values are range-checked and cross-checked (e.g. long-press must outlast the
+//   double-tap window) before use; see normalizeTimings / applyTimings.
+// - TIMINGS keeps its identity: main applies the overrides once at boot, before
+//   any consumer reads it, then freezes it. Modules may keep section aliases.
 
-export const TIMINGS = Object.freeze({
+/** Built-in values (frozen). */
+export const DEFAULT_TIMINGS = deepFreeze({
     // Gesture thresholds used by GestureDecoder
-    gesture: Object.freeze({
+    gesture: {
         doubleTapMs: 480,
         longPressMs: 800,
+        veryLongPressMs: 2000,      // hold tier for destructive actions (pads that bind veryLongPress)
         bounceMs: 28,
         cooldownMs: 0,
-    }),
-
-    // Controller-level masks and tiny waits to keep visuals crisp
-    controller: Object.freeze({
-        minimizeBusy: 800,          // cover minimize animation
-        focusBusy: 600,
-        launchBusy: 1300,           // allow the first window to appear
-        errorBusy: 900,
+        chordWindowMs: 150,         // max spread between the first and last pad of a chord
+        swipeStepMs: 120,           // max gap between two pads of a swipe
+        swipeMinPads: 3,            // pads a slide must cross to count as a swipe
+    },
+
+    // Controller-level feedback durations and tiny waits to keep visuals crisp
+    controller: {
+        errorBusy: 900,             // how long the error color stays before the synced color returns
         pokeMs: 90,                 // quick post-action recheck
         postLaunchFocusDelay: 120,  // tiny pause before focusing after launch
-        quitBlinkMs: 600,           // red blink duration on long-press
-        quitBusy: 1100,
-    }),
+        holdRampDelayMs: 150,       // hold this long before the pad starts ramping toward long-press
+    },
+
+    // Non-app pad actions (URL, shell, keystroke, Lua, macro)
+    actions: {
+        shellTimeoutMs: 10000,      // default per-command limit; pads may override
+        resultBusy: 700,            // how long success/failure stays before the idle color returns
+        macroStepTimeoutMs: 10000,  // default per-step limit for macro pads; steps may override
+        macroProgressHz: 3,         // progress blink rate while a macro runs
+    },
 
     // State sync cadence
-    sync: Object.freeze({
+    sync: {
         intervalMsDefault: 140,     // good balance CPU/latency
-    }),
+        blinkFrameMs: 40,           // repaint cadence for blinking theme states
+    },
+
+    // Context profiles (layouts that follow the frontmost app)
+    profiles: {
+        settleMs: 250,              // frontmost app must stay put this long before switching
+        fadeSteps: 4,               // LED cross-fade frames on a profile switch
+        fadeStepMs: 45,
+    },
+
+    // Config file hot-reload
+    config: {
+        reloadDebounceMs: 150,      // coalesce editor save bursts (write + rename)
+    },
 
-    // Animation presets used by main during boot/shutdown
-    animations: Object.freeze({
-        boot: Object.freeze({
+    // Learn mode (bind pads from the device)
+    learn: {
+        pollMs: 250,                // frontmost-app check while a pad waits
+        timeoutMs: 30000,           // give up waiting for an app after this long
+    },
+
+    // Scrolling text (page names, learn mode, startup errors)
+    text: {
+        speed: 5,                   // 1 (slow) .. 7 (fast), the Launchpad S firmware's scale
+        slowStepMs: 480,            // software scroller: ms per column at speed 1 (speed n: slowStepMs / n)
+    },
+
+    // LED animations: engine frame clock, and presets used by main during boot/shutdown and by the screensaver
+    animations: {
+        frameMs: 20,                // one frame timer for every running animation (50 FPS)
+        boot: {
             useAllPads: true,
             totalDurationMs: 2000,    // target 2s boot animation
             stepMs: 22,               // ~45 FPS feel
-        }),
-        shutdown: Object.freeze({
+        },
+        screensaver: {
+            periodMs: 6000,           // one dim ↔ bright cycle of the ambient wave
+            staggerMs: 300,           // delay between neighbouring diagonals
+        },
+        shutdown: {
             totalDurationMs: 1000,    // ~1s visible
             passes: 3,
             trail: 4,                 // bright→dim tail length
             // stepMs: 18,            // optional override if desired
             finalHoldMs: 120,
-        }),
-    }),
+        },
+    },
 });
+
+/** Effective values; mutable only until applyTimings() runs. */
+export const TIMINGS = clone(DEFAULT_TIMINGS);
+
+/** Prefix of the env vars that override timings. */
+const ENV_PREFIX = 'LP_TIMING_';
+
+/** Largest accepted duration (ms). */
+const MAX_MS = 600000;
+
+function isPlainObject(v) {
+    return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function deepFreeze(obj) {
+    for (const v of Object.values(obj)) if (isPlainObject(v)) deepFreeze(v);
+    return Object.freeze(obj);
+}
+
+function clone(obj) {
+    return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, isPlainObject(v) ? clone(v) : v]));
+}
+
+/** Every leaf of the defaults as [path, value], e.g. [["gesture", "doubleTapMs"], 480]. */
+function leaves(obj, path = []) {
+    return Object.entries(obj).flatMap(([k, v]) => isPlainObject(v) ? leaves(v, [...path, k]) : [[[...path, k], v]]);
+}
+
+const getPath = (obj, path) => path.reduce((o, k) => o?.[k], obj);
+
+function setPath(obj, path, value) {
+    let o = obj;
+    for (const k of path.slice(0, -1)) o = (o[k] ??= {});
+    o[path.at(-1)] = value;
+}
+
+/** `gesture.doubleTapMs` → `LP_TIMING_GESTURE_DOUBLE_TAP_MS`. */
+const envName = (path) => ENV_PREFIX + path.map((k) => k.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()).join('_');
+
+/**
+ * Accepted range for a key, from its name: durations (…Ms, …MsDefault, …Busy,
+ * …Delay), rates (…Hz) or counts (everything else).
+ */
+function rangeOf(path) {
+    const key = path.at(-1);
+    if (/(Ms|MsDefault|Busy|Delay)$/.test(key)) {
+        const min = ['intervalMsDefault', 'blinkFrameMs', 'stepMs', 'pollMs', 'frameMs', 'slowStepMs', 'periodMs'].includes(key) ? 10 : 0;
+        return {min, max: MAX_MS, unit: ' ms'};
+    }
+    if (/Hz$/.test(key)) return {min: 1, max: 20, unit: ' Hz'};
+    return {min: 1, max: 100, unit: ''};
+}
+
+/** Check one value against its default's type and the key's range. */
+function checkValue(path, value, where, issues) {
+    const def = getPath(DEFAULT_TIMINGS, path);
+    if (typeof def === 'boolean') {
+        if (typeof value === 'boolean') return true;
+        issues.push(`${where}: must be true or false`);
+        return false;
+    }
+    const {min, max, unit} = rangeOf(path);
+    if (Number.isInteger(value) && value >= min && value <= max) return true;
+    issues.push(`${where}: must be an integer ${min}..${max}${unit}`);
+    return false;
+}
+
+/**
+ * Cross-field rules on a merged timing table.
+ * @param {object} t - Complete timings (defaults + overrides).
+ * @returns {string[]} One message per broken rule.
+ */
+function consistencyIssues(t) {
+    const out = [];
+    const rule = (ok, msg) => {
+        if (!ok) out.push(msg);
+    };
+    rule(t.gesture.longPressMs > t.gesture.doubleTapMs,
+        `gesture.longPressMs (${t.gesture.longPressMs}) must be greater than gesture.doubleTapMs (${t.gesture.doubleTapMs})`);
+    rule(t.gesture.veryLongPressMs > t.gesture.longPressMs,
+        `gesture.veryLongPressMs (${t.gesture.veryLongPressMs}) must be greater than gesture.longPressMs (${t.gesture.longPressMs})`);
+    rule(t.gesture.chordWindowMs < t.gesture.longPressMs,
+        `gesture.chordWindowMs (${t.gesture.chordWindowMs}) must be less than gesture.longPressMs (${t.gesture.longPressMs})`);
+    rule(t.gesture.swipeStepMs < t.gesture.longPressMs,
+        `gesture.swipeStepMs (${t.gesture.swipeStepMs}) must be less than gesture.longPressMs (${t.gesture.longPressMs})`);
+    rule(t.gesture.swipeMinPads >= 3 && t.gesture.swipeMinPads <= 9,
+        `gesture.swipeMinPads (${t.gesture.swipeMinPads}) must be 3..9`);
+    rule(t.gesture.bounceMs < t.gesture.doubleTapMs,
+        `gesture.bounceMs (${t.gesture.bounceMs}) must be less than gesture.doubleTapMs (${t.gesture.doubleTapMs})`);
+    rule(t.controller.holdRampDelayMs < t.gesture.longPressMs,
+        `controller.holdRampDelayMs (${t.controller.holdRampDelayMs}) must be less than gesture.longPressMs (${t.gesture.longPressMs})`);
+    rule(t.sync.blinkFrameMs <= t.sync.intervalMsDefault,
+        `sync.blinkFrameMs (${t.sync.blinkFrameMs}) must not exceed sync.intervalMsDefault (${t.sync.intervalMsDefault})`);
+    rule(t.text.speed <= 7,
+        `text.speed (${t.text.speed}) must be 1..7`);
+    rule(t.animations.boot.stepMs <= t.animations.boot.totalDurationMs,
+        `animations.boot.stepMs (${t.animations.boot.stepMs}) must not exceed animations.boot.totalDurationMs (${t.animations.boot.totalDurationMs})`);
+    rule(t.animations.shutdown.finalHoldMs < t.animations.shutdown.totalDurationMs,
+        `animations.shutdown.finalHoldMs (${t.animations.shutdown.finalHoldMs}) must be less than animations.shutdown.totalDurationMs (${t.animations.shutdown.totalDurationMs})`);
+    return out;
+}
+
+/** Defaults with `overrides` (a partial tree of checked values) laid on top. */
+function merge(overrides) {
+    const t = clone(DEFAULT_TIMINGS);
+    for (const [path] of leaves(DEFAULT_TIMINGS)) {
+        const v = getPath(overrides, path);
+        if (v !== undefined) setPath(t, path, v);
+    }
+    return t;
+}
+
+/**
+ * Validate the config's `timings` block.
+ * Unknown sections/keys, bad values and inconsistent combinations (checked
+ * against the defaults) are reported into `issues`.
+ *
+ * @param {unknown} raw
+ * @param {string[]} issues
+ * @param {string} [where='config → timings']
+ * @returns {Readonly<object>|null} Frozen partial tree, or null when invalid.
+ */
+export function normalizeTimings(raw, issues, where = 'config → timings') {
+    if (!isPlainObject(raw)) {
+        issues.push(`${where}: must be an object like { "gesture": { "doubleTapMs": 400 } }`);
+        return null;
+    }
+    const before = issues.length;
+    const out = {};
+    const walk = (obj, defs, path) => {
+        for (const [key, value] of Object.entries(obj)) {
+            const at = [...path, key];
+            const label = `${where} → ${at.join(' → ')}`;
+            if (!Object.hasOwn(defs, key)) {
+                issues.push(`${label}: unknown key (expected one of: ${Object.keys(defs).join(', ')})`);
+            } else if (isPlainObject(defs[key])) {
+                if (isPlainObject(value)) walk(value, defs[key], at);
+                else issues.push(`${label}: must be an object`);
+            } else if (checkValue(at, value, label, issues)) {
+                setPath(out, at, value);
+            }
+        }
+    };
+    walk(raw, DEFAULT_TIMINGS, []);
+    if (issues.length > before) return null;
+
+    const rules = consistencyIssues(merge(out));
+    for (const msg of rules) issues.push(`${where}: ${msg}`);
+    return rules.length ? null : deepFreeze(out);
+}
+
+/** Gesture keys a single pad may override (`timings` on a pad entry). */
+const PAD_GESTURE_KEYS = Object.freeze(['doubleTapMs', 'longPressMs', 'veryLongPressMs']);
+
+/**
+ * Validate a pad's own gesture thresholds: `{ "longPressMs": 1000 }`.
+ * Values are range-checked and cross-checked against the default gesture timings
+ * (the very-long tier only when the pad sets `veryLongPressMs`; a pad that only
+ * raises `longPressMs` above it gets no very-long tier, which config-schema.js
+ * rejects when the pad binds `veryLongPress`).
+ *
+ * @param {unknown} raw
+ * @param {string[]} issues
+ * @param {string} where - e.g. `pad "r0c0" → timings`.
+ * @returns {Readonly<Record<string, number>>|null} null when invalid.
+ */
+export function normalizePadTimings(raw, issues, where) {
+    if (!isPlainObject(raw)) {
+        issues.push(`${where}: must be an object like { "longPressMs": 1000 }`);
+        return null;
+    }
+    const before = issues.length;
+    const out = {};
+    for (const [key, value] of Object.entries(raw)) {
+        if (!PAD_GESTURE_KEYS.includes(key)) {
+            issues.push(`${where} → ${key}: unknown key (expected one of: ${PAD_GESTURE_KEYS.join(', ')})`);
+        } else if (checkValue(['gesture', key], value, `${where} → ${key}`, issues)) {
+            out[key] = value;
+        }
+    }
+    if (issues.length > before) return null;
+
+    const rules = consistencyIssues(merge({gesture: out}))
+        .filter((msg) => msg.startsWith('gesture.'))
+        .filter((msg) => 'veryLongPressMs' in out || !msg.startsWith('gesture.veryLongPressMs'))
+        .map((msg) => msg.replaceAll('gesture.', ''));
+    for (const msg of rules) issues.push(`${where}: ${msg}`);
+    return rules.length ? null : Object.freeze(out);
+}
+
+/**
+ * Read timing overrides from `LP_TIMING_*` env vars.
+ * @param {Record<string, string|undefined>} env
+ * @param {string[]} issues - Unknown names and unparsable values are reported here.
+ * @returns {object} Partial tree.
+ */
+function envOverrides(env, issues) {
+    const byName = new Map(leaves(DEFAULT_TIMINGS).map(([path]) => [envName(path), path]));
+    const out = {};
+    for (const [name, text] of Object.entries(env)) {
+        if (!name.startsWith(ENV_PREFIX) || text === undefined) continue;
+        const path = byName.get(name);
+        if (!path) {
+            issues.push(`env ${name}: unknown timing`);
+            continue;
+        }
+        const t = text.trim().toLowerCase();
+        const value = (t === 'true' || t === 'false') ? t === 'true' : (/^-?\d+$/.test(t) ? Number(t) : t);
+        if (checkValue(path, value, `env ${name}`, issues)) setPath(out, path, value);
+    }
+    return out;
+}
+
+/**
+ * Merge config and env overrides into TIMINGS, check the result and freeze it.
+ * Call once at boot, before controllers and animations are created.
+ *
+ * @param {object|null} [overrides] - Normalized config `timings`.
+ * @param {{ env?: Record<string, string|undefined> }} [opts]
+ * @returns {Readonly<typeof DEFAULT_TIMINGS>} The effective TIMINGS.
+ * @throws {Error} TIMINGS_INVALID with one line per issue (TIMINGS is left untouched).
+ */
+export function applyTimings(overrides = null, {env = process.env} = {}) {
+    if (Object.isFrozen(TIMINGS)) throw new Error('TIMINGS_LOCKED: timings were already applied');
+
+    const issues = [];
+    const fromEnv = envOverrides(env, issues);
+    const merged = merge(overrides || {});
+    for (const [path, v] of leaves(fromEnv)) setPath(merged, path, v);
+    if (!issues.length) issues.push(...consistencyIssues(merged));
+
+    if (issues.length) {
+        const err = new Error('TIMINGS_INVALID:\n  - ' + issues.join('\n  - '));
+        err.issues = issues;
+        throw err;
+    }
+
+    for (const [path, v] of leaves(merged)) setPath(TIMINGS, path, v);
+    return deepFreeze(TIMINGS);
+}
+
+/**
+ * Effective values as a flat map (`{ "gesture.doubleTapMs": 400, … }`) for logging,
+ * plus the keys that differ from the defaults.
+ * @returns {{ values: Record<string, number|boolean>, overridden: string[] }}
+ */
+export function describeTimings() {
+    const values = {};
+    const overridden = [];
+    for (const [path, v] of leaves(DEFAULT_TIMINGS)) {
+        const key = path.join('.');
+        values[key] = getPath(TIMINGS, path);
+        if (values[key] !== v) overridden.push(key);
+    }
+    return {values, overridden};
+}
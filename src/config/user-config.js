@@ -0,0 +1,253 @@
+/**
+ * User configuration loader.
+ *
+ * Responsibilities
+ * - Locate the user config file (CLI flag → env var → per-user default path).
+ * - Parse it as JSON or YAML (chosen by file extension).
+ * - Validate it at boot (see config-schema.js) and fail with a clear message.
+ * - Fall back to the built-in APP_MAPPINGS when no user file exists.
+ * - Watch the loaded file and hand validated updates to the running deck.
+ *
+ * Lookup order
+ * 1) `--config <path>` or `--config=<path>` on the command line.
+ * 2) `LP_CONFIG` environment variable.
+ * 3) `$XDG_CONFIG_HOME/launchpad-shortcut-deck/config.{json,yaml,yml}`
+ *    (XDG_CONFIG_HOME defaults to `~/.config`).
+ *
+ * An explicitly requested file (1 or 2) must exist; a missing default file
+ * simply means “use the built-in table”.
+ *
+ * Hot reload
+ * - The parent directory is watched (not the file) because most editors save
+ *   by writing a temp file and renaming it over the original.
+ * - Bursts of events are debounced; invalid edits are logged and ignored so
+ *   the last good configuration keeps running.
+ */
+
+import {watch} from 'node:fs';
+import {readFile, access} from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import YAML from 'yaml';
+import {APP_MAPPINGS} from './app-mappings.js';
+import {normalizeConfig} from './config-schema.js';
+import {logger} from '../utils/logger.js';
+import {TIMINGS} from './timings.js';
+
+/** Directory name under the user config home. */
+const APP_DIR = 'launchpad-shortcut-deck';
+
+/** Candidate file names for the default location, in priority order. */
+const DEFAULT_FILES = ['config.json', 'config.yaml', 'config.yml'];
+
+/** Built-in values used when the user file is absent or omits a section. */
+const DEFAULTS = Object.freeze({mappings: APP_MAPPINGS});
+
+/** Count pads across all pages (for logs). */
+const padCount = (config) => config.pages.reduce((n, p) => n + Object.keys(p.mappings).length, 0);
+
+/**
+ * Read the `--config` flag from argv (supports both `--config x` and `--config=x`).
+ *
+ * @param {string[]} argv
+ * @returns {string|null}
+ */
+function configFlag(argv) {
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (a === '--config') return argv[i + 1] || null;
+        if (a.startsWith('--config=')) return a.slice('--config='.length) || null;
+    }
+    return null;
+}
+
+/** Expand a leading `~` to the home directory. */
+const expandHome = (p) => (p === '~' || p.startsWith('~/')) ? path.join(os.homedir(), p.slice(1)) : p;
+
+/** Resolve true when a path is readable. */
+const exists = (p) => access(p).then(() => true, () => false);
+
+/**
+ * Resolve which config file to load.
+ *
+ * @param {{argv?: string[], env?: NodeJS.ProcessEnv}} [opts]
+ * @returns {Promise<{path: string|null, explicit: boolean}>}
+ *          `path` is null when no explicit path was given and no default file exists.
+ */
+export async function resolveConfigPath({argv = process.argv.slice(2), env = process.env} = {}) {
+    const explicit = configFlag(argv) || env.LP_CONFIG || null;
+    if (explicit) return {path: path.resolve(expandHome(explicit)), explicit: true};
+
+    const dir = path.dirname(defaultConfigPath({env}));
+    for (const name of DEFAULT_FILES) {
+        const candidate = path.join(dir, name);
+        if (await exists(candidate)) return {path: candidate, explicit: false};
+    }
+    return {path: null, explicit: false};
+}
+
+/**
+ * Where a new config file is created (e.g. by learn mode) when none exists yet.
+ *
+ * @param {{env?: NodeJS.ProcessEnv}} [opts]
+ * @returns {string} `$XDG_CONFIG_HOME/launchpad-shortcut-deck/config.json`
+ */
+export function defaultConfigPath({env = process.env} = {}) {
+    const home = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(home, APP_DIR, DEFAULT_FILES[0]);
+}
+
+/**
+ * Parse and validate config text (the file need not exist yet).
+ *
+ * @param {string} text
+ * @param {string} file - Picks the parser; used in messages.
+ * @throws {Error} CONFIG_PARSE / CONFIG_INVALID
+ */
+export function normalizeConfigText(text, file) {
+    return normalizeConfig(parseConfigText(text, file), {defaults: DEFAULTS});
+}
+
+/**
+ * Parse config text as JSON or YAML based on the file extension.
+ *
+ * @param {string} text
+ * @param {string} file - Used to pick the parser and in error messages.
+ * @returns {unknown}
+ * @throws {Error} CONFIG_PARSE with the parser's message.
+ */
+export function parseConfigText(text, file) {
+    const ext = path.extname(file).toLowerCase();
+    try {
+        if (ext === '.yaml' || ext === '.yml') return YAML.parse(text) ?? {};
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`CONFIG_PARSE: ${file}: ${e?.message || e}`);
+    }
+}
+
+/**
+ * Read, parse and validate a config file.
+ *
+ * @param {string} file - Absolute path.
+ * @returns {Promise<{
+ *   model: string,
+ *   theme: string,
+ *   timings: Readonly<object>|null,
+ *   pages: ReadonlyArray<{name:string, button:number, mappings:Readonly<Record<number, object>>}>,
+ *   profiles: ReadonlyArray<{name:string, bundleIds:ReadonlyArray<string>, mappings:Readonly<Record<number, object>>}>
+ * }>}
+ * @throws {Error} CONFIG_PARSE / CONFIG_INVALID on bad content, or the fs error if unreadable.
+ */
+export async function readConfigFile(file) {
+    const text = await readFile(file, 'utf8');
+    return normalizeConfigText(text, file);
+}
+
+/**
+ * Load the effective configuration for this process.
+ *
+ * @param {{argv?: string[], env?: NodeJS.ProcessEnv}} [opts]
+ * @returns {Promise<{
+ *   path: string|null,
+ *   source: 'file'|'builtin',
+ *   model: string,
+ *   theme: string,
+ *   timings: Readonly<object>|null,
+ *   pages: ReadonlyArray<{name:string, button:number, mappings:Readonly<Record<number, object>>}>,
+ *   profiles: ReadonlyArray<{name:string, bundleIds:ReadonlyArray<string>, mappings:Readonly<Record<number, object>>}>
+ * }>}
+ * @throws {Error} If an explicitly requested file is missing, or any file is invalid.
+ */
+export async function loadConfig(opts = {}) {
+    const {path: file, explicit} = await resolveConfigPath(opts);
+
+    if (!file) {
+        logger.info('[CONFIG] no user config found, using built-in mappings');
+        return {path: null, source: 'builtin', ...normalizeConfig({}, {defaults: DEFAULTS})};
+    }
+
+    if (explicit && !(await exists(file))) {
+        throw new Error(`CONFIG_NOT_FOUND: ${file}`);
+    }
+
+    const config = await readConfigFile(file);
+    logger.info('[CONFIG] loaded', {path: file, theme: config.theme, pages: config.pages.length, profiles: config.profiles.length, pads: padCount(config)});
+    return {path: file, source: 'file', ...config};
+}
+
+/**
+ * Watch a config file and invoke `onChange` with each new *valid* configuration.
+ *
+ * The deck's own writes (learn mode) are applied by the writer right away; it
+ * passes the result to `expect` so the change event they cause is skipped
+ * instead of applying and logging the same config a second time.
+ *
+ * @param {string} file - Absolute path returned by loadConfig().
+ * @param {(config: { model: string, theme: string, timings: object|null, pages: ReadonlyArray<object>, profiles: ReadonlyArray<object> }) => void} onChange
+ * @param {{debounceMs?: number}} [opts]
+ * @returns {{stop: () => void, expect: (config: object) => void}} `stop` is idempotent.
+ */
+export function watchConfig(file, onChange, {debounceMs = TIMINGS.config.reloadDebounceMs} = {}) {
+    const dir = path.dirname(file);
+    const base = path.basename(file);
+    let timer = null;
+    let stopped = false;
+    let lastText = null;
+    let expected = null; // JSON of a config the deck wrote and already applied
+
+    const reload = async () => {
+        timer = null;
+        let text;
+        try {
+            text = await readFile(file, 'utf8');
+        } catch (e) {
+            // Mid-rename or deleted: keep running with the last good config.
+            logger.warn('[CONFIG] reload skipped, file not readable', {path: file, err: String(e?.code || e)});
+            return;
+        }
+        if (stopped || text === lastText) return;
+
+        try {
+            const config = normalizeConfigText(text, file);
+            lastText = text;
+            const own = expected != null && JSON.stringify(config) === expected;
+            expected = null;
+            if (own) return;
+            logger.info('[CONFIG] reloaded', {path: file, theme: config.theme, pages: config.pages.length, profiles: config.profiles.length, pads: padCount(config)});
+            onChange(config);
+        } catch (e) {
+            logger.error('[CONFIG] reload rejected, keeping last good config\n' + (e?.message || e));
+        }
+    };
+
+    // Seed with the current contents so a touch without edits is a no-op.
+    readFile(file, 'utf8').then((t) => {
+        if (lastText == null) lastText = t;
+    }, () => {
+    });
+
+    const watcher = watch(dir, (_event, filename) => {
+        if (stopped || (filename && filename !== base)) return;
+        clearTimeout(timer);
+        timer = setTimeout(reload, debounceMs);
+    });
+    watcher.on('error', (e) => logger.warn('[CONFIG] watcher error', {err: String(e)}));
+
+    logger.info('[CONFIG] watching for changes', {path: file});
+
+    return {
+        stop: () => {
+            if (stopped) return;
+            stopped = true;
+            clearTimeout(timer);
+            try {
+                watcher.close();
+            } catch {
+            }
+        },
+        expect: (config) => {
+            expected = JSON.stringify(config);
+        },
+    };
+}
@@ -65,6 +65,19 @@ function callOSA(lua, opts = {}) {
     });
 }
 
+/**
+ * Wrap an arbitrary string in a Lua long-bracket literal (`[[...]]`, `[=[...]=]`, ...),
+ * picking a level whose closing bracket does not occur in the string.
+ *
+ * @param {string} s
+ * @returns {string}
+ */
+function luaString(s) {
+    let eq = '';
+    while (`${s}]`.includes(`]${eq}]`)) eq += '='; // a trailing "]" would close the literal early too
+    return `[${eq}[${s}]${eq}]`;
+}
+
 // Re-export for callers that want to run the preflight explicitly.
 export {ensureReady};
 
@@ -74,13 +87,19 @@ export {ensureReady};
  * the high-level helpers below which do it for you).
  */
 export const actions = {
-    open: (target) => callOSA(`return launchpad_shortcut_deck_open([[${target}]])`),
-    focus: (target) => callOSA(`return launchpad_shortcut_deck_focus([[${target}]])`),
-    minimize: (target) => callOSA(`return launchpad_shortcut_deck_minimize([[${target}]])`),
-    maximize: (target) => callOSA(`return launchpad_shortcut_deck_maximize([[${target}]])`),
-    fullscreen: (target, on = true) => callOSA(`return launchpad_shortcut_deck_fullscreen([[${target}]], ${on ? 'true' : 'false'})`),
-    close: (target) => callOSA(`return launchpad_shortcut_deck_close([[${target}]])`),
-    quit: (target) => callOSA(`return launchpad_shortcut_deck_quit([[${target}]])`),
+    open: (target) => callOSA(`return launchpad_shortcut_deck_open(${luaString(target)})`),
+    focus: (target) => callOSA(`return launchpad_shortcut_deck_focus(${luaString(target)})`),
+    minimize: (target) => callOSA(`return launchpad_shortcut_deck_minimize(${luaString(target)})`),
+    hide: (target) => callOSA(`return launchpad_shortcut_deck_hide(${luaString(target)})`),
+    maximize: (target) => callOSA(`return launchpad_shortcut_deck_maximize(${luaString(target)})`),
+    fullscreen: (target, on = true) => callOSA(`return launchpad_shortcut_deck_fullscreen(${luaString(target)}, ${on ? 'true' : 'false'})`),
+    tile: (targets) => callOSA(`return launchpad_shortcut_deck_tile({ ${targets.map(luaString).join(', ')} })`),
+    close: (target) => callOSA(`return launchpad_shortcut_deck_close(${luaString(target)})`),
+    quit: (target) => callOSA(`return launchpad_shortcut_deck_quit(${luaString(target)})`),
+    openURL: (url) => callOSA(`return launchpad_shortcut_deck_openURL(${luaString(url)})`),
+    keystroke: (mods, key) => callOSA(`return launchpad_shortcut_deck_keystroke({ ${mods.map(luaString).join(', ')} }, ${luaString(key)})`),
+    call: (name, args = []) => callOSA(`return launchpad_shortcut_deck_call(${luaString(name)}, ${luaString(JSON.stringify(args))})`),
+    frontmost: () => callOSA('return launchpad_shortcut_deck_frontmost()'),
 };
 
 /**
@@ -111,6 +130,34 @@ export function resolveActions() {
         return norm(r);
     }
 
+    async function hide(target) {
+        await ensureReady();
+        const r = await actions.hide(target);
+        logger.info('[HS] hide', {target, r});
+        return norm(r);
+    }
+
+    async function maximize(target) {
+        await ensureReady();
+        const r = await actions.maximize(target);
+        logger.info('[HS] maximize', {target, r});
+        return norm(r);
+    }
+
+    async function fullscreen(target, on = true) {
+        await ensureReady();
+        const r = await actions.fullscreen(target, on);
+        logger.info('[HS] fullscreen', {target, on, r});
+        return norm(r);
+    }
+
+    async function tile(targets) {
+        await ensureReady();
+        const r = await actions.tile(targets);
+        logger.info('[HS] tile', {targets, r});
+        return norm(r);
+    }
+
     async function closeAll(target) {
         await ensureReady();
         const r = await actions.close(target);
@@ -125,6 +172,27 @@ export function resolveActions() {
         return norm(r);
     }
 
+    async function openURL(url) {
+        await ensureReady();
+        const r = await actions.openURL(url);
+        logger.info('[HS] openURL', {url, r});
+        return norm(r);
+    }
+
+    async function keystroke(mods, key) {
+        await ensureReady();
+        const r = await actions.keystroke(mods, key);
+        logger.info('[HS] keystroke', {mods, key, r});
+        return norm(r);
+    }
+
+    async function callLua(name, args = []) {
+        await ensureReady();
+        const r = await actions.call(name, args);
+        logger.info('[HS] call', {name, r});
+        return norm(r);
+    }
+
     /**
      * Query multiple app states in one round trip.
      *
@@ -134,7 +202,7 @@ export function resolveActions() {
     async function getStatesBulk(targets) {
         await ensureReady();
         if (!targets || targets.length === 0) return [];
-        const list = targets.map(t => `[[${t}]]`).join(', ');
+        const list = targets.map(luaString).join(', ');
         const lua = `return launchpad_shortcut_deck_getStatesBulk({ ${list} })`;
         const out = await callOSA(lua);
         try {
@@ -147,13 +215,29 @@ export function resolveActions() {
         }
     }
 
+    /**
+     * The app currently in front.
+     * @returns {Promise<{bundleId:string, name:string}|null>} null when none (or no bundle ID).
+     */
+    async function frontmostApp() {
+        await ensureReady();
+        const out = await actions.frontmost();
+        try {
+            const parsed = JSON.parse(out);
+            return (parsed && typeof parsed.bundleId === 'string') ? {bundleId: parsed.bundleId, name: String(parsed.name || parsed.bundleId)} : null;
+        } catch {
+            logger.warn('[HS] frontmost JSON parse failed');
+            return null;
+        }
+    }
+
     /** Query a single app state (convenience wrapper over getStatesBulk). */
     async function getState(target) {
         const [one] = await getStatesBulk([target]);
         return one || {target, running: false};
     }
 
-    return {launch, focus, minimizeAll, closeAll, quit, getStatesBulk, getState};
+    return {launch, focus, minimizeAll, hide, maximize, fullscreen, tile, closeAll, quit, openURL, keystroke, callLua, getStatesBulk, getState, frontmostApp};
 }
 
 let _cached;
@@ -83,7 +83,7 @@ export function ensureReady({retries = 8, delayMs = 140} = {}) {
         }
 
         // Keep this list in sync with the public Lua API (see hammerspoon/.../init.lua)
-        const required = ['launchpad_shortcut_deck_open', 'launchpad_shortcut_deck_focus', 'launchpad_shortcut_deck_minimize', 'launchpad_shortcut_deck_maximize', 'launchpad_shortcut_deck_fullscreen', 'launchpad_shortcut_deck_close', 'launchpad_shortcut_deck_quit', 'launchpad_shortcut_deck_getStatesBulk',];
+        const required = ['launchpad_shortcut_deck_open', 'launchpad_shortcut_deck_focus', 'launchpad_shortcut_deck_minimize', 'launchpad_shortcut_deck_hide', 'launchpad_shortcut_deck_maximize', 'launchpad_shortcut_deck_fullscreen', 'launchpad_shortcut_deck_tile', 'launchpad_shortcut_deck_close', 'launchpad_shortcut_deck_quit', 'launchpad_shortcut_deck_getStatesBulk', 'launchpad_shortcut_deck_openURL', 'launchpad_shortcut_deck_keystroke', 'launchpad_shortcut_deck_call', 'launchpad_shortcut_deck_frontmost',];
 
         // Single Lua chunk that returns a JSON array of missing function names.
         // We prefer `hs.json.encode`, falling back to "[]" if not available yet.
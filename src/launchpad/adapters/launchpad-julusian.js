@@ -3,27 +3,99 @@
  *
  * Responsibilities
  * - Discover and open Launchpad input/output ports (or honor LP_IN / LP_OUT env overrides).
- * - Decode NOTE ON/OFF messages into pad press/release callbacks.
- * - Encode per‑pad LED colors into Launchpad‑compatible velocities and send them efficiently.
+ * - Decode NOTE ON/OFF and control-button CC messages into pad press/release callbacks.
+ * - Encode per‑pad LED colors for the model (velocities on the S / Mini, RGB SysEx on
+ *   the X / Mini MK3 / Pro MK3 / MK2) and send them efficiently.
  * - Provide safe shutdown/cleanup routines (clear LEDs, close ports, remove listeners).
  *
  * Performance notes
- * - LED writes are deduplicated using a local cache (padId → last velocity).
+ * - LED writes are deduplicated using a local cache (padId → last encoded value).
+ * - RGB models: a frame of pads goes out as one RGB LED SysEx message.
  * - Input handling is lightweight: minimal branching and no allocations on the hot path.
+ * - Launchpad S / Mini: `setPads(frame)` is double-buffered (CC 0 buffer control) so a
+ *   frame flips onto the grid at once, and packs two LEDs per message with "rapid LED
+ *   update" when that takes fewer messages than one NOTE ON per changed pad. `clearAll`
+ *   uses the device reset instead of writing every note. `showText` uses the firmware
+ *   text scroller.
  *
  * Pad addressing
  * - Note pads: padId in 0..127 → NOTE ON with velocity (color).
- * - “Control” style pads: padId >= 200 → maps to Control Change (CC) (CC = padId - 200).
+ * - “Control” style pads: padId >= 200 ↔ Control Change (CC) (CC = padId - 200), for both
+ *   LED output and button input (Launchpad S top row: CC 104..111 → pads 304..311).
  *
  * Environment overrides
  * - LP_IN / LP_OUT: numeric port indices (0‑based). If both are set, auto‑detection is skipped.
+ *
+ * The native MIDI library is loaded on first use, so an adapter built on given
+ * `input` / `output` handles (fake ports in the unit tests) does not need it.
  */
 
-import midi from '@julusian/midi';
+import {createRequire} from 'node:module';
 import {LaunchpadPort} from '../port.js';
-import {encodeColor} from '../color-encoder.js';
+import {encodeColor, packColor, rgbOf} from '../color-encoder.js';
+import {COLORS} from '../led-colors.js';
+import {displayText, scrollDurationMs} from '../text-scroll.js';
+import {TIMINGS} from '../../config/timings.js';
+import {CONTROL_BASE, getLayout, GRID_COLS, GRID_ROWS, isControlPad, SCENE_COL, TOP_ROW} from '../layout.js';
 import {logger} from '../../utils/logger.js';
 
+const require = createRequire(import.meta.url);
+
+/** @returns {typeof import('@julusian/midi')} */
+const loadMidi = () => require('@julusian/midi');
+
+/** CC 0 values (Launchpad S / Mini programmer's reference). */
+const CC0_RESET = 0x00;
+const CC0_XY_LAYOUT = 0x01;
+/** Buffer control: 0x20 | copy << 4 | update << 2 | display (buffers 0 and 1). */
+const bufferControl = (display, update, copy = 0) => 0x20 | (copy << 4) | (update << 2) | display;
+/**
+ * Velocity flags (Launchpad S / Mini): Clear (bit 2) and Copy (bit 3) write the LED
+ * into both buffers. encodeColor sets them; writes inside a buffered frame drop them.
+ */
+const VEL_BOTH_BUFFERS = 0x0C;
+/** Velocity that writes only the buffer being updated: green * 16 + red. */
+const bufferedVel = (velocity) => velocity & ~VEL_BOTH_BUFFERS;
+
+/** Rapid LED update: two velocities per message, filled in `rapidOrder` order. */
+const STATUS_RAPID = 0x92;
+
+/**
+ * Text scroll: F0 00 20 29 09 <colour> <speed 1..7> <ascii…> F7; the device answers CC 0 = 3 when done.
+ * The colour byte is green * 16 + red, without the velocity flags.
+ */
+const SYSEX_TEXT = Object.freeze([0xF0, 0x00, 0x20, 0x29, 0x09]);
+const CC0_TEXT_DONE = 0x03;
+
+/**
+ * RGB LED SysEx per model: `header`, then `spec` + LED index + r g b for each
+ * pad, then F7. The LED index is the pad's note or CC number; `max` is a full channel.
+ * - X / Mini MK3 / Pro MK3: LED lighting message, colour spec type 3 (RGB 0..127).
+ * - MK2: "set LED RGB" (0..63), up to 80 LEDs per message.
+ */
+const RGB_SYSEX = Object.freeze({
+    'launchpad-x': Object.freeze({header: [0xF0, 0x00, 0x20, 0x29, 0x02, 0x0C, 0x03], spec: [0x03], max: 127}),
+    'launchpad-mini-mk3': Object.freeze({header: [0xF0, 0x00, 0x20, 0x29, 0x02, 0x0D, 0x03], spec: [0x03], max: 127}),
+    'launchpad-pro-mk3': Object.freeze({header: [0xF0, 0x00, 0x20, 0x29, 0x02, 0x0E, 0x03], spec: [0x03], max: 127}),
+    'launchpad-mk2': Object.freeze({header: [0xF0, 0x00, 0x20, 0x29, 0x02, 0x18, 0x0B], spec: [], max: 63}),
+});
+
+/**
+ * Pads in rapid-update order: the 8×8 grid row by row, the scene column top to
+ * bottom, then the top row left to right.
+ * @param {import('../layout.js').Layout} layout
+ * @returns {number[]}
+ */
+function rapidOrder(layout) {
+    const order = [];
+    for (let row = 0; row < GRID_ROWS; row++) {
+        for (let col = 0; col < GRID_COLS; col++) order.push(layout.padAt(row, col));
+    }
+    for (let row = 0; row < GRID_ROWS; row++) order.push(layout.padAt(row, SCENE_COL));
+    for (let col = 0; col < GRID_COLS; col++) order.push(layout.padAt(TOP_ROW, col));
+    return order;
+}
+
 /** Return true if a MIDI port name looks like a Launchpad device (case‑insensitive). */
 function isLaunchpadName(name = '') {
     return /launchpad/i.test(String(name));
@@ -31,7 +103,7 @@ function isLaunchpadName(name = '') {
 
 /**
  * Find the first MIDI port index whose name matches a predicate.
- * @param {midi.Input|midi.Output} io
+ * @param {import('@julusian/midi').Input|import('@julusian/midi').Output} io
  * @param {(name: string, index: number) => boolean} predicate
  * @returns {number|null}
  */
@@ -51,8 +123,9 @@ function findPort(io, predicate) {
  * @returns {{ inIdx: number|null, outIdx: number|null }}
  */
 export function getDefaultLaunchpadPorts() {
-    const input = new midi.Input();
-    const output = new midi.Output();
+    const {Input, Output} = loadMidi();
+    const input = new Input();
+    const output = new Output();
     try {
         const envIn = Number.isFinite(+process.env.LP_IN) ? +process.env.LP_IN : null;
         const envOut = Number.isFinite(+process.env.LP_OUT) ? +process.env.LP_OUT : null;
@@ -85,7 +158,9 @@ export function getDefaultLaunchpadPorts() {
  * - `onPadEvents(onDown, onUp)`: subscribe to pad presses/releases.
  *
  * Output
- * - `setPad(padId, [r,g])`: set LED color with internal dedupe to limit traffic.
+ * - `setPad(padId, [r,g,b?])`: set LED color with internal dedupe to limit traffic.
+ * - `setPads(frame)`: write a batch of pads (Map padId → [r,g,b?]) as one frame.
+ * - `showText(text, [r,g,b?], speed)`: scroll text across the grid once.
  *
  * Lifecycle
  * - `clearAll()`: ensure the hardware is visually reset (bypasses cache).
@@ -94,14 +169,22 @@ export function getDefaultLaunchpadPorts() {
  */
 export class LaunchpadJulusian extends LaunchpadPort {
     /**
-     * @param {{ inIdx?:number, outIdx?:number, channel?:number, logPressedNotes?:boolean }} [opts]
+     * @param {{ inIdx?:number, outIdx?:number, input?:object, output?:object, channel?:number, logPressedNotes?:boolean, layout?:object, model?:string }} [opts]
      *  - inIdx/outIdx: explicit MIDI port indices; if omitted, auto‑detection is used.
+     *  - input/output: already open MIDI handles to use instead of opening ports (both or neither).
+     *  - layout: model layout (see layout.js); its control pads are cleared by clearAll().
+     *  - model: config model name, picks the color encoding (default: the layout's model).
      *  - channel: MIDI channel (0..15), default 0.
      *  - logPressedNotes: when true, logs each NOTE ON with velocity> 0 as debug.
      */
-    constructor({inIdx, outIdx, channel = 0, logPressedNotes = true} = {}) {
+    constructor({inIdx, outIdx, input = null, output = null, channel = 0, logPressedNotes = true, layout = getLayout(), model = layout.model} = {}) {
         super();
 
+        this.layout = layout;
+
+        // RGB models get SysEx LED messages; null = velocity-encoded red/green (S / Mini)
+        this._rgb = RGB_SYSEX[model] ?? null;
+
         // Channel and status bytes
         this.channel = channel & 0x0F;
         this.logPressedNotes = !!logPressedNotes;
@@ -110,36 +193,50 @@ export class LaunchpadJulusian extends LaunchpadPort {
         this.STATUS_CC = 0xB0 | this.channel;
 
         // MIDI handles
-        this.input = new midi.Input();
-        this.output = new midi.Output();
         this._closed = false;
+        if (input && output) {
+            this.input = input;
+            this.output = output;
+        } else {
+            const {Input, Output} = loadMidi();
+            this.input = new Input();
+            this.output = new Output();
 
-        // Resolve ports if not provided
-        if (inIdx == null || outIdx == null) {
-            const def = getDefaultLaunchpadPorts();
-            inIdx = def.inIdx;
-            outIdx = def.outIdx;
-        }
-        if (inIdx == null || outIdx == null) {
-            throw new Error('Launchpad ports not found');
-        }
+            // Resolve ports if not provided
+            if (inIdx == null || outIdx == null) {
+                const def = getDefaultLaunchpadPorts();
+                inIdx = def.inIdx;
+                outIdx = def.outIdx;
+            }
+            if (inIdx == null || outIdx == null) {
+                throw new Error('Launchpad ports not found');
+            }
 
-        // Open ports and configure input
-        logger.info('[MIDI] open', {inIdx, outIdx, channel: this.channel});
-        this.input.openPort(inIdx);
-        this.output.openPort(outIdx);
+            // Open ports
+            logger.info('[MIDI] open', {inIdx, outIdx, channel: this.channel});
+            this.input.openPort(inIdx);
+            this.output.openPort(outIdx);
+        }
         // Pass all message types through
         this.input.ignoreTypes(false, false, false);
 
         // Some devices need a small “init” CC on boot; the best‑effort only.
         try {
-            this.output.sendMessage([this.STATUS_CC, 0x00, 0x01]);
+            this.output.sendMessage([this.STATUS_CC, 0x00, CC0_XY_LAYOUT]);
         } catch {
         }
 
-        // LED velocity cache: padId → last velocity sent
+        // LED cache: padId → last encoded value sent (velocity, or packed levels on RGB models)
         this._lastVel = new Map();
 
+        // Launchpad S / Mini only: buffer on display (0/1) and rapid-update slots
+        this._buffer = 0;
+        this._rapidOrder = layout.model === 'launchpad-s' ? rapidOrder(layout) : null;
+        this._rapidSlot = new Map((this._rapidOrder ?? []).map((padId, slot) => [padId, slot]));
+
+        // Firmware text scroll in progress: { resolve, timer } or null
+        this._text = null;
+
         // Single bound handler for all incoming MIDI messages
         this._onMessage = (_dt, msg) => {
             const status = msg[0] | 0;
@@ -149,22 +246,31 @@ export class LaunchpadJulusian extends LaunchpadPort {
             const data1 = msg[1] & 0x7F; // note/cc
             const data2 = msg[2] & 0x7F; // velocity
 
-            let down = false, up = false;
+            if (kind === 0xB0 && data1 === 0) { // CC 0 is device control
+                if (data2 === CC0_TEXT_DONE) this._endText(true);
+                return;
+            }
+
+            let down = false, up = false, padId = data1;
             if (kind === 0x90) { // NOTE ON
                 down = data2 > 0;
                 up = data2 === 0;   // many devices send NOTE ON with velocity=0 for release
             } else if (kind === 0x80) { // NOTE OFF
                 up = true;
+            } else if (kind === 0xB0) { // CC button (top row)
+                padId = CONTROL_BASE + data1;
+                down = data2 > 0;
+                up = data2 === 0;
             } else {
-                return; // ignore non‑note messages here
+                return; // ignore other messages here
             }
 
             try {
                 if (down) {
-                    if (this.logPressedNotes) logger.info('[MIDI] note down', {note: data1});
-                    this._onDown && this._onDown(data1);
+                    if (this.logPressedNotes) logger.info('[MIDI] pad down', {padId});
+                    this._onDown && this._onDown(padId);
                 } else if (up) {
-                    this._onUp && this._onUp(data1);
+                    this._onUp && this._onUp(padId);
                 }
             } catch (e) {
                 logger.error('[MIDI] handler error', e);
@@ -201,46 +307,200 @@ export class LaunchpadJulusian extends LaunchpadPort {
      * Set a pad’s LED color.
      * - For padId in 0..127: NOTE ON with encoded velocity.
      * - For padId >= 200: CC message (cc = padId - 200) with encoded velocity.
+     * - RGB models: an RGB LED SysEx message for the pad instead.
      * Writes are deduplicated; identical consecutive values are skipped.
      *
      * @param {number} padId
-     * @param {[number,number]} color - [r,g] intensities (0..3 each)
+     * @param {number[]} color - [r,g] or [r,g,b] intensities (0..3 each)
      */
     setPad(padId, color) {
         if (this._closed || padId == null) return;
 
-        const velocity = encodeColor(color) & 0x7F;
+        const velocity = this._encode(color);
         const prev = this._lastVel.get(padId);
         if (prev === velocity) return; // skip redundant writes
         this._lastVel.set(padId, velocity);
 
         try {
-            if (padId >= 200) {
-                const cc = (padId - 200) & 0x7F;
-                this.output.sendMessage([this.STATUS_CC, cc, velocity]);
-            } else {
-                const note = padId & 0x7F;
-                this.output.sendMessage([this.STATUS_NOTE_ON, note, velocity]);
-            }
+            if (this._rgb) this._sendRgb(new Map([[padId, velocity]]));
+            else this._send(padId, velocity);
         } catch (e) {
             logger.warn('[MIDI] sendMessage failed', {padId, velocity, err: String(e)});
         }
     }
 
+    /**
+     * Write a frame of pads at once. Pads whose velocity did not change are skipped.
+     *
+     * On the Launchpad S / Mini the frame is drawn into the hidden buffer (seeded
+     * with a copy of the shown one) and then flipped on screen, so it appears
+     * without tearing. Changed grid pads go out as rapid LED updates (two per
+     * message, from the first slot up to the last changed one) when that is
+     * shorter than one NOTE ON each; their velocities leave out the Copy and Clear
+     * flags, which would write the shown buffer too. RGB models get the whole frame in one RGB
+     * LED SysEx message; other models get one `setPad` per pad.
+     *
+     * @param {Map<number, number[]>} frame - padId → [r,g] or [r,g,b]
+     */
+    setPads(frame) {
+        if (this._closed) return;
+
+        const changed = new Map(); // padId → velocity
+        for (const [padId, color] of frame) {
+            if (padId == null) continue;
+            const velocity = this._encode(color);
+            if (this._lastVel.get(padId) !== velocity) changed.set(padId, velocity);
+        }
+        if (!changed.size) return;
+        if (this._rgb) {
+            for (const [padId, velocity] of changed) this._lastVel.set(padId, velocity);
+            try {
+                this._sendRgb(changed);
+            } catch (e) {
+                for (const padId of changed.keys()) this._lastVel.delete(padId);
+                logger.warn('[MIDI] setPads failed', {pads: changed.size, err: String(e)});
+            }
+            return;
+        }
+        if (!this._rapidOrder || changed.size === 1) {
+            for (const padId of changed.keys()) this.setPad(padId, frame.get(padId));
+            return;
+        }
+
+        const shown = new Map(); // padId → velocity on screen before this frame
+        for (const [padId, velocity] of changed) {
+            shown.set(padId, this._lastVel.get(padId));
+            this._lastVel.set(padId, velocity);
+        }
+        let lastSlot = -1;
+        for (const padId of changed.keys()) lastSlot = Math.max(lastSlot, this._rapidSlot.get(padId) ?? -1);
+        const rapidMessages = (lastSlot + 2) >> 1;
+        const rapidPads = [...changed.keys()].filter((padId) => this._rapidSlot.has(padId)).length;
+        const useRapid = rapidMessages < rapidPads;
+
+        const hidden = this._buffer ^ 1;
+        try {
+            // Show the current buffer, write into the other one after copying the shown LEDs into it
+            this.output.sendMessage([this.STATUS_CC, 0x00, bufferControl(this._buffer, hidden, 1)]);
+            if (useRapid) {
+                const vel = (slot) => bufferedVel(this._lastVel.get(this._rapidOrder[slot]) ?? 0);
+                for (let slot = 0; slot <= lastSlot; slot += 2) {
+                    this.output.sendMessage([STATUS_RAPID, vel(slot), vel(slot + 1)]);
+                }
+            }
+            for (const [padId, velocity] of changed) {
+                if (useRapid && this._rapidSlot.has(padId)) continue;
+                this._send(padId, bufferedVel(velocity));
+            }
+            // Flip: show the new frame and keep writing into it
+            this.output.sendMessage([this.STATUS_CC, 0x00, bufferControl(hidden, hidden)]);
+            this._buffer = hidden;
+        } catch (e) {
+            // The frame was not flipped on screen. Keep the cache in step with the shown
+            // buffer: rapid updates rewrite every slot up to the last changed one from it.
+            for (const [padId, velocity] of shown) {
+                if (velocity === undefined) this._lastVel.delete(padId);
+                else this._lastVel.set(padId, velocity);
+            }
+            logger.warn('[MIDI] setPads failed', {pads: changed.size, err: String(e)});
+        }
+    }
+
+    /**
+     * Scroll text across the grid once.
+     *
+     * On the Launchpad S / Mini the firmware scrolls it and reports the end (CC 0 = 3);
+     * if that never comes the text counts as done after twice its expected duration.
+     * A new text replaces the one scrolling. The grid is reset afterwards, so the
+     * caller repaints every pad. Other models scroll in software (LaunchpadPort).
+     *
+     * @param {string} text
+     * @param {number[]} [color] - [r,g] or [r,g,b] intensities (0..3 each)
+     * @param {number} [speed] - 1 (slow) .. 7 (fast)
+     * @returns {Promise<boolean>} true when the text ran to its end
+     */
+    async showText(text, color = COLORS.green, speed = TIMINGS.text.speed) {
+        if (!this._rapidOrder) return super.showText(text, color, speed);
+        if (this._closed) return false;
+
+        this._endText(false);
+        const rate = Math.max(1, Math.min(7, speed | 0));
+        const ascii = [...displayText(text)].map((ch) => ch.charCodeAt(0));
+        const done = new Promise((resolve) => {
+            const timer = setTimeout(() => this._endText(false), scrollDurationMs(text, rate) * 2 + 1000);
+            this._text = {resolve, timer};
+        });
+        try {
+            this.output.sendMessage([...SYSEX_TEXT, bufferedVel(encodeColor(color)), rate, ...ascii, 0xF7]);
+        } catch (e) {
+            logger.warn('[MIDI] showText failed', {err: String(e)});
+            this._endText(false);
+        }
+
+        const finished = await done;
+        if (!this._text) await this.clearAll(); // not replaced by a newer text: hand back a blank grid
+        return finished;
+    }
+
+    /** Settle the firmware text scroll in progress, if any. */
+    _endText(finished) {
+        const text = this._text;
+        if (!text) return;
+        this._text = null;
+        clearTimeout(text.timer);
+        text.resolve(finished);
+    }
+
+    /** Device value for a color: packed levels on RGB models, else the S velocity. */
+    _encode(color) {
+        return this._rgb ? packColor(color) : encodeColor(color) & 0x7F;
+    }
+
+    /** One RGB LED SysEx message for pads → packed levels (no cache, no error handling). */
+    _sendRgb(pads) {
+        const {header, spec, max} = this._rgb;
+        const msg = [...header];
+        for (const [padId, packed] of pads) {
+            msg.push(...spec, (padId >= CONTROL_BASE ? padId - CONTROL_BASE : padId) & 0x7F, ...rgbOf(packed, max));
+        }
+        msg.push(0xF7);
+        this.output.sendMessage(msg);
+    }
+
+    /** NOTE ON or CC for one pad (no cache, no error handling). */
+    _send(padId, velocity) {
+        if (padId >= CONTROL_BASE) {
+            this.output.sendMessage([this.STATUS_CC, (padId - CONTROL_BASE) & 0x7F, velocity]);
+        } else {
+            this.output.sendMessage([this.STATUS_NOTE_ON, padId & 0x7F, velocity]);
+        }
+    }
+
     /**
      * Clear all LEDs (cache‑bypassing hardware reset).
-     * Sends NOTE ON with velocity 0 for all notes 0..127,
-     * and then “All Notes Off” CC (123) across channels 0..15.
+     * Launchpad S / Mini: CC 0 reset (all LEDs off, buffers back to 0), then the
+     * X‑Y layout again. Other models: NOTE ON with velocity 0 for all notes 0..127,
+     * CC 0 for the layout's control buttons, and then “All Notes Off” CC (123)
+     * across channels 0..15.
      */
     async clearAll() {
         if (this._closed) return;
         try {
-            for (let n = 0; n <= 127; n++) {
-                this.output.sendMessage([this.STATUS_NOTE_ON, n & 0x7F, 0x00]);
-            }
-            // All Notes Off on every channel to cover devices with multiple logical ports
-            for (let ch = 0; ch < 16; ch++) {
-                this.output.sendMessage([0xB0 | ch, 123, 0]);
+            if (this._rapidOrder) {
+                this.output.sendMessage([this.STATUS_CC, 0x00, CC0_RESET]);
+                this.output.sendMessage([this.STATUS_CC, 0x00, CC0_XY_LAYOUT]);
+                this._buffer = 0;
+            } else {
+                for (let n = 0; n <= 127; n++) {
+                    this.output.sendMessage([this.STATUS_NOTE_ON, n & 0x7F, 0x00]);
+                }
+                for (const padId of this.layout.padIds().filter(isControlPad)) {
+                    this.output.sendMessage([this.STATUS_CC, (padId - CONTROL_BASE) & 0x7F, 0x00]);
+                }
+                // All Notes Off on every channel to cover devices with multiple logical ports
+                for (let ch = 0; ch < 16; ch++) {
+                    this.output.sendMessage([0xB0 | ch, 123, 0]);
+                }
             }
             this._lastVel.clear();
             await new Promise(r => setTimeout(r, 15));
@@ -262,6 +522,7 @@ export class LaunchpadJulusian extends LaunchpadPort {
     close() {
         if (this._closed) return;
         this._closed = true;
+        this._endText(false);
         try {
             this.input?.removeListener?.('message', this._onMessage);
         } catch {
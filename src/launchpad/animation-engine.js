@@ -0,0 +1,364 @@
+/**
+ * Declarative LED animation engine with a single frame clock.
+ *
+ * Animations are plain data; the engine turns each into a function of time
+ * and paints every running animation from one frame timer.
+ *
+ * Animation types
+ * - `solid`    { pads, color, durationMs? }
+ * - `blink`    { pads, on, off?, hz, durationMs? } — phase counted from the start
+ * - `pulse`    { pads, color, off?, flashes, onMs, offMs }
+ * - `ramp`     { pads, segments: [{ at, until, from, to }] } — fade `from` → `to`
+ *              between `at` and `until`; nothing before the first segment, the
+ *              last color after the end
+ * - `wave`     { pads, groupOf, dim, bright, periodMs, staggerMs, durationMs } —
+ *              dim ↔ bright, each pad delayed by `groupOf(pad) × staggerMs`
+ * - `sweep`    { pads, trail: colors[], stepMs, passes?, gapMs? } — a head with a
+ *              fading trail runs over `pads` in list order, leaving them off
+ * - `marquee`  { pads, columns, coordsOf, color, off?, stepMs, width? } — `columns`
+ *              (one bitmask per column, bit r = row r) scroll right → left over
+ *              the `width` (default 8) grid columns, entering at the right edge
+ *              and leaving off the left one
+ * - `sequence` { steps: [animation, …] } — steps run back to back
+ * Every animation also takes `final` (color painted when it runs to its end)
+ * and `startAt` (timeline origin on the engine clock; defaults to now).
+ * Without `durationMs` blinks, solids and ramps run until stopped.
+ *
+ * Design notes
+ * - One timer for every animation: each frame samples all of them, keeps only
+ *   colors that changed since the engine last wrote them, and hands the frame
+ *   to the port in one batch (`setPads` when the port has it, else `setPad`
+ *   per pad). The timer only runs while something animates, and only wakes
+ *   when a frame can change: solids, blinks and waves know when their next
+ *   change is due (an open-ended solid never wakes it), the other types are
+ *   sampled every `frameMs`.
+ * - A pad belongs to one animation at a time per port: starting an animation
+ *   on a pad takes it from the previous owner, which ends once it owns no
+ *   pads. That keeps the old "one animation per note" contract of
+ *   led-animator, while animations on different ports (e.g. two layers of the
+ *   LED compositor) share a pad without stopping each other.
+ * - Stopping does not repaint; whoever stops an animation paints the next
+ *   state. Port errors are swallowed, as everywhere on the LED path.
+ * - Clock and timers are injectable (same contract as GestureDecoder), so
+ *   tests can drive frames deterministically.
+ */
+
+import {TIMINGS} from '../config/timings.js';
+import {mixColors as mix, sameColor} from './led-colors.js';
+
+/** @typedef {Readonly<[number, number]>} Color */
+/** @typedef {{ setPad: (pad: number, color: Color) => void, setPads?: (frame: Map<number, Color>) => void }} Port */
+/**
+ * @typedef {{ type: string, pads?: number[], final?: Color, startAt?: number } & Record<string, any>} Animation
+ */
+
+const OFF = Object.freeze([0, 0]);
+
+/** Half period (ms) of a blink at `hz`, clamped like the old per-note timers. */
+const halfPeriodOf = (hz) => Math.max(20, (1000 / (Math.max(1, Math.min(20, hz | 0)) * 2)) | 0);
+
+/**
+ * Compile an animation into `{ pads, durationMs, color(t, padId, index), nextChange? }`.
+ * `color` returns null for "leave the pad alone". `nextChange(t, padId)` is the
+ * time (ms) until the pad's color can change next (Infinity: never); without it
+ * the animation is sampled every frame.
+ */
+function compile(anim) {
+    const pads = anim.type === 'sequence'
+        ? [...new Set(anim.steps.flatMap((s) => compile(s).pads))]
+        : [...(anim.pads ?? [])];
+
+    switch (anim.type) {
+        case 'solid':
+            return {pads, durationMs: anim.durationMs ?? Infinity, color: () => anim.color, nextChange: () => Infinity};
+
+        case 'blink': {
+            const half = halfPeriodOf(anim.hz ?? 3);
+            const off = anim.off ?? OFF;
+            return {
+                pads,
+                durationMs: anim.durationMs ?? Infinity,
+                color: (t) => (Math.floor(t / half) % 2 === 0 ? anim.on : off),
+                nextChange: (t) => half - (t % half),
+            };
+        }
+
+        case 'pulse': {
+            const period = anim.onMs + anim.offMs;
+            const off = anim.off ?? OFF;
+            return {pads, durationMs: anim.flashes * period, color: (t) => ((t % period) < anim.onMs ? anim.color : off)};
+        }
+
+        case 'ramp': {
+            const segs = anim.segments;
+            return {
+                pads,
+                durationMs: Infinity,
+                color: (t) => {
+                    if (!segs.length || t < segs[0].at) return null;
+                    const seg = segs.find((s) => t < s.until);
+                    if (!seg) return segs.at(-1).to;
+                    return mix(seg.from, seg.to, Math.max(0, t - seg.at) / Math.max(1, seg.until - seg.at));
+                },
+            };
+        }
+
+        case 'wave': {
+            const {groupOf, dim, bright, periodMs, staggerMs} = anim;
+            const half = periodMs / 2;
+            return {
+                pads,
+                durationMs: anim.durationMs,
+                color: (t, padId) => (((t + groupOf(padId) * staggerMs) % periodMs) / periodMs < 0.5 ? bright : dim),
+                nextChange: (t, padId) => half - ((t + groupOf(padId) * staggerMs) % half),
+            };
+        }
+
+        case 'sweep': {
+            const {trail, stepMs} = anim;
+            const passes = Math.max(1, anim.passes ?? 1);
+            const gapMs = anim.gapMs ?? Math.floor(stepMs / 2);
+            const passMs = (pads.length + trail.length) * stepMs;
+            return {
+                pads,
+                durationMs: passes * passMs + (passes - 1) * gapMs,
+                color: (t, padId, i) => {
+                    const tp = t % (passMs + gapMs);
+                    if (tp >= passMs) return OFF;
+                    const d = Math.floor(tp / stepMs) - i; // steps since the head reached this pad
+                    if (d < 0) return t >= passMs ? OFF : null;
+                    return trail[d] ?? OFF;
+                },
+            };
+        }
+
+        case 'marquee': {
+            const {columns, coordsOf, color, stepMs} = anim;
+            const off = anim.off ?? OFF;
+            const width = anim.width ?? 8;
+            return {
+                pads,
+                durationMs: (columns.length + width + 1) * stepMs, // one more step to leave the grid off
+                color: (t, padId) => {
+                    const c = coordsOf(padId);
+                    if (!c) return null;
+                    const bits = columns[Math.floor(t / stepMs) + c.col - width] ?? 0;
+                    return (bits >> c.row) & 1 ? color : off;
+                },
+            };
+        }
+
+        case 'sequence': {
+            const steps = anim.steps.map(compile);
+            const starts = [];
+            let total = 0;
+            for (const s of steps) {
+                starts.push(total);
+                total += s.durationMs;
+            }
+            return {
+                pads,
+                durationMs: total,
+                color: (t, padId) => {
+                    let k = steps.length - 1;
+                    while (k > 0 && t < starts[k]) k--;
+                    const step = steps[k];
+                    const i = step.pads.indexOf(padId);
+                    return i < 0 ? null : step.color(t - starts[k], padId, i);
+                },
+            };
+        }
+
+        default:
+            throw new Error(`ANIMATION_UNKNOWN: ${anim.type}`);
+    }
+}
+
+export class AnimationEngine {
+    /**
+     * @param {{
+     *   frameMs?: number,
+     *   now?: () => number,
+     *   setTimeout?: (fn: () => void, ms: number) => unknown,
+     *   clearTimeout?: (handle: unknown) => void,
+     * }} [opts]
+     */
+    constructor(opts = {}) {
+        this._frameMs = opts.frameMs ?? null; // null: read TIMINGS at each frame
+        this._now = opts.now
+            ?? ((typeof performance !== 'undefined' && typeof performance.now === 'function')
+                ? performance.now.bind(performance)
+                : Date.now);
+        this._setTimeout = opts.setTimeout ?? setTimeout;
+        this._clearTimeout = opts.clearTimeout ?? clearTimeout;
+
+        /** Running animations, in start order. */
+        this._running = new Set();
+        /** port → padId → animation that owns it. */
+        this._owner = new Map();
+        /** port → padId → last color the engine wrote (for deduplication). */
+        this._last = new Map();
+        this._timer = null;
+    }
+
+    /**
+     * Start an animation on a port.
+     * @param {Port} lp
+     * @param {Animation} anim
+     * @returns {{ stop: () => void, done: Promise<boolean> }} `done` resolves true
+     *          when the animation ran to its end, false when it was stopped.
+     */
+    play(lp, anim) {
+        const c = compile(anim);
+        let resolve;
+        const run = {
+            lp,
+            pads: new Map(c.pads.map((padId, i) => [padId, i])),
+            startAt: anim.startAt ?? this._now(),
+            durationMs: c.durationMs,
+            color: c.color,
+            nextChange: c.nextChange ?? null,
+            final: anim.final ?? null,
+            done: new Promise((r) => (resolve = r)),
+            resolve,
+        };
+
+        const owners = this._mapOf(this._owner, lp);
+        for (const padId of run.pads.keys()) {
+            const prev = owners.get(padId);
+            if (prev) this._release(prev, padId);
+            owners.set(padId, run);
+            this._mapOf(this._last, lp).delete(padId); // someone else may have painted it since
+        }
+        this._running.add(run);
+        this._frame();
+
+        return {stop: () => this._end(run, false), done: run.done};
+    }
+
+    /**
+     * Stop whatever animates `padId` on that pad (other pads keep going).
+     * @param {number} padId
+     * @param {Port} [lp] - Only on this port (default: every port).
+     */
+    stopPad(padId, lp) {
+        for (const [port, owners] of this._owner) {
+            if (lp && port !== lp) continue;
+            const run = owners.get(padId);
+            if (run) this._release(run, padId);
+        }
+    }
+
+    /** Stop every animation. */
+    stopAll() {
+        for (const run of [...this._running]) this._end(run, false);
+    }
+
+    /**
+     * True while an animation owns the pad.
+     * @param {number} padId
+     * @param {Port} [lp] - Only on this port (default: any port).
+     */
+    isAnimating(padId, lp) {
+        if (lp) return !!this._owner.get(lp)?.has(padId);
+        for (const owners of this._owner.values()) if (owners.has(padId)) return true;
+        return false;
+    }
+
+    /** Per-port map from `maps`, created on first use. */
+    _mapOf(maps, lp) {
+        let m = maps.get(lp);
+        if (!m) maps.set(lp, m = new Map());
+        return m;
+    }
+
+    _release(run, padId) {
+        run.pads.delete(padId);
+        const owners = this._owner.get(run.lp);
+        if (owners?.get(padId) === run) owners.delete(padId);
+        if (!run.pads.size) this._end(run, false);
+    }
+
+    _end(run, finished) {
+        if (!this._running.delete(run)) return;
+        const owners = this._owner.get(run.lp);
+        for (const padId of run.pads.keys()) {
+            if (owners?.get(padId) === run) owners.delete(padId);
+        }
+        if (finished && run.final) {
+            const last = this._mapOf(this._last, run.lp);
+            const frame = new Map();
+            for (const padId of run.pads.keys()) {
+                if (sameColor(last.get(padId), run.final)) continue;
+                frame.set(padId, run.final);
+                last.set(padId, run.final);
+            }
+            if (frame.size) write(run.lp, frame);
+        }
+        run.resolve(finished);
+        if (!this._running.size && this._timer != null) {
+            this._clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /** Sample every animation once and write what changed, one batch per port. */
+    _frame() {
+        if (this._timer != null) this._clearTimeout(this._timer);
+        this._timer = null;
+
+        const now = this._now();
+        const frameMs = this._frameMs ?? TIMINGS.animations.frameMs;
+        const frames = new Map(); // port → Map<padId, color>
+        const ended = [];
+        let wait = Infinity; // ms until the next frame that can change something
+        for (const run of this._running) {
+            const t = now - run.startAt;
+            if (t >= run.durationMs) {
+                ended.push(run);
+                continue;
+            }
+            if (t < 0) {
+                wait = Math.min(wait, -t);
+                continue;
+            }
+            wait = Math.min(wait, run.durationMs - t, run.nextChange ? Infinity : frameMs);
+            const last = this._mapOf(this._last, run.lp);
+            for (const [padId, i] of run.pads) {
+                if (run.nextChange) wait = Math.min(wait, run.nextChange(t, padId));
+                const color = run.color(t, padId, i);
+                if (!color || sameColor(last.get(padId), color)) continue;
+                last.set(padId, color);
+                let frame = frames.get(run.lp);
+                if (!frame) frames.set(run.lp, frame = new Map());
+                frame.set(padId, color);
+            }
+        }
+        for (const [lp, frame] of frames) write(lp, frame);
+        for (const run of ended) this._end(run, true);
+
+        if (this._running.size && wait < Infinity) {
+            this._timer = this._setTimeout(() => this._frame(), Math.max(frameMs, Math.ceil(wait)));
+        }
+    }
+}
+
+/** Hand a frame to the port: one batch when it can, else pad by pad. */
+function write(lp, frame) {
+    if (typeof lp?.setPads === 'function') {
+        try {
+            lp.setPads(frame);
+        } catch {
+        }
+        return;
+    }
+    for (const [padId, color] of frame) {
+        try {
+            lp?.setPad?.(padId, color);
+        } catch {
+        }
+    }
+}
+
+/** Engine shared by the app (led-animator, boot and shutdown animations). */
+export const engine = new AnimationEngine();
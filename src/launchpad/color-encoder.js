@@ -1,5 +1,5 @@
 /**
- * Encode a Launchpad S [r, g] tuple (each 0..3) into a single MIDI velocity byte.
+ * Encode level tuples ([r, g] or [r, g, b], each 0..3) for the device.
  *
  * Launchpad S LED encoding notes:
  * - Both red and green intensities are 2-bit values (0..3).
@@ -7,6 +7,14 @@
  *     velocity = BASE_OFFSET + (green << 4) + red
  * - Special case: [0,0] must map to velocity 0 for a true LED OFF.
  *   Without this, some hardware will display faint amber instead of off.
+ * - There is no blue LED. Blue is folded into the channel nearest in hue:
+ *   red when red outweighs green (purple, magenta → red), otherwise green
+ *   (blue, cyan → green; white → amber). The brighter of the two wins, so a
+ *   blue pad is as bright on the S as on an RGB model.
+ *
+ * RGB models (Launchpad X / Mini MK3 / Pro MK3 / MK2):
+ * - Each level is scaled to the device's channel range (0..127 or 0..63);
+ *   the adapter sends them in an RGB LED SysEx message.
  *
  * Performance considerations:
  * - Hot path: called for every LED update, possibly many per frame.
@@ -16,25 +24,50 @@
 
 const BASE_OFFSET = 12;
 
+/** Clamp a channel to 0..3. */
+const level = (v) => {
+    const n = v | 0;
+    return n < 0 ? 0 : (n > 3 ? 3 : n);
+};
+
 /**
- * Encode [r, g] into Launchpad S MIDI velocity.
+ * Encode a color into Launchpad S MIDI velocity (blue folded into red or green).
  *
- * @param {[number, number]} color - Red and green intensities (0..3 each).
+ * @param {[number, number]|[number, number, number]} color - Intensities (0..3 each).
  * @returns {number} MIDI velocity (0..127). 0 means OFF.
  */
-export function encodeColor([r, g]) {
-    // Fast special case: exact OFF → velocity 0
-    if ((r | 0) === 0 && (g | 0) === 0) return 0;
-
-    // Clamp values to valid 0..3 range
-    let rr = r | 0;
-    if (rr < 0) rr = 0;
-    else if (rr > 3) rr = 3;
+export function encodeColor([r, g, b = 0]) {
+    let rr = level(r);
+    let gg = level(g);
+    const bb = level(b);
+    if (bb) {
+        if (rr > gg) rr = Math.max(rr, bb);
+        else gg = Math.max(gg, bb);
+    }
 
-    let gg = g | 0;
-    if (gg < 0) gg = 0;
-    else if (gg > 3) gg = 3;
+    // Fast special case: exact OFF → velocity 0
+    if (rr === 0 && gg === 0) return 0;
 
     // Launchpad S encoding: base offset + (green in high nibble) + red in low nibble
     return BASE_OFFSET + (gg << 4) + rr;
 }
+
+/**
+ * Pack a color into one 6-bit number (r << 4 | g << 2 | b), e.g. as a cache key.
+ * @param {[number, number]|[number, number, number]} color
+ * @returns {number} 0..63, 0 means OFF.
+ */
+export function packColor([r, g, b = 0]) {
+    return (level(r) << 4) | (level(g) << 2) | level(b);
+}
+
+/**
+ * Channel values of a packed color for an RGB model.
+ * @param {number} packed - From packColor.
+ * @param {number} max - The device's full channel value (127 or 63).
+ * @returns {[number, number, number]}
+ */
+export function rgbOf(packed, max) {
+    const scale = (v) => Math.round((v & 3) * max / 3);
+    return [scale(packed >> 4), scale(packed >> 2), scale(packed)];
+}
@@ -4,12 +4,30 @@
  * Gestures:
  * - Single press → quick press/release (emitted on release)
  * - Double tap → two valid presses within `doubleTapMs`
+ * - Triple tap → three valid presses, each within `doubleTapMs` of the last
+ *   (only on pads with `maxTaps: 3`; otherwise the third tap is another double)
  * - Long press → hold for at least `longPressMs` (suppresses single/double)
+ * - Very long press → hold for at least `veryLongPressMs` (pads that enable it).
+ *   On those pads a long press is emitted on release instead, since the hold
+ *   may still turn into a very long one.
+ * - Tap-hold → a tap, then press again within `doubleTapMs` and hold for
+ *   `longPressMs` (pads with `tapHold: true`); replaces the long press. The
+ *   tap is held back as with `waitForDouble`, so a tap-hold emits no single.
+ * - Wait for double → on pads with `waitForDouble: true` a tap is held back
+ *   until the `doubleTapMs` window closes, so a double tap emits only the
+ *   double (no single first). Costs a single tap that much latency.
+ * - Chord → every pad of a registered chord goes down within `chordWindowMs`
+ *   (measured from the first one). Emitted as soon as the last pad is down;
+ *   the members' taps and holds are suppressed until they are released.
  *
  * Design goals:
- * - O(1) per event with small Maps and no per-event allocations.
+ * - O(1) per event: one reusable record per pad, frozen metaobjects, and a
+ *   timer callback bound once per pad (no per-event allocations).
  * - Emit on release for clear separation between tap vs. long-press.
  * - Bounce filter and optional cooldown to reduce accidental multi-taps.
+ * - Per-pad options layered over the decoder defaults (`setPadOptions`).
+ * - Chords are indexed by pad, so a press only checks the chords it belongs to.
+ * - Clock and timers are injectable so tests can drive time deterministically.
  */
 
 const DEFAULTS = {
@@ -17,109 +35,359 @@ const DEFAULTS = {
     doubleTapMs: 500,
     /** Hold duration (ms) to trigger long-press. */
     longPressMs: 800,
+    /** Hold duration (ms) for the very-long tier; 0 disables it. */
+    veryLongPressMs: 0,
+    /** Taps counted in a chain: 2 (single/double) or 3 (adds triple). */
+    maxTaps: 2,
+    /** Recognize tap-then-hold (holds taps back like waitForDouble). */
+    tapHold: false,
+    /** Hold a tap back until the double-tap window closes (no single before a double). */
+    waitForDouble: false,
     /** Ignore ultra-short taps below this (ms). */
     bounceMs: 30,
     /** Optional gap (ms) after an emit to avoid accidental triples. */
     cooldownMs: 0,
+    /** Max spread (ms) between the first and last pad of a chord. */
+    chordWindowMs: 150,
 };
 
 // Reallocated metaobjects (avoid per-event object creation)
-const META_SINGLE = Object.freeze({double: false});
-const META_DOUBLE = Object.freeze({double: true});
+const META_SINGLE = Object.freeze({double: false, taps: 1});
+const META_DOUBLE = Object.freeze({double: true, taps: 2});
+const META_TRIPLE = Object.freeze({double: false, taps: 3});
+const META_BY_TAPS = [META_SINGLE, META_SINGLE, META_DOUBLE, META_TRIPLE];
+
+/** Hold kinds passed to onLongPress. */
+export const HOLD_LONG = 'longPress';
+export const HOLD_VERY_LONG = 'veryLongPress';
+export const HOLD_TAP = 'tapHold';
+
+// Per-pad phases
+const IDLE = 0;
+const DOWN = 1; // held, long-press timer pending
+const LONG = 2; // long tier reached, waiting for the very-long tier or release
+const FIRED = 3; // hold or chord emitted; the release is swallowed
+
+/** Options with the timing fields coerced to integers once. */
+function normalizeOptions(o) {
+    return Object.freeze({
+        doubleTapMs: o.doubleTapMs | 0,
+        longPressMs: o.longPressMs | 0,
+        veryLongPressMs: o.veryLongPressMs | 0,
+        maxTaps: o.maxTaps === 3 ? 3 : 2,
+        tapHold: !!o.tapHold,
+        waitForDouble: !!o.waitForDouble,
+        bounceMs: o.bounceMs | 0,
+        cooldownMs: o.cooldownMs | 0,
+    });
+}
 
 export class GestureDecoder {
     /**
-     * @param {(padId: number, meta: { double: boolean }) => void} onPress
-     *        Called on a recognized press (single or double).
-     * @param {(padId: number) => void} onLongPress
-     *        Called when a long-press is detected (suppresses onPress).
-     * @param {{doubleTapMs?: number, longPressMs?: number, bounceMs?: number, cooldownMs?: number}} [opts]
-     *        Timing tunables. See DEFAULTS.
+     * @param {(padId: number, meta: { double: boolean, taps: 1|2|3 }) => void} onPress
+     *        Called on a recognized press (single, double or triple).
+     * @param {(padId: number, kind: 'longPress'|'veryLongPress'|'tapHold') => void} onLongPress
+     *        Called when a hold is detected (suppresses onPress).
+     * @param {{
+     *   doubleTapMs?: number, longPressMs?: number, veryLongPressMs?: number,
+     *   maxTaps?: 2|3, tapHold?: boolean, waitForDouble?: boolean,
+     *   bounceMs?: number, cooldownMs?: number,
+     *   chordWindowMs?: number,
+     *   onChord?: (chord: {pads: ReadonlyArray<number>}) => void,
+     *   now?: () => number,
+     *   setTimeout?: (fn: () => void, ms: number) => unknown,
+     *   clearTimeout?: (handle: unknown) => void,
+     * }} [opts]
+     *        Timing tunables (see DEFAULTS), the chord callback (receives the
+     *        registered chord object), plus the clock and timer functions.
      */
     constructor(onPress, onLongPress, opts = {}) {
         this.onPress = onPress;
         this.onLongPress = onLongPress;
+        this.onChord = opts.onChord ?? null;
+        this._chordWindowMs = (opts.chordWindowMs ?? DEFAULTS.chordWindowMs) | 0;
 
-        // Normalize options once into primitive fields (fast lookups)
-        const o = {...DEFAULTS, ...opts};
-        this._doubleTapMs = o.doubleTapMs | 0;
-        this._longPressMs = o.longPressMs | 0;
-        this._bounceMs = o.bounceMs | 0;
-        this._cooldownMs = o.cooldownMs | 0;
+        // Normalize options once into a frozen record (fast lookups)
+        this._defaults = normalizeOptions({...DEFAULTS, ...opts});
 
         // Bind a monotonic, high-resolution clock once
-        this._now =
-            (typeof performance !== 'undefined' && typeof performance.now === 'function')
+        this._now = opts.now
+            ?? ((typeof performance !== 'undefined' && typeof performance.now === 'function')
                 ? performance.now.bind(performance)
-                : Date.now;
+                : Date.now);
+        this._setTimeout = opts.setTimeout ?? setTimeout;
+        this._clearTimeout = opts.clearTimeout ?? clearTimeout;
+
+        // Per-pad options (padId → frozen options) and state records (padId → record)
+        this._optsByPad = new Map();
+        this._pads = new Map();
+
+        // Chords by member pad (padId → chords containing it)
+        this._chordsByPad = new Map();
+    }
+
+    /**
+     * Register the chords to detect, replacing the previous set. Earlier chords
+     * win when several complete on the same press.
+     * @param {Iterable<{pads: ReadonlyArray<number>}>} chords - Two or more pads each.
+     */
+    setChords(chords) {
+        this._chordsByPad.clear();
+        for (const chord of chords) {
+            for (const padId of chord.pads) {
+                const list = this._chordsByPad.get(padId);
+                if (list) list.push(chord);
+                else this._chordsByPad.set(padId, [chord]);
+            }
+        }
+    }
+
+    /** True when every pad of the chord is held and went down within the window. */
+    _chordComplete(chord, now) {
+        for (const padId of chord.pads) {
+            const p = this._pads.get(padId);
+            if (!p || (p.phase !== DOWN && p.phase !== LONG) || (now - p.downAt) > this._chordWindowMs) return false;
+        }
+        return true;
+    }
+
+    /** Emit a chord; its pads swallow their releases and drop their tap chains. */
+    _emitChord(chord) {
+        for (const padId of chord.pads) {
+            const p = this._pads.get(padId);
+            this._clearTimer(p);
+            this._flushTaps(p);
+            p.phase = FIRED;
+            p.taps = 0;
+            p.lastUp = 0;
+        }
+        if (this.onChord) this.onChord(chord);
+    }
+
+    /**
+     * Set per-pad options over the decoder defaults (null restores the defaults).
+     * Call when the pad table changes, not per event.
+     * @param {number} padId
+     * @param {{doubleTapMs?: number, longPressMs?: number, veryLongPressMs?: number, maxTaps?: 2|3,
+     *          tapHold?: boolean, waitForDouble?: boolean}|null} opts
+     */
+    setPadOptions(padId, opts) {
+        if (opts) this._optsByPad.set(padId, normalizeOptions({...this._defaults, ...opts}));
+        else this._optsByPad.delete(padId);
+    }
+
+    /** Drop every per-pad option. */
+    clearPadOptions() {
+        this._optsByPad.clear();
+    }
+
+    /**
+     * Effective options of a pad (its own over the defaults).
+     * @param {number} padId
+     */
+    padOptions(padId) {
+        return this._optsByPad.get(padId) ?? this._defaults;
+    }
+
+    /**
+     * True while a pad is held and none of its holds (or a chord) has fired yet.
+     * @param {number} padId
+     */
+    holding(padId) {
+        const phase = this._pads.get(padId)?.phase;
+        return phase === DOWN || phase === LONG;
+    }
+
+    /** State record of a pad, created on first use and reused afterwards. */
+    _pad(padId) {
+        let p = this._pads.get(padId);
+        if (!p) {
+            p = {
+                padId,
+                phase: IDLE,
+                downAt: 0,
+                lastUp: 0,
+                lastEmit: 0,
+                taps: 0,
+                tapHeld: false, // current hold started right after a tap
+                pending: 0, // taps held back (waitForDouble / tapHold), not emitted yet
+                timer: null,
+                tapTimer: null,
+                opts: this._defaults,
+                onTimer: null,
+                onTapTimer: null,
+            };
+            p.onTimer = () => this._onHoldTimer(p);
+            p.onTapTimer = () => {
+                p.tapTimer = null;
+                this._flushTaps(p);
+            };
+            this._pads.set(padId, p);
+        }
+        return p;
+    }
+
+    _clearTimer(p) {
+        if (p.timer != null) this._clearTimeout(p.timer);
+        p.timer = null;
+    }
+
+    /** Emit the held-back taps, if any. */
+    _flushTaps(p) {
+        if (p.tapTimer != null) this._clearTimeout(p.tapTimer);
+        p.tapTimer = null;
+        const taps = p.pending;
+        if (!taps) return;
+        p.pending = 0;
+        if (this.onPress) this.onPress(p.padId, META_BY_TAPS[taps]);
+    }
+
+    /** Forget the held-back taps without emitting them. */
+    _dropTaps(p) {
+        if (p.tapTimer != null) this._clearTimeout(p.tapTimer);
+        p.tapTimer = null;
+        p.pending = 0;
+    }
+
+    /** Hold timer: long tier at `longPressMs`, then the very-long tier when enabled. */
+    _onHoldTimer(p) {
+        p.timer = null;
+        const o = p.opts;
+        if (p.phase === DOWN) {
+            if (p.tapHeld) return this._emitHold(p, HOLD_TAP);
+            if (o.veryLongPressMs > o.longPressMs) {
+                p.phase = LONG;
+                p.timer = this._setTimeout(p.onTimer, o.veryLongPressMs - o.longPressMs);
+                return;
+            }
+            return this._emitHold(p, HOLD_LONG);
+        }
+        if (p.phase === LONG) this._emitHold(p, HOLD_VERY_LONG);
+    }
 
-        // Per-pad state
-        this._lastUpByPad = new Map(); // last "release" timestamp
-        this._lastEmitByPad = new Map(); // last onPress emit timestamp (cooldown)
-        this._downAt = new Map(); // timestamp when pad went down
-        this._longTimers = new Map(); // active long-press timers
+    _emitHold(p, kind) {
+        // A tap-hold absorbs the tap before it; any other hold comes after it
+        if (kind === HOLD_TAP) this._dropTaps(p);
+        else this._flushTaps(p);
+        p.phase = FIRED;
+        p.taps = 0; // a hold ends the tap chain
+        p.lastUp = 0;
+        if (this.onLongPress) this.onLongPress(p.padId, kind);
     }
 
     /**
      * Notify that a pad went down (pressed).
-     * Sets/refreshes the long-press timer.
+     * Sets/refreshes the hold timer.
      * @param {number} padId
+     * @param {number} [at] - When it happened, for events replayed late (e.g. held
+     *        back by the swipe layer); defaults to the decoder clock.
      */
-    onDown(padId) {
-        const now = this._now();
-        this._downAt.set(padId, now);
+    onDown(padId, at) {
+        const now = at ?? this._now();
+        const p = this._pad(padId);
+        const o = this._optsByPad.get(padId) ?? this._defaults;
 
         // Replace any existing timer (duplicate down)
-        const prev = this._longTimers.get(padId);
-        if (prev) clearTimeout(prev);
+        this._clearTimer(p);
+        p.opts = o;
+        p.phase = DOWN;
+        p.downAt = now;
+        p.tapHeld = o.tapHold && p.lastUp > 0 && (now - p.lastUp) <= o.doubleTapMs;
 
-        // Schedule long‑press; cleared on valid onUp
-        const t = setTimeout(() => {
-            this._longTimers.delete(padId);
-            // If the timer survives until here, treat as long‑press (no single/double)
-            if (this.onLongPress) this.onLongPress(padId);
-        }, this._longPressMs);
+        // Held-back taps wait for this press to end (it may extend the chain)
+        // unless the window is already over
+        if (p.pending) {
+            if (p.lastUp > 0 && (now - p.lastUp) <= o.doubleTapMs) {
+                if (p.tapTimer != null) this._clearTimeout(p.tapTimer);
+                p.tapTimer = null;
+            } else {
+                this._flushTaps(p);
+            }
+        }
+
+        // A chord completed by this press wins over the pad's own gestures
+        const chords = this._chordsByPad.get(padId);
+        if (chords) {
+            for (const chord of chords) {
+                if (this._chordComplete(chord, now)) return this._emitChord(chord);
+            }
+        }
 
-        this._longTimers.set(padId, t);
+        // Schedule the first hold tier; cleared on a valid onUp
+        const late = at === undefined ? 0 : this._now() - at;
+        p.timer = this._setTimeout(p.onTimer, Math.max(0, o.longPressMs - late));
     }
 
     /**
      * Notify that a pad went up (released).
-     * Decides single vs. double tap, respecting bounce/cooldown and long-press.
+     * Decides single vs. double vs. triple tap, respecting bounce/cooldown and holds.
      * @param {number} padId
+     * @param {number} [at] - When it happened (see onDown).
      */
-    onUp(padId) {
-        const now = this._now();
-        const downTs = this._downAt.get(padId);
-        this._downAt.delete(padId);
+    onUp(padId, at) {
+        const now = at ?? this._now();
+        const p = this._pads.get(padId);
+        if (!p) return; // missing down
+        const phase = p.phase;
+        p.phase = IDLE;
+
+        // Hold already emitted => suppress press
+        if (phase === FIRED || phase === IDLE) return;
 
-        // Missing down or too short => bounce
-        if (downTs == null || (now - downTs) < this._bounceMs) return;
+        this._clearTimer(p);
 
-        // If long‑press already fired, the timer is gone => suppress press
-        const t = this._longTimers.get(padId);
-        if (!t) return;
+        // Long tier reached on a pad that also has a very-long tier: emit now
+        if (phase === LONG) {
+            this._flushTaps(p);
+            p.taps = 0;
+            p.lastUp = 0;
+            if (this.onLongPress) this.onLongPress(padId, HOLD_LONG);
+            return;
+        }
+
+        const o = p.opts;
 
-        // Cancel pending long‑press; treat as a press
-        clearTimeout(t);
-        this._longTimers.delete(padId);
+        // Too short => bounce (held-back taps stay pending)
+        if ((now - p.downAt) < o.bounceMs) return this._resumeTaps(p, now);
 
         // Optional cooldown to avoid accidental triple‑tap chains
-        if (this._cooldownMs > 0) {
-            const lastEmit = this._lastEmitByPad.get(padId) || 0;
-            if ((now - lastEmit) < this._cooldownMs) return;
-        }
+        if (o.cooldownMs > 0 && p.lastEmit && (now - p.lastEmit) < o.cooldownMs) return this._resumeTaps(p, now);
 
-        // Double‑tap detection relative to the previous "up"
-        const lastUp = this._lastUpByPad.get(padId) || 0;
-        const isDouble = !!(lastUp && (now - lastUp) <= this._doubleTapMs);
+        // Multi‑tap detection relative to the previous "up"; further taps in
+        // the window repeat the highest tier
+        const chained = p.lastUp > 0 && (now - p.lastUp) <= o.doubleTapMs;
+        if (!chained) this._flushTaps(p); // the previous chain is over
+        p.taps = chained ? Math.min(p.taps + 1, o.maxTaps) : 1;
 
         // Record timings
-        this._lastUpByPad.set(padId, now);
-        this._lastEmitByPad.set(padId, now);
+        p.lastUp = now;
+        p.lastEmit = now;
+
+        // Hold the tap back while the chain can still grow (or turn into a tap-hold)
+        if ((o.waitForDouble || o.tapHold) && p.taps < o.maxTaps) {
+            p.pending = p.taps;
+            p.tapTimer = this._setTimeout(p.onTapTimer, this._windowLeft(o, now));
+            return;
+        }
+        p.pending = 0;
 
         // Emit without allocating a new metaobject
-        if (this.onPress) this.onPress(padId, isDouble ? META_DOUBLE : META_SINGLE);
+        if (this.onPress) this.onPress(padId, META_BY_TAPS[p.taps]);
+    }
+
+    /** Time left (ms) in the double-tap window that opened at `lastUp`. */
+    _windowLeft(o, lastUp) {
+        return Math.max(0, o.doubleTapMs - (this._now() - lastUp));
+    }
+
+    /** Re-arm the held-back taps after a release that did not count as a tap. */
+    _resumeTaps(p, now) {
+        if (!p.pending || p.tapTimer != null) return;
+        if (p.lastUp > 0 && (now - p.lastUp) <= p.opts.doubleTapMs) {
+            p.tapTimer = this._setTimeout(p.onTapTimer, this._windowLeft(p.opts, p.lastUp));
+        } else {
+            this._flushTaps(p);
+        }
     }
 
     /**
@@ -128,20 +396,22 @@ export class GestureDecoder {
      * @param {number} padId
      */
     cancelPad(padId) {
-        const t = this._longTimers.get(padId);
-        if (t) clearTimeout(t);
-        this._longTimers.delete(padId);
-        this._downAt.delete(padId);
+        const p = this._pads.get(padId);
+        if (!p) return;
+        this._clearTimer(p);
+        this._dropTaps(p);
+        p.phase = IDLE;
     }
 
     /**
      * Reset the entire internal state (e.g., when re‑initializing the device).
+     * Per-pad options are kept.
      */
     reset() {
-        for (const [, t] of this._longTimers) clearTimeout(t);
-        this._longTimers.clear();
-        this._lastUpByPad.clear();
-        this._lastEmitByPad.clear();
-        this._downAt.clear();
+        for (const p of this._pads.values()) {
+            this._clearTimer(p);
+            this._dropTaps(p);
+        }
+        this._pads.clear();
     }
 }
@@ -0,0 +1,167 @@
+/**
+ * Launchpad pad addressing and per-model layouts.
+ *
+ * The adapter exposes two kinds of pads (see port.js):
+ * - Note pads: 0..127, sent as NOTE ON/OFF.
+ * - Control pads: 200 + CC number, for buttons that talk CC.
+ *
+ * Which note or CC a physical button uses depends on the model. A layout
+ * translates between device pad IDs and grid coordinates, so the config and
+ * the animations can think in rows and columns:
+ * - `row` 0..7 top → bottom, `col` 0..7 left → right for the 8×8 grid.
+ * - `col` 8 is the right-hand “scene” column.
+ * - `row` -1 is the top row of round buttons (cols 0..7).
+ *
+ * Config keys
+ * - `"r2c3"` → row 2, col 3 (scene column: `"r2c8"`).
+ * - `"top3"` → fourth top-row button.
+ * - `{ "row": 2, "col": 3 }` (array-style mappings, see config-schema.js).
+ * - Raw pad numbers (`"17"`) are still accepted when the pad exists.
+ *
+ * Models
+ * - `launchpad-s` (also `launchpad-mini`): note = row*16 + col (scene = col 8),
+ *   top row = CC 104..111 → pads 304..311.
+ * - `launchpad-x` (also `launchpad-mini-mk3`, `launchpad-pro-mk3`, Programmer
+ *   mode): note = (8 - row)*10 + col + 1, scene column = CC 89..19, top row =
+ *   CC 91..98.
+ * - `launchpad-mk2` (Session layout): grid notes as on the X, scene column =
+ *   notes 89..19, top row = CC 104..111.
+ */
+
+/** Offset added to a CC number to form its pad ID. */
+export const CONTROL_BASE = 200;
+
+/** Grid size shared by every supported model (excluding the scene column). */
+export const GRID_ROWS = 8;
+export const GRID_COLS = 8;
+
+/** Column index of the right-hand scene buttons; row index of the top buttons. */
+export const SCENE_COL = 8;
+export const TOP_ROW = -1;
+
+/** Model used when the config does not name one. */
+export const DEFAULT_MODEL = 'launchpad-s';
+
+/**
+ * True when a pad ID addresses a control (CC) button rather than a note pad.
+ * @param {number} padId
+ * @returns {boolean}
+ */
+export const isControlPad = (padId) => padId >= CONTROL_BASE;
+
+/**
+ * @typedef {{ row: number, col: number }} PadCoords
+ *
+ * @typedef {{
+ *   model: string,
+ *   padAt: (row: number, col: number) => number|null,
+ *   coordsOf: (padId: number) => PadCoords|null,
+ *   padIds: () => number[],
+ *   topRowPadIds: ReadonlyArray<number>,
+ * }} Layout
+ */
+
+/**
+ * Build a layout from a coordinate → pad ID function.
+ * The reverse map is precomputed, so `coordsOf` is a lookup.
+ *
+ * @param {string} model
+ * @param {(row: number, col: number) => number} toPad - Defined for rows -1..7 × cols 0..8 (top row: cols 0..7).
+ * @returns {Readonly<Layout>}
+ */
+function createLayout(model, toPad) {
+    const byPad = new Map();
+    const add = (row, col) => byPad.set(toPad(row, col), Object.freeze({row, col}));
+
+    for (let col = 0; col < GRID_COLS; col++) add(TOP_ROW, col);
+    for (let row = 0; row < GRID_ROWS; row++) {
+        for (let col = 0; col <= SCENE_COL; col++) add(row, col);
+    }
+
+    const topRowPadIds = Object.freeze(Array.from({length: GRID_COLS}, (_, col) => toPad(TOP_ROW, col)));
+    const all = Object.freeze([...byPad.keys()]);
+
+    return Object.freeze({
+        model,
+        padAt(row, col) {
+            const valid = (row === TOP_ROW && col >= 0 && col < GRID_COLS)
+                || (row >= 0 && row < GRID_ROWS && col >= 0 && col <= SCENE_COL);
+            return valid ? toPad(row, col) : null;
+        },
+        coordsOf: (padId) => byPad.get(padId) ?? null,
+        padIds: () => all.slice(),
+        topRowPadIds,
+    });
+}
+
+/** Launchpad S / Mini (mk1, mk2): X-Y layout, 16 notes per row. */
+const LAUNCHPAD_S = createLayout('launchpad-s', (row, col) =>
+    row === TOP_ROW ? CONTROL_BASE + 104 + col : row * 16 + col);
+
+/** Launchpad X / Mini MK3 in Programmer mode: 10 notes per row, bottom-left = 11. */
+const LAUNCHPAD_X = createLayout('launchpad-x', (row, col) => {
+    if (row === TOP_ROW) return CONTROL_BASE + 91 + col;
+    const base = (GRID_ROWS - row) * 10;
+    return col === SCENE_COL ? CONTROL_BASE + base + 9 : base + col + 1;
+});
+
+/** Launchpad MK2 in Session layout: X-style grid, scene buttons are notes, top row as on the S. */
+const LAUNCHPAD_MK2 = createLayout('launchpad-mk2', (row, col) =>
+    row === TOP_ROW ? CONTROL_BASE + 104 + col : (GRID_ROWS - row) * 10 + col + 1);
+
+const LAYOUTS = Object.freeze({
+    'launchpad-s': LAUNCHPAD_S,
+    'launchpad-mini': LAUNCHPAD_S,
+    'launchpad-x': LAUNCHPAD_X,
+    'launchpad-mini-mk3': LAUNCHPAD_X,
+    'launchpad-pro-mk3': LAUNCHPAD_X,
+    'launchpad-mk2': LAUNCHPAD_MK2,
+});
+
+/** Names accepted for `model` (for error messages). */
+export const layoutModels = () => Object.keys(LAYOUTS);
+
+/**
+ * Look up a model's layout.
+ * @param {string} [model=DEFAULT_MODEL]
+ * @returns {Readonly<Layout>|undefined}
+ */
+export function getLayout(model = DEFAULT_MODEL) {
+    return LAYOUTS[model];
+}
+
+/**
+ * Resolve a config pad reference to a device pad ID.
+ *
+ * @param {string|number|{row:number, col:number}} ref - `"r2c3"`, `"top3"`, `{row, col}` or a pad number.
+ * @param {Layout} layout
+ * @returns {number|null} null when the reference is malformed or the pad does not exist on this model.
+ */
+export function parsePadRef(ref, layout) {
+    if (ref != null && typeof ref === 'object') {
+        const {row, col} = ref;
+        return (Number.isInteger(row) && Number.isInteger(col)) ? layout.padAt(row, col) : null;
+    }
+    const key = String(ref).trim().toLowerCase();
+    let m;
+    if ((m = /^r(\d)c(\d)$/.exec(key))) return layout.padAt(Number(m[1]), Number(m[2]));
+    if ((m = /^top(\d)$/.exec(key))) return layout.padAt(TOP_ROW, Number(m[1]));
+    if (/^\d+$/.test(key)) {
+        const id = Number(key);
+        return layout.coordsOf(id) ? id : null;
+    }
+    return null;
+}
+
+/**
+ * Config key for a device pad ID (inverse of parsePadRef): `"r2c3"` or `"top3"`.
+ *
+ * @param {number} padId
+ * @param {Layout} layout
+ * @returns {string} Falls back to the raw number for pads outside the layout.
+ */
+export function padKey(padId, layout) {
+    const c = layout.coordsOf(padId);
+    if (!c) return String(padId);
+    return c.row === TOP_ROW ? `top${c.col}` : `r${c.row}c${c.col}`;
+}
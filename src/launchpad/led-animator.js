@@ -1,85 +1,78 @@
 /**
  * Per-note LED animations for Launchpad devices.
  *
+ * Thin helpers over the shared animation engine (animation-engine.js): each
+ * one describes its animation as data and plays it, so every pad animation
+ * runs off the engine's single frame clock.
+ *
  * All animations are non-blocking and optimized for:
- * - Low latency (minimal delay from request to LED update)
- * - Low CPU usage (reduced wakeups, minimal allocations)
+ * - Low latency (the first frame is painted as soon as an animation starts)
+ * - Low CPU usage (one timer for every pad, only changed colors are written)
  *
  * Implementation details:
- * - Uses recursive setTimeout instead of setInterval to reduce drift
- * - Keeps animation state per note to allow independent animations
+ * - One animation per note: starting another one on the same note replaces it
  * - Provides helpers to start, stop, and cancel animations
  */
 
-const running = new Map(); // noteId -> { cancel: () => void }
-
-// High-resolution clock binding (avoids branching on each call)
-const NOW = (typeof performance !== 'undefined' && typeof performance.now === 'function')
-    ? performance.now.bind(performance)
-    : Date.now;
+import {engine} from './animation-engine.js';
 
 // Shared "off" tuple to avoid allocations during animation frames
-const OFF = [0, 0];
+const OFF = Object.freeze([0, 0]);
 
 /**
- * Blink animation for signaling a quit or error condition.
+ * Open-ended blink used as a progress indicator (e.g. while a macro runs or an app launches).
  *
- * Typical usage: called during a long-press to visually indicate
- * an impending quit action.
+ * Alternates between `color` and `altColor` until the returned stop function
+ * is called (or another animation claims the pad). Stopping does not repaint
+ * the pad; the caller paints the final state.
  *
  * @param {{ setPad: (note: number, color: [number, number]) => void }} lp - Launchpad port
  * @param {number} note - Pad to animate
- * @param {[number, number]} color - Color tuple [r,g] (0..3) for the "on" state
- * @param {number} durationMs - Total animation duration in milliseconds
- * @param {number} hz - Blink frequency in cycles per second
- * @returns {Promise<void>} Resolves when the animation completes or is canceled
+ * @param {[number, number]} color - Color tuple for the "on" phase
+ * @param {[number, number]} [altColor] - Color tuple for the "off" phase
+ * @param {number} [hz] - Blink frequency in cycles per second
+ * @returns {() => void} Stop function (idempotent)
  */
-export function blinkQuit(lp, note, color = [3, 0], durationMs = 300, hz = 8) {
-    return new Promise((resolve) => {
-        stopAnimation(note); // cancel any ongoing animation on this pad
-
-        // Clamp parameters to reasonable ranges
-        const dur = Math.max(80, durationMs | 0);
-        const freq = Math.max(1, Math.min(20, hz | 0));
-        const halfPeriod = Math.max(20, (1000 / (freq * 2)) | 0);
-
-        const start = NOW();
-        let on = true;
-        let canceled = false;
-        let timer = null;
-
-        const cancel = () => {
-            if (canceled) return;
-            canceled = true;
-            if (timer) {
-                clearTimeout(timer);
-                timer = null;
-            }
-            try {
-                lp?.setPad?.(note, OFF);
-            } catch {
-            }
-            running.delete(note);
-            resolve();
-        };
-
-        running.set(note, {cancel});
-
-        const tick = () => {
-            if (canceled) return;
-            const elapsed = NOW() - start;
-            if (elapsed >= dur) return cancel();
+export function startBlink(lp, note, color, altColor = OFF, hz = 3) {
+    return engine.play(lp, {type: 'blink', pads: [note], on: color, off: altColor, hz}).stop;
+}
 
-            try {
-                lp?.setPad?.(note, on ? color : OFF);
-            } catch {
-            }
-            on = !on;
-            timer = setTimeout(tick, halfPeriod);
-        };
+/**
+ * Open-ended color ramp, e.g. while a pad is held toward a long press.
+ *
+ * Each segment fades `from` → `to` between `at` and `until` (ms after
+ * `origin`); the pad is left alone before the first segment and stays on the
+ * last color after the end. Like startBlink, stopping does not repaint the pad.
+ *
+ * @param {{ setPad: (note: number, color: [number, number]) => void }} lp - Launchpad port
+ * @param {number} note - Pad to animate
+ * @param {ReadonlyArray<{ at: number, until: number, from: [number, number], to: [number, number] }>} segments
+ *        In time order.
+ * @param {number} [origin] - Start of the timeline on the monotonic clock (default: now)
+ * @returns {() => void} Stop function (idempotent)
+ */
+export function startRamp(lp, note, segments, origin) {
+    return engine.play(lp, {type: 'ramp', pads: [note], segments, startAt: origin}).stop;
+}
 
-        tick();
-    });
+/**
+ * Open-ended diagonal wave, e.g. the ambient screensaver.
+ *
+ * Each pad alternates between `dim` and `bright` every half period, delayed
+ * by `groupOf(pad) × staggerMs`, so a band of light travels across the grid.
+ * Like startBlink, stopping does not repaint the pads.
+ *
+ * @param {{ setPad: (note: number, color: [number, number]) => void }} lp - Launchpad port
+ * @param {number[]} padIds - Pads to animate
+ * @param {(padId: number) => number} groupOf - Wave position of a pad (e.g. row + col)
+ * @param {[number, number]} dim - Color tuple between passes
+ * @param {[number, number]} bright - Color tuple of the band
+ * @param {number} periodMs - Duration of one dim ↔ bright cycle (ms)
+ * @param {number} staggerMs - Delay between neighbouring positions (ms)
+ * @returns {() => void} Stop function (idempotent)
+ */
+export function startWave(lp, padIds, groupOf, dim, bright, periodMs, staggerMs) {
+    return engine.play(lp, {type: 'wave', pads: padIds, groupOf, dim, bright, periodMs, staggerMs, durationMs: Infinity}).stop;
 }
 
 /**
@@ -96,42 +89,24 @@ export function blinkQuit(lp, note, color = [3, 0], durationMs = 300, hz = 8) {
  * @param {number} offMs - Off duration per cycle (ms)
  */
 export async function bootPulse(lp, padIds, color = [0, 1], flashes = 2, onMs = 60, offMs = 45) {
-    const ids = Array.isArray(padIds) ? padIds : [];
-    for (let i = 0; i < flashes; i++) {
-        // ON phase
-        for (const id of ids) {
-            try {
-                lp.setPad(id, color);
-            } catch {
-            }
-        }
-        await new Promise(r => setTimeout(r, onMs));
-
-        // OFF phase
-        for (const id of ids) {
-            try {
-                lp.setPad(id, OFF);
-            } catch {
-            }
-        }
-        await new Promise(r => setTimeout(r, offMs));
-    }
+    const pads = Array.isArray(padIds) ? padIds : [];
+    if (!pads.length) return;
+    await engine.play(lp, {type: 'pulse', pads, color, flashes, onMs, offMs, final: OFF}).done;
 }
 
 /**
  * Stops the animation for a specific pad if one is running.
  *
  * @param {number} note - Pad ID
+ * @param {object} [lp] - Only the animation on this port (e.g. one compositor layer); default: any
  */
-export function stopAnimation(note) {
-    const ref = running.get(note);
-    if (ref && typeof ref.cancel === 'function') ref.cancel();
-    running.delete(note);
+export function stopAnimation(note, lp) {
+    engine.stopPad(note, lp);
 }
 
 /**
  * Stops all currently running animations.
  */
 export function stopAllAnimations() {
-    for (const note of Array.from(running.keys())) stopAnimation(note);
+    engine.stopAll();
 }
@@ -1,17 +1,28 @@
 /**
- * Centralized LED palette for Launchpad S using 2‑channel tuples: [r, g].
+ * Centralized LED palette using level tuples: [r, g] or [r, g, b].
  *
  * Model notes
- * - Each channel is a 2‑bit intensity (0..3).
- * - The actual device encoding is handled elsewhere (see color-encoder.js).
+ * - Each channel is a 2‑bit intensity (0..3). Blue is optional and 0 when
+ *   left out, so the Launchpad S palette keeps its `[r, g]` form.
+ * - Colors are device-independent: each adapter encodes them for its model
+ *   (see color-encoder.js). The Launchpad S has no blue LED and shows the
+ *   nearest red/green; RGB models show them as they are.
  *
  * Guidelines
  * - Keep this file as the single source of truth for “semantic” colors.
  * - Use frozen tuples to prevent accidental mutation in hot paths.
  * - Prefer descriptive names that map to UX meaning (e.g., “amber” for minimized).
+ * - Build tuples with `C` so a color without blue never carries a blue 0.
  */
 
-const C = (r, g) => Object.freeze([r, g]);
+/**
+ * Frozen color tuple; blue is only stored when it is lit.
+ * @param {number} r
+ * @param {number} g
+ * @param {number} [b=0]
+ * @returns {Readonly<[number, number]|[number, number, number]>}
+ */
+export const C = (r, g, b = 0) => Object.freeze(b ? [r, g, b] : [r, g]);
 
 export const COLORS = Object.freeze({
     // Base
@@ -29,4 +40,40 @@ export const COLORS = Object.freeze({
     amber: C(3, 3), // minimized (stable)
     yellow: C(2, 3), // mid-yellow, general purpose
     yellowBright: C(3, 2), // action-in-progress (e.g., minimizing), clearly brighter than amber
+    dimAmber: C(1, 1), // idle non-app action pad (URL, shell, hotkey…)
+
+    // RGB models only (the Launchpad S shows the nearest red/green)
+    blue: C(0, 0, 3),
+    dimBlue: C(0, 0, 1),
+    cyan: C(0, 3, 3),
+    purple: C(2, 0, 3),
+    dimPurple: C(1, 0, 1),
+    white: C(3, 3, 3),
 });
+
+/**
+ * True for a level tuple: two or three integers 0..3.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export const isColor = (value) => Array.isArray(value)
+    && (value.length === 2 || value.length === 3)
+    && value.every((v) => Number.isInteger(v) && v >= 0 && v <= 3);
+
+/** True when two colors light the same channels (a missing blue counts as 0). */
+export const sameColor = (a, b) => a === b
+    || (!!a && !!b && a[0] === b[0] && a[1] === b[1] && (a[2] ?? 0) === (b[2] ?? 0));
+
+/**
+ * Color between `a` and `b` at `t` (0..1), per channel, rounded to levels.
+ * @param {Readonly<number[]>} a
+ * @param {Readonly<number[]>} b
+ * @param {number} t
+ * @returns {number[]}
+ */
+export function mixColors(a, b, t) {
+    const r = Math.round(a[0] + (b[0] - a[0]) * t);
+    const g = Math.round(a[1] + (b[1] - a[1]) * t);
+    const blue = Math.round((a[2] ?? 0) + ((b[2] ?? 0) - (a[2] ?? 0)) * t);
+    return blue ? [r, g, blue] : [r, g];
+}
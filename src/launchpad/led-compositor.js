@@ -0,0 +1,218 @@
+/**
+ * Layered LED compositor: each pad is drawn from a stack of layers and only
+ * the topmost color reaches the device.
+ *
+ * Layers (bottom → top)
+ * - `SYNC`   — synced OS state (state-sync) and other resting colors (page
+ *              buttons, modifier pads).
+ * - `ACTION` — action feedback: running, progress, success and failure.
+ * - `ALERT`  — notifications and modes drawn over actions: alt bindings while
+ *              a modifier is held, learn mode.
+ * - `HOLD`   — the hold ramp toward a long press.
+ * - `SCREENSAVER` — the idle animation, over everything until the deck wakes.
+ *
+ * Design notes
+ * - A layer is set and cleared explicitly by its owner; nothing expires on its
+ *   own. Clearing a layer uncovers the one below at once, so there is no mask
+ *   duration to guess and lower layers never have to hold back.
+ * - `port(layer)` is a port-shaped view of one layer (`setPad`, `setPads`,
+ *   `clearPad`), so writers that take a port (state-sync, the animation
+ *   engine) draw into their layer without knowing about the others.
+ * - Device writes are deduplicated against what the pad shows and batched
+ *   through the port's `setPads` when it has one. A pad no layer covers any
+ *   more is turned off.
+ * - `setMaxLevel` caps the intensity of what reaches the device (screensaver
+ *   dimming, night mode) without touching the layers; lifting it restores the
+ *   full colors.
+ * - `showText` hands the whole device to a scrolling text: layers keep being
+ *   drawn (the sync loop keeps running) but nothing reaches the device until
+ *   the text is done, then every pad is written again from its layers.
+ * - Port errors are swallowed, as everywhere on the LED path.
+ */
+
+import {sameColor} from './led-colors.js';
+
+/** Layer indexes, bottom to top. */
+export const Layer = Object.freeze({
+    SYNC: 0,
+    ACTION: 1,
+    ALERT: 2,
+    HOLD: 3,
+    SCREENSAVER: 4,
+});
+
+const OFF = Object.freeze([0, 0]);
+/** Stand-in for "the device may show anything here" (matches no color). */
+const UNKNOWN = Object.freeze([-1, -1]);
+
+export class LedCompositor {
+    /**
+     * @param {{ setPad: (pad: number, color: [number, number]) => void, setPads?: (frame: Map<number, [number, number]>) => void }} lp
+     */
+    constructor(lp) {
+        this._lp = lp;
+        /** One padId → color map per layer. */
+        this._layers = Object.values(Layer).map(() => new Map());
+        /** padId → color last written to the device. */
+        this._shown = new Map();
+        /** Cached port views, one per layer (stable identity for the animation engine). */
+        this._ports = new Map();
+        /** Token of the text on screen; device writes wait while it is set. */
+        this._text = null;
+        /** Brightest channel level the device may show (3 = no cap). */
+        this._maxLevel = 3;
+    }
+
+    /**
+     * Set a pad's color on one layer.
+     * @param {number} layer - A `Layer` value.
+     * @param {number} padId
+     * @param {[number, number]} color
+     */
+    set(layer, padId, color) {
+        this._layers[layer].set(padId, color);
+        this._flush([padId]);
+    }
+
+    /**
+     * Remove a pad from one layer, uncovering the layers below.
+     * @param {number} layer
+     * @param {number} padId
+     */
+    clear(layer, padId) {
+        if (this._layers[layer].delete(padId)) this._flush([padId]);
+    }
+
+    /**
+     * Remove every pad from one layer.
+     * @param {number} layer
+     */
+    clearLayer(layer) {
+        const padIds = [...this._layers[layer].keys()];
+        this._layers[layer].clear();
+        this._flush(padIds);
+    }
+
+    /**
+     * Cap every channel the device shows at `level`; pads repaint at once.
+     * @param {number} level - 1..3 (3 lifts the cap).
+     */
+    setMaxLevel(level) {
+        const next = Math.max(1, Math.min(3, level | 0));
+        if (next === this._maxLevel) return;
+        this._maxLevel = next;
+        this._flush(this._padIds());
+    }
+
+    /** True when the layer holds a color for the pad. */
+    has(layer, padId) {
+        return this._layers[layer].has(padId);
+    }
+
+    /**
+     * Color the pad shows (its topmost layer), or null when no layer covers it.
+     * @param {number} padId
+     * @returns {[number, number]|null}
+     */
+    top(padId) {
+        for (let i = this._layers.length - 1; i >= 0; i--) {
+            const color = this._layers[i].get(padId);
+            if (color) return color;
+        }
+        return null;
+    }
+
+    /**
+     * Port-shaped view of one layer.
+     * @param {number} layer
+     * @returns {{ setPad: Function, setPads: Function, clearPad: (padId: number) => void }}
+     */
+    port(layer) {
+        let view = this._ports.get(layer);
+        if (!view) {
+            view = Object.freeze({
+                setPad: (padId, color) => this.set(layer, padId, color),
+                setPads: (frame) => {
+                    for (const [padId, color] of frame) this._layers[layer].set(padId, color);
+                    this._flush(frame.keys());
+                },
+                clearPad: (padId) => this.clear(layer, padId),
+            });
+            this._ports.set(layer, view);
+        }
+        return view;
+    }
+
+    /**
+     * Scroll text across the device (see LaunchpadPort.showText), then repaint every pad.
+     * A newer text takes over; only the last one repaints. Never rejects.
+     * @param {string} text
+     * @param {[number, number]} [color]
+     * @param {number} [speed] - 1 (slow) .. 7 (fast).
+     * @returns {Promise<boolean>} true when the text ran to its end.
+     */
+    async showText(text, color, speed) {
+        const token = {};
+        this._text = token;
+        let finished = false;
+        try {
+            finished = await this._lp.showText(text, color, speed);
+        } catch {
+        }
+        if (this._text !== token) return finished;
+        this._text = null;
+        this.redraw();
+        return finished;
+    }
+
+    /** Write every pad again from its layers (the device was drawn over behind our back). */
+    redraw() {
+        const padIds = this._padIds();
+        for (const padId of padIds) this._shown.set(padId, UNKNOWN);
+        this._flush(padIds);
+    }
+
+    /** Every pad the device shows or some layer covers. */
+    _padIds() {
+        const padIds = new Set(this._shown.keys());
+        for (const layer of this._layers) for (const padId of layer.keys()) padIds.add(padId);
+        return padIds;
+    }
+
+    /** `color` within the intensity cap. */
+    _capped(color) {
+        const max = this._maxLevel;
+        if (max >= 3) return color;
+        const capped = [Math.min(color[0], max), Math.min(color[1], max)];
+        if (color[2]) capped.push(Math.min(color[2], max));
+        return capped;
+    }
+
+    /** Write the top color of `padIds` where it changed, in one batch. */
+    _flush(padIds) {
+        if (this._text) return; // redraw() catches up once the text is done
+        const frame = new Map();
+        for (const padId of padIds) {
+            const shown = this._shown.get(padId);
+            const top = this.top(padId);
+            const color = top ? this._capped(top) : (shown ? OFF : null);
+            if (!color || sameColor(shown, color)) continue;
+            this._shown.set(padId, color);
+            frame.set(padId, color);
+        }
+        if (!frame.size) return;
+        if (typeof this._lp?.setPads === 'function') {
+            try {
+                this._lp.setPads(frame);
+            } catch {
+            }
+            return;
+        }
+        for (const [padId, color] of frame) {
+            try {
+                this._lp?.setPad?.(padId, color);
+            } catch {
+            }
+        }
+    }
+}
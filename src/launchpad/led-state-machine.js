@@ -1,27 +1,51 @@
 import {LedState, LedStateColors} from './states.js';
+import {isColor} from './led-colors.js';
+import {isPattern, themeEntry} from './themes.js';
+
+/** Wall clock for blink phases (shared by all pads so patterns stay in sync). */
+const NOW = Date.now;
 
 /**
- * Resolve a logical LED state to its Launchpad [r, g] tuple.
+ * Resolve a logical LED state to its color tuple.
  *
  * Design:
- * - LED states are symbolic keys (see LedState in states.js) that map to color
- *   tuples in LedStateColors.
- * - Tuples follow the [red, green] convention with intensities 0..3.
+ * - LED states are symbolic keys (see LedState in states.js) resolved, in order,
+ *   through the pad's own overrides (config `colors`), the active theme
+ *   (themes.js), and the default LedStateColors.
+ * - Tuples follow the [red, green] or [red, green, blue] convention with
+ *   intensities 0..3; each adapter encodes them for its model.
+ * - Blink patterns resolve to the color of the current phase at `now`;
+ *   callers that keep painting (the sync loop) animate them for free.
  * - This function enforces a safe fallback to the UNASSIGNED color if the
  *   state is not recognized or the mapping is invalid.
  *
  * Performance:
  * - Hot path during LED updates; minimal branching to keep latency low.
- * - No allocations except when falling back (which reuses an existing tuple).
+ * - No allocations (tuples and patterns are frozen constants).
  *
  * @param {keyof typeof LedState | string} state
  *        Logical LED state key, usually from LedState constants.
- * @returns {[number, number]} Launchpad color tuple (frozen).
+ * @param {Readonly<Record<string, Readonly<number[]>>>|null} [overrides]
+ *        Per-pad colors by LedState (normalized config `colors`).
+ * @param {number} [now] - Clock used for blink phases (ms).
+ * @returns {Readonly<number[]>} Color tuple (frozen).
  */
-export function stateToColor(state) {
-    const c = LedStateColors[state];
+export function stateToColor(state, overrides = null, now = NOW()) {
+    let c = overrides?.[state] ?? themeEntry(state);
+    if (isPattern(c)) c = (Math.floor(now * c.hz * 2 / 1000) % 2 === 0) ? c.on : c.off;
     // Guard: ensure we return a valid tuple; else use UNASSIGNED fallback
-    return (Array.isArray(c) && c.length === 2)
+    return isColor(c)
         ? c
         : LedStateColors[LedState.UNASSIGNED];
 }
+
+/**
+ * True when the state blinks for this pad (the sync loop keeps repainting it).
+ *
+ * @param {string} state
+ * @param {Readonly<Record<string, Readonly<number[]>>>|null} [overrides]
+ * @returns {boolean}
+ */
+export function isAnimatedState(state, overrides = null) {
+    return !overrides?.[state] && isPattern(themeEntry(state));
+}
@@ -20,15 +20,20 @@
  *   be stable across the process lifetime.
  *
  * Color encoding
- * - Colors are passed as `[r, g]` intensity tuples, each in the range 0..3.
- *   The adapter is responsible for converting that into the device‑specific
- *   value (e.g., MIDI velocity for Launchpad S).
+ * - Colors are passed as `[r, g]` or `[r, g, b]` intensity tuples, each in
+ *   the range 0..3 (a missing blue is 0). The adapter is responsible for
+ *   converting that into the device‑specific value (e.g., MIDI velocity for
+ *   Launchpad S, which shows blue as the nearest red/green; RGB SysEx for
+ *   newer models).
  *
  * Error handling
  * - Throw from abstract methods by default, so misuse is clear in dev.
  * - Concrete implementations SHOULD be resilient and avoid propagating
  *   transient I/O errors to callers (best‑effort logging instead).
  */
+
+import {scrollText} from './text-scroll.js';
+
 export class LaunchpadPort {
     /**
      * Subscribe to pad events.
@@ -59,12 +64,42 @@ export class LaunchpadPort {
      * reduce USB/MIDI traffic and CPU load.
      *
      * @param {number} padId - Implementation-defined pad identifier.
-     * @param {[number, number]} color - `[r, g]` intensities in the range 0..3.
+     * @param {number[]} color - `[r, g]` or `[r, g, b]` intensities in the range 0..3.
      */
     setPad(padId, color) {
         throw new Error('LaunchpadPort.setPad is abstract and must be implemented');
     }
 
+    /**
+     * Set the LED colors of several pads as one frame.
+     *
+     * Adapters that can batch or buffer writes (e.g., Launchpad S double
+     * buffering) should override this so a frame appears at once. The default
+     * writes pad by pad through `setPad`.
+     *
+     * @param {Map<number, [number, number]>} frame - padId → `[r, g]`.
+     */
+    setPads(frame) {
+        for (const [padId, color] of frame) this.setPad(padId, color);
+    }
+
+    /**
+     * Scroll a line of text across the grid once.
+     *
+     * Adapters whose firmware scrolls text (Launchpad S / Mini) should
+     * override this. The default draws it in software on the animation engine,
+     * using the adapter's `layout` when it has one. The grid is left off when
+     * the text is done; the caller repaints it.
+     *
+     * @param {string} text
+     * @param {number[]} [color] - `[r, g]` or `[r, g, b]` intensities in the range 0..3.
+     * @param {number} [speed] - 1 (slow) .. 7 (fast).
+     * @returns {Promise<boolean>} true when the text ran to its end, false when it was cut short.
+     */
+    showText(text, color, speed) {
+        return scrollText(this, text, {color, speed, layout: this.layout});
+    }
+
     /**
      * Close the port and release resources.
      *
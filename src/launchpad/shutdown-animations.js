@@ -4,18 +4,21 @@
  * Creates a warm "power-down" ripple effect:
  * yellowBright → yellow → amber → dimRed → off.
  *
- * The effect sweeps across pads in sequence, showing a short color trail.
+ * The effect sweeps diagonally across pads (top-left → bottom-right, using the
+ * model layout's geometry), showing a short color trail.
  * Multiple passes can be used for a richer visual.
  * Timing can be set explicitly (stepMs) or derived from a total duration.
  *
  * Performance notes:
- * - Low CPU usage with small, predictable delays.
- * - Avoids unnecessarily tight timers to reduce wakeups.
+ * - Played as data on the shared animation engine: one frame clock, and only
+ *   changed pads are written each frame.
  */
 
 import {COLORS} from './led-colors.js';
+import {getLayout} from './layout.js';
+import {engine} from './animation-engine.js';
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+/** @typedef {import('./layout.js').Layout} Layout */
 
 /**
  * Runs the shutdown ripple animation.
@@ -29,7 +32,8 @@ const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
  *   totalDurationMs?: number, // Target total duration for all passes.
  *   trail?: number,           // Number of trailing colors (head is brightest).
  *   passes?: number,          // Number of sweeps across pads.
- *   finalHoldMs?: number      // Pause after animation completes.
+ *   finalHoldMs?: number,     // Pause after animation completes.
+ *   layout?: Layout           // Model layout used to order the sweep.
  * }} [opts]
  */
 export async function playShutdownAnimation(
@@ -41,12 +45,22 @@ export async function playShutdownAnimation(
         trail = 4,
         passes = 2,
         finalHoldMs = 80,
+        layout = getLayout(),
     } = {}
 ) {
     if (!lp || !Array.isArray(pads) || pads.length === 0) return;
 
-    // Ensure a stable order for sweeping
-    const order = pads.slice().sort((a, b) => a - b);
+    // Sweep along anti-diagonals (row + col), top to bottom within each one;
+    // pads the layout does not know go last, by ID.
+    const rank = (id) => {
+        const c = layout.coordsOf(id);
+        return c ? [c.row + c.col, c.row] : [Infinity, id];
+    };
+    const order = pads.slice().sort((a, b) => {
+        const [da, ra] = rank(a);
+        const [db, rb] = rank(b);
+        return (da - db) || (ra - rb) || (a - b);
+    });
 
     // Color trail from brightest to dimmest
     const TRAIL = [
@@ -65,35 +79,8 @@ export async function playShutdownAnimation(
         stepMs = Math.max(10, Math.round(totalDurationMs / totalSteps));
     }
 
-    // Execute the ripple passes
-    for (let p = 0; p < passes; p++) {
-        for (let i = 0; i < order.length + effectiveTrail; i++) {
-            // Head color
-            const head = order[i];
-            if (head != null) lp.setPad(head, TRAIL[0]);
-
-            // Trail colors
-            for (let t = 1; t < effectiveTrail; t++) {
-                const idx = i - t;
-                const pad = order[idx];
-                if (pad != null) lp.setPad(pad, TRAIL[t] || COLORS.off);
-            }
-
-            // Turn off the pad after the trail
-            const offIdx = i - effectiveTrail;
-            if (offIdx >= 0) {
-                const offPad = order[offIdx];
-                if (offPad != null) lp.setPad(offPad, COLORS.off);
-            }
-
-            await sleep(stepMs);
-        }
-
-        // Brief pause between passes
-        if (p < passes - 1) await sleep(Math.max(0, Math.floor(stepMs / 2)));
-    }
-
-    // Ensure all pads are off at the end
-    for (const id of order) lp.setPad(id, COLORS.off);
-    if (finalHoldMs > 0) await sleep(finalHoldMs);
+    // Ripple passes, then everything off for the final hold — one timeline
+    const steps = [{type: 'sweep', pads: order, trail: TRAIL.slice(0, effectiveTrail), stepMs, passes}];
+    if (finalHoldMs > 0) steps.push({type: 'solid', pads: order, color: COLORS.off, durationMs: finalHoldMs});
+    await engine.play(lp, {type: 'sequence', steps, final: COLORS.off}).done;
 }
@@ -23,6 +23,21 @@ export const LedState = Object.freeze({
     MINIMIZING: 'MINIMIZING',
     QUITTING: 'QUITTING',
     ERROR: 'ERROR',
+    ACTION_READY: 'ACTION_READY',             // non-app action pad, idle
+    ACTION_RUNNING: 'ACTION_RUNNING',
+    ACTION_SUCCESS: 'ACTION_SUCCESS',
+    ACTION_FAILED: 'ACTION_FAILED',
+    PAGE_ACTIVE: 'PAGE_ACTIVE',               // top-row button of the visible page
+    PAGE_AVAILABLE: 'PAGE_AVAILABLE',         // top-row button of another page
+    LEARN_FREE: 'LEARN_FREE',                 // learn mode: pad with no binding
+    LEARN_WAITING: 'LEARN_WAITING',           // learn mode: pad waiting for an app (blinks)
+    HOLD_START: 'HOLD_START',                 // hold ramp: first color while a pad is held
+    HOLD_LONG: 'HOLD_LONG',                   // hold ramp: long-press threshold reached
+    HOLD_VERY_LONG: 'HOLD_VERY_LONG',         // hold ramp: very-long-press threshold reached
+    MODIFIER: 'MODIFIER',                     // modifier (shift) pad, idle
+    MODIFIER_HELD: 'MODIFIER_HELD',           // modifier pad while held
+    ALT_READY: 'ALT_READY',                   // pad with an alt binding while a modifier is held
+    SCREENSAVER: 'SCREENSAVER',               // band of the ambient screensaver wave
 });
 
 /**
@@ -51,4 +66,19 @@ export const LedStateColors = Object.freeze({
     [LedState.MINIMIZING]: COLORS.yellowBright, // action-in-progress (distinct from amber)
     [LedState.QUITTING]: COLORS.red,
     [LedState.ERROR]: COLORS.red,
+    [LedState.ACTION_READY]: COLORS.dimAmber,
+    [LedState.ACTION_RUNNING]: COLORS.yellow,
+    [LedState.ACTION_SUCCESS]: COLORS.green,
+    [LedState.ACTION_FAILED]: COLORS.red,
+    [LedState.PAGE_ACTIVE]: COLORS.green,
+    [LedState.PAGE_AVAILABLE]: COLORS.dimGreen,
+    [LedState.LEARN_FREE]: COLORS.dimRed,
+    [LedState.LEARN_WAITING]: COLORS.yellowBright,
+    [LedState.HOLD_START]: COLORS.dimRed,
+    [LedState.HOLD_LONG]: COLORS.red,
+    [LedState.HOLD_VERY_LONG]: COLORS.yellowBright,
+    [LedState.MODIFIER]: COLORS.dimAmber,
+    [LedState.MODIFIER_HELD]: COLORS.amber,
+    [LedState.ALT_READY]: COLORS.yellow,
+    [LedState.SCREENSAVER]: COLORS.dimGreen,
 });
@@ -0,0 +1,251 @@
+/**
+ * Detect swipes: a quick slide of presses across adjacent pads of one row or
+ * column, in one direction.
+ *
+ * Gesture
+ * - `minPads` (default 3) pads in a straight line, each next to the previous
+ *   one and pressed within `stepMs` of it. Emitted as soon as the last needed
+ *   pad goes down; further pads in the same direction extend it silently.
+ *
+ * Design notes
+ * - Sits in front of the GestureDecoder on the raw down/up stream and only
+ *   looks at pads on a configured swipe line (`setSwipes`); other pads pass
+ *   through untouched.
+ * - Presses on swipe lines are held back while they could still start or
+ *   continue a swipe (at most `stepMs` after the last press). If no swipe
+ *   happens they are replayed downstream in order with their original
+ *   timestamps, so taps, holds and chords decode exactly as before (a tap on
+ *   a swipe line is reported up to `stepMs` later). If a swipe happens they
+ *   are dropped, and releases of pads still held are swallowed.
+ * - Pads are matched through the layout's coordinates, so swipes work on every
+ *   supported model. The top row (`row: -1`) can carry horizontal swipes.
+ * - Clock and timers are injectable (same contract as GestureDecoder).
+ */
+
+import {GRID_ROWS, SCENE_COL, TOP_ROW} from './layout.js';
+
+/** Unit step per direction as [dRow, dCol]. */
+const STEPS = Object.freeze({
+    right: Object.freeze([0, 1]),
+    left: Object.freeze([0, -1]),
+    down: Object.freeze([1, 0]),
+    up: Object.freeze([-1, 0]),
+});
+
+/** Directions accepted by setSwipes (for config messages). */
+export const SWIPE_DIRECTIONS = Object.freeze(Object.keys(STEPS));
+
+/** True for left/right swipes (they run along a row). */
+export const isHorizontal = (direction) => direction === 'left' || direction === 'right';
+
+/**
+ * @typedef {{ direction: 'left'|'right'|'up'|'down', row?: number, col?: number }} SwipeDef
+ *          `row` (horizontal) or `col` (vertical) limits the swipe to one line.
+ * @typedef {{ direction: string, row?: number, col?: number, pads: number[], swipe: SwipeDef }} Swipe
+ */
+
+export class SwipeDetector {
+    /**
+     * @param {import('./layout.js').Layout} layout
+     * @param {{
+     *   onDown: (padId: number, at?: number) => void,
+     *   onUp: (padId: number, at?: number) => void,
+     *   onSwipe: (swipe: Swipe) => void,
+     *   stepMs?: number,
+     *   minPads?: number,
+     *   now?: () => number,
+     *   setTimeout?: (fn: () => void, ms: number) => unknown,
+     *   clearTimeout?: (handle: unknown) => void,
+     * }} opts - Downstream handlers (`at` is set on replayed events), tunables and clock.
+     */
+    constructor(layout, {onDown, onUp, onSwipe, stepMs = 120, minPads = 3, now, setTimeout: set, clearTimeout: clear}) {
+        this.layout = layout;
+        this.onDown = onDown;
+        this.onUp = onUp;
+        this.onSwipe = onSwipe;
+        this._stepMs = stepMs | 0;
+        this._minPads = Math.max(2, minPads | 0);
+
+        this._now = now
+            ?? ((typeof performance !== 'undefined' && typeof performance.now === 'function')
+                ? performance.now.bind(performance)
+                : Date.now);
+        this._setTimeout = set ?? setTimeout;
+        this._clearTimeout = clear ?? clearTimeout;
+
+        /** Configured swipes, and the directions each pad can take part in. */
+        this._swipes = [];
+        this._dirsByPad = new Map(); // padId → Set<direction>
+
+        /** Slide in progress: { pads, events, lastAt, direction, swiped, timer }. */
+        this._slide = null;
+
+        /** Pads released after their swipe; their release is swallowed. */
+        this._swallow = new Set();
+
+        this._onTimer = () => this._end();
+    }
+
+    /**
+     * Replace the configured swipes. Earlier entries win when several match.
+     * A slide in progress is resolved first.
+     * @param {ReadonlyArray<SwipeDef>} swipes
+     */
+    setSwipes(swipes) {
+        this._end();
+        this._swipes = swipes;
+        this._dirsByPad.clear();
+        for (const swipe of swipes) {
+            for (const padId of this._linePads(swipe)) {
+                let dirs = this._dirsByPad.get(padId);
+                if (!dirs) this._dirsByPad.set(padId, dirs = new Set());
+                dirs.add(swipe.direction);
+            }
+        }
+    }
+
+    /** Pads a swipe may cover: its row/column, or every grid row/column when unset. */
+    _linePads(swipe) {
+        const out = [];
+        if (isHorizontal(swipe.direction)) {
+            const rows = swipe.row !== undefined ? [swipe.row] : Array.from({length: GRID_ROWS}, (_, r) => r);
+            for (const row of rows) {
+                for (let col = 0; col <= SCENE_COL; col++) {
+                    const padId = this.layout.padAt(row, col);
+                    if (padId != null) out.push(padId);
+                }
+            }
+        } else {
+            const cols = swipe.col !== undefined ? [swipe.col] : Array.from({length: SCENE_COL + 1}, (_, c) => c);
+            for (const col of cols) {
+                for (let row = 0; row < GRID_ROWS; row++) out.push(this.layout.padAt(row, col));
+            }
+        }
+        return out;
+    }
+
+    /** Direction from `from` to `to` when they are neighbours, else null. */
+    _stepBetween(from, to) {
+        const a = this.layout.coordsOf(from);
+        const b = this.layout.coordsOf(to);
+        if (!a || !b) return null;
+        const dr = b.row - a.row;
+        const dc = b.col - a.col;
+        for (const [direction, [sr, sc]] of Object.entries(STEPS)) {
+            if (dr === sr && dc === sc) return direction;
+        }
+        return null;
+    }
+
+    /** Direction `padId` would extend the slide in, or null. */
+    _extends(slide, padId, now) {
+        if (now - slide.lastAt > this._stepMs) return null;
+        const direction = this._stepBetween(slide.pads.at(-1), padId);
+        if (!direction || (slide.direction && direction !== slide.direction)) return null;
+        const ok = (id) => this._dirsByPad.get(id)?.has(direction);
+        return ok(padId) && ok(slide.pads[0]) ? direction : null;
+    }
+
+    /** First configured swipe matching a finished slide. */
+    _match(slide) {
+        const c = this.layout.coordsOf(slide.pads[0]);
+        const horizontal = isHorizontal(slide.direction);
+        return this._swipes.find((s) => s.direction === slide.direction
+            && (horizontal ? (s.row === undefined ? c.row !== TOP_ROW : s.row === c.row) : (s.col === undefined || s.col === c.col)));
+    }
+
+    _restartTimer(slide) {
+        if (slide.timer != null) this._clearTimeout(slide.timer);
+        slide.timer = this._setTimeout(this._onTimer, this._stepMs);
+    }
+
+    /** Resolve the slide in progress: replay it if it never became a swipe. */
+    _end() {
+        const slide = this._slide;
+        if (!slide) return;
+        this._slide = null;
+        if (slide.timer != null) this._clearTimeout(slide.timer);
+        if (slide.swiped) return;
+        for (const [kind, padId, at] of slide.events) {
+            if (kind === 'down') this.onDown(padId, at);
+            else this.onUp(padId, at);
+        }
+    }
+
+    _fire(slide, swipe) {
+        slide.swiped = true;
+        const held = new Set();
+        for (const [kind, padId] of slide.events) {
+            if (kind === 'down') held.add(padId);
+            else held.delete(padId);
+        }
+        for (const padId of held) this._swallow.add(padId);
+        slide.events.length = 0;
+
+        const c = this.layout.coordsOf(slide.pads[0]);
+        const line = isHorizontal(slide.direction) ? {row: c.row} : {col: c.col};
+        if (this.onSwipe) this.onSwipe({direction: slide.direction, ...line, pads: [...slide.pads], swipe});
+    }
+
+    /**
+     * Notify that a pad went down.
+     * @param {number} padId
+     */
+    down(padId) {
+        const now = this._now();
+        const slide = this._slide;
+
+        if (slide) {
+            const direction = this._extends(slide, padId, now);
+            if (direction) {
+                slide.direction = direction;
+                slide.pads.push(padId);
+                slide.lastAt = now;
+                this._restartTimer(slide);
+                if (slide.swiped) {
+                    this._swallow.add(padId);
+                    return;
+                }
+                slide.events.push(['down', padId, now]);
+                if (slide.pads.length >= this._minPads) {
+                    const swipe = this._match(slide);
+                    if (swipe) this._fire(slide, swipe);
+                }
+                return;
+            }
+        }
+
+        if (!this._dirsByPad.has(padId)) {
+            this.onDown(padId);
+            return;
+        }
+
+        // A new slide starts here; the previous one is over.
+        this._end();
+        this._swallow.delete(padId);
+        const next = {pads: [padId], events: [['down', padId, now]], lastAt: now, direction: null, swiped: false, timer: null};
+        this._slide = next;
+        this._restartTimer(next);
+    }
+
+    /**
+     * Notify that a pad went up.
+     * @param {number} padId
+     */
+    up(padId) {
+        if (this._swallow.delete(padId)) return;
+        const slide = this._slide;
+        if (slide && !slide.swiped && slide.pads.includes(padId)) {
+            slide.events.push(['up', padId, this._now()]);
+            return;
+        }
+        this.onUp(padId);
+    }
+
+    /** Drop any slide in progress without replaying it (device reset, shutdown). */
+    reset() {
+        if (this._slide?.timer != null) this._clearTimeout(this._slide.timer);
+        this._slide = null;
+        this._swallow.clear();
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * Scrolling text for models without a firmware text scroller.
+ *
+ * Text is rendered with a 5×7 bitmap font into a strip of columns and played
+ * as a `marquee` on the shared animation engine, so it runs off the same frame
+ * clock as every other LED animation. The Launchpad S / Mini scroll text in
+ * firmware (see the adapter's `showText`); this is the fallback for the rest,
+ * and the source of the duration estimate both paths use.
+ *
+ * Design notes
+ * - Only the 8×8 grid shows text; the scene column and top row keep their colors.
+ * - Lowercase is drawn as uppercase, accents are dropped, and characters the
+ *   font does not know become `?`.
+ * - Speed follows the firmware's scale (1 slow … 7 fast): one column every
+ *   `TIMINGS.text.slowStepMs / speed` ms.
+ */
+
+import {COLORS} from './led-colors.js';
+import {GRID_COLS, GRID_ROWS, getLayout} from './layout.js';
+import {engine} from './animation-engine.js';
+import {TIMINGS} from '../config/timings.js';
+
+/** 5×7 glyphs: one byte per column, bit 0 = top row. */
+const FONT = Object.freeze({
+    ' ': [0x00, 0x00, 0x00, 0x00, 0x00],
+    '!': [0x00, 0x00, 0x5F, 0x00, 0x00],
+    '"': [0x00, 0x07, 0x00, 0x07, 0x00],
+    '#': [0x14, 0x7F, 0x14, 0x7F, 0x14],
+    '$': [0x24, 0x2A, 0x7F, 0x2A, 0x12],
+    '%': [0x23, 0x13, 0x08, 0x64, 0x62],
+    '&': [0x36, 0x49, 0x55, 0x22, 0x50],
+    '\'': [0x00, 0x05, 0x03, 0x00, 0x00],
+    '(': [0x00, 0x1C, 0x22, 0x41, 0x00],
+    ')': [0x00, 0x41, 0x22, 0x1C, 0x00],
+    '*': [0x14, 0x08, 0x3E, 0x08, 0x14],
+    '+': [0x08, 0x08, 0x3E, 0x08, 0x08],
+    ',': [0x00, 0x50, 0x30, 0x00, 0x00],
+    '-': [0x08, 0x08, 0x08, 0x08, 0x08],
+    '.': [0x00, 0x60, 0x60, 0x00, 0x00],
+    '/': [0x20, 0x10, 0x08, 0x04, 0x02],
+    '0': [0x3E, 0x51, 0x49, 0x45, 0x3E],
+    '1': [0x00, 0x42, 0x7F, 0x40, 0x00],
+    '2': [0x42, 0x61, 0x51, 0x49, 0x46],
+    '3': [0x21, 0x41, 0x45, 0x4B, 0x31],
+    '4': [0x18, 0x14, 0x12, 0x7F, 0x10],
+    '5': [0x27, 0x45, 0x45, 0x45, 0x39],
+    '6': [0x3C, 0x4A, 0x49, 0x49, 0x30],
+    '7': [0x01, 0x71, 0x09, 0x05, 0x03],
+    '8': [0x36, 0x49, 0x49, 0x49, 0x36],
+    '9': [0x06, 0x49, 0x49, 0x29, 0x1E],
+    ':': [0x00, 0x36, 0x36, 0x00, 0x00],
+    ';': [0x00, 0x56, 0x36, 0x00, 0x00],
+    '<': [0x08, 0x14, 0x22, 0x41, 0x00],
+    '=': [0x14, 0x14, 0x14, 0x14, 0x14],
+    '>': [0x00, 0x41, 0x22, 0x14, 0x08],
+    '?': [0x02, 0x01, 0x51, 0x09, 0x06],
+    '@': [0x32, 0x49, 0x79, 0x41, 0x3E],
+    'A': [0x7E, 0x11, 0x11, 0x11, 0x7E],
+    'B': [0x7F, 0x49, 0x49, 0x49, 0x36],
+    'C': [0x3E, 0x41, 0x41, 0x41, 0x22],
+    'D': [0x7F, 0x41, 0x41, 0x22, 0x1C],
+    'E': [0x7F, 0x49, 0x49, 0x49, 0x41],
+    'F': [0x7F, 0x09, 0x09, 0x01, 0x01],
+    'G': [0x3E, 0x41, 0x41, 0x51, 0x32],
+    'H': [0x7F, 0x08, 0x08, 0x08, 0x7F],
+    'I': [0x00, 0x41, 0x7F, 0x41, 0x00],
+    'J': [0x20, 0x40, 0x41, 0x3F, 0x01],
+    'K': [0x7F, 0x08, 0x14, 0x22, 0x41],
+    'L': [0x7F, 0x40, 0x40, 0x40, 0x40],
+    'M': [0x7F, 0x02, 0x04, 0x02, 0x7F],
+    'N': [0x7F, 0x04, 0x08, 0x10, 0x7F],
+    'O': [0x3E, 0x41, 0x41, 0x41, 0x3E],
+    'P': [0x7F, 0x09, 0x09, 0x09, 0x06],
+    'Q': [0x3E, 0x41, 0x51, 0x21, 0x5E],
+    'R': [0x7F, 0x09, 0x19, 0x29, 0x46],
+    'S': [0x46, 0x49, 0x49, 0x49, 0x31],
+    'T': [0x01, 0x01, 0x7F, 0x01, 0x01],
+    'U': [0x3F, 0x40, 0x40, 0x40, 0x3F],
+    'V': [0x1F, 0x20, 0x40, 0x20, 0x1F],
+    'W': [0x7F, 0x20, 0x18, 0x20, 0x7F],
+    'X': [0x63, 0x14, 0x08, 0x14, 0x63],
+    'Y': [0x03, 0x04, 0x78, 0x04, 0x03],
+    'Z': [0x61, 0x51, 0x49, 0x45, 0x43],
+    '_': [0x40, 0x40, 0x40, 0x40, 0x40],
+});
+
+/**
+ * Text reduced to what the font (and the firmware scroller) can draw:
+ * uppercase ASCII, accents dropped, unknown characters as `?`.
+ * @param {string} text
+ * @returns {string}
+ */
+export function displayText(text) {
+    return String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toUpperCase()
+        .replace(/./gsu, (ch) => (FONT[ch] ? ch : '?'));
+}
+
+/**
+ * Render text into column bitmasks (bit r = row r), one blank column between glyphs.
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function textColumns(text) {
+    const columns = [];
+    for (const ch of displayText(text)) columns.push(...FONT[ch], 0x00);
+    return columns;
+}
+
+/** Ms per column at a firmware speed (1..7). */
+export const stepMsFor = (speed) => Math.round(TIMINGS.text.slowStepMs / Math.max(1, Math.min(7, speed | 0)));
+
+/**
+ * How long `text` takes to scroll across the grid at `speed`.
+ * @param {string} text
+ * @param {number} [speed=TIMINGS.text.speed]
+ * @returns {number}
+ */
+export function scrollDurationMs(text, speed = TIMINGS.text.speed) {
+    return (textColumns(text).length + GRID_COLS + 1) * stepMsFor(speed);
+}
+
+/**
+ * Scroll text across the grid once, in software.
+ *
+ * @param {{ setPad: (pad: number, color: [number, number]) => void }} lp - Launchpad port
+ * @param {string} text
+ * @param {{ color?: [number, number], speed?: number, layout?: import('./layout.js').Layout }} [opts]
+ * @returns {Promise<boolean>} true when the text ran to its end, false when it was stopped.
+ */
+export function scrollText(lp, text, {color = COLORS.green, speed = TIMINGS.text.speed, layout = getLayout()} = {}) {
+    const pads = layout.padIds().filter((id) => {
+        const c = layout.coordsOf(id);
+        return c.row >= 0 && c.row < GRID_ROWS && c.col < GRID_COLS;
+    });
+    return engine.play(lp, {
+        type: 'marquee',
+        pads,
+        columns: textColumns(text),
+        coordsOf: layout.coordsOf,
+        color,
+        stepMs: stepMsFor(speed),
+    }).done;
+}
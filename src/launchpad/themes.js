@@ -0,0 +1,214 @@
+/**
+ * LED themes: named LedState → color tables, selectable from the config.
+ *
+ * Themes
+ * - `default`: the original palette (LedStateColors); launching, minimizing and
+ *   closing blink for as long as their action is pending.
+ * - `high-contrast`: full-intensity, well-separated colors; errors blink.
+ * - `colorblind`: a single amber hue. States differ by brightness and blink
+ *   pattern instead of red vs. green.
+ * - `night`: everything at low intensity for dark rooms.
+ * - `vivid`: blues and purples for RGB models. On the Launchpad S they fall
+ *   back to the nearest red/green (color-encoder.js), which keeps the states
+ *   apart but looks close to `default`.
+ *
+ * Entries
+ * - A color is an `[r, g]` or `[r, g, b]` tuple (0..3 each), as everywhere else.
+ * - A pattern `{ on, off, hz }` blinks between two colors; the phase comes from
+ *   the wall clock, so every pad in the same state blinks in sync.
+ * - States a theme does not list fall back to the default theme.
+ *
+ * Per-pad overrides
+ * - Pads may set `colors: { <state>: <color> }` in the config. State keys are
+ *   LedState names or the friendly aliases below (`running` covers both
+ *   background and focused). Colors are palette names (led-colors.js), tuples,
+ *   or `#rrggbb` strings rounded to the nearest levels.
+ * - Validation helpers here are used by the config schema so bad values are
+ *   rejected at load time.
+ */
+
+import {C, COLORS, isColor} from './led-colors.js';
+import {LedState, LedStateColors} from './states.js';
+
+const P = (on, off, hz) => Object.freeze({on, off, hz});
+
+/** Theme used when the config does not name one. */
+export const DEFAULT_THEME = 'default';
+
+const THEMES = Object.freeze({
+    default: Object.freeze({
+        ...LedStateColors,
+        [LedState.LAUNCHING]: P(COLORS.green, COLORS.off, 3),
+        [LedState.MINIMIZING]: P(COLORS.yellowBright, COLORS.off, 3),
+        [LedState.QUITTING]: P(COLORS.red, COLORS.off, 6),
+    }),
+
+    'high-contrast': Object.freeze({
+        [LedState.ASSIGNED_STOPPED]: COLORS.red,
+        [LedState.RUNNING_BACKGROUND]: C(0, 2),
+        [LedState.RUNNING_FOCUSED]: COLORS.green,
+        [LedState.MINIMIZED]: COLORS.amber,
+        [LedState.MINIMIZING]: P(COLORS.amber, COLORS.off, 3),
+        [LedState.QUITTING]: P(COLORS.red, COLORS.off, 6),
+        [LedState.ERROR]: P(COLORS.red, COLORS.off, 4),
+        [LedState.ACTION_READY]: C(2, 2),
+        [LedState.ACTION_RUNNING]: COLORS.yellowBright,
+        [LedState.ACTION_FAILED]: P(COLORS.red, COLORS.off, 4),
+        [LedState.PAGE_AVAILABLE]: C(0, 2),
+    }),
+
+    colorblind: Object.freeze({
+        [LedState.ASSIGNED_STOPPED]: C(1, 1),
+        [LedState.RUNNING_BACKGROUND]: C(2, 2),
+        [LedState.RUNNING_FOCUSED]: C(3, 3),
+        [LedState.MINIMIZED]: P(C(2, 2), C(1, 1), 1),
+        [LedState.LAUNCHING]: P(C(3, 3), C(1, 1), 3),
+        [LedState.FOCUSING]: C(3, 3),
+        [LedState.MINIMIZING]: P(C(2, 2), C(1, 1), 3),
+        [LedState.QUITTING]: P(C(3, 3), COLORS.off, 6),
+        [LedState.ERROR]: P(C(3, 3), COLORS.off, 4),
+        [LedState.ACTION_READY]: C(1, 1),
+        [LedState.ACTION_RUNNING]: P(C(3, 3), C(1, 1), 2),
+        [LedState.ACTION_SUCCESS]: C(3, 3),
+        [LedState.ACTION_FAILED]: P(C(3, 3), COLORS.off, 4),
+        [LedState.PAGE_ACTIVE]: C(3, 3),
+        [LedState.PAGE_AVAILABLE]: C(1, 1),
+        [LedState.HOLD_START]: C(1, 1),
+        [LedState.HOLD_LONG]: C(2, 2),
+        [LedState.HOLD_VERY_LONG]: C(3, 3),
+        [LedState.MODIFIER]: C(1, 1),
+        [LedState.MODIFIER_HELD]: C(3, 3),
+        [LedState.ALT_READY]: P(C(3, 3), C(1, 1), 2),
+        [LedState.SCREENSAVER]: C(1, 1),
+    }),
+
+    night: Object.freeze({
+        [LedState.ASSIGNED_STOPPED]: COLORS.dimRed,
+        [LedState.RUNNING_BACKGROUND]: COLORS.dimGreen,
+        [LedState.RUNNING_FOCUSED]: C(0, 2),
+        [LedState.MINIMIZED]: C(1, 1),
+        [LedState.LAUNCHING]: P(C(0, 2), COLORS.off, 3),
+        [LedState.FOCUSING]: C(0, 2),
+        [LedState.MINIMIZING]: P(C(2, 1), COLORS.off, 3),
+        [LedState.QUITTING]: P(C(2, 0), COLORS.off, 6),
+        [LedState.ERROR]: C(2, 0),
+        [LedState.ACTION_READY]: C(1, 1),
+        [LedState.ACTION_RUNNING]: C(1, 2),
+        [LedState.ACTION_SUCCESS]: C(0, 2),
+        [LedState.ACTION_FAILED]: C(2, 0),
+        [LedState.PAGE_ACTIVE]: C(0, 2),
+        [LedState.PAGE_AVAILABLE]: COLORS.dimGreen,
+        [LedState.HOLD_LONG]: C(2, 0),
+        [LedState.HOLD_VERY_LONG]: C(2, 1),
+        [LedState.MODIFIER_HELD]: C(2, 2),
+        [LedState.ALT_READY]: C(1, 2),
+    }),
+
+    vivid: Object.freeze({
+        [LedState.ASSIGNED_STOPPED]: COLORS.dimPurple,
+        [LedState.RUNNING_BACKGROUND]: COLORS.dimBlue,
+        [LedState.RUNNING_FOCUSED]: COLORS.blue,
+        [LedState.MINIMIZED]: C(2, 2, 3),
+        [LedState.LAUNCHING]: P(COLORS.blue, COLORS.off, 3),
+        [LedState.FOCUSING]: COLORS.blue,
+        [LedState.MINIMIZING]: P(C(2, 2, 3), COLORS.off, 3),
+        [LedState.QUITTING]: P(COLORS.purple, COLORS.off, 6),
+        [LedState.ACTION_READY]: C(0, 1, 1),
+        [LedState.ACTION_RUNNING]: COLORS.cyan,
+        [LedState.PAGE_ACTIVE]: COLORS.white,
+        [LedState.PAGE_AVAILABLE]: COLORS.dimBlue,
+        [LedState.MODIFIER]: COLORS.dimPurple,
+        [LedState.MODIFIER_HELD]: COLORS.purple,
+        [LedState.ALT_READY]: COLORS.cyan,
+        [LedState.SCREENSAVER]: COLORS.dimBlue,
+    }),
+});
+
+/** Friendly state names accepted in per-pad `colors`. */
+const STATE_ALIASES = Object.freeze({
+    unassigned: [LedState.UNASSIGNED],
+    stopped: [LedState.ASSIGNED_STOPPED],
+    background: [LedState.RUNNING_BACKGROUND],
+    focused: [LedState.RUNNING_FOCUSED],
+    running: [LedState.RUNNING_BACKGROUND, LedState.RUNNING_FOCUSED],
+    minimized: [LedState.MINIMIZED],
+    launching: [LedState.LAUNCHING],
+    focusing: [LedState.FOCUSING],
+    minimizing: [LedState.MINIMIZING],
+    quitting: [LedState.QUITTING],
+    error: [LedState.ERROR],
+    ready: [LedState.ACTION_READY],
+    working: [LedState.ACTION_RUNNING],
+    success: [LedState.ACTION_SUCCESS],
+    failed: [LedState.ACTION_FAILED],
+    hold: [LedState.HOLD_START],
+    held: [LedState.HOLD_LONG],
+    heldLong: [LedState.HOLD_VERY_LONG],
+    alt: [LedState.ALT_READY],
+});
+
+let active = THEMES[DEFAULT_THEME];
+let activeName = DEFAULT_THEME;
+
+/** Names accepted for `theme` (for error messages). */
+export const themeNames = () => Object.keys(THEMES);
+
+/**
+ * Select the active theme.
+ * @param {string} [name=DEFAULT_THEME]
+ * @throws {Error} THEME_UNKNOWN if the name is not a known theme.
+ */
+export function setTheme(name = DEFAULT_THEME) {
+    if (!THEMES[name]) throw new Error(`THEME_UNKNOWN: ${name}`);
+    active = THEMES[name];
+    activeName = name;
+}
+
+/** Name of the active theme. */
+export const activeThemeName = () => activeName;
+
+/**
+ * Theme entry for a state: a tuple, a blink pattern, or undefined.
+ * @param {string} state
+ */
+export function themeEntry(state) {
+    return active[state] ?? THEMES[DEFAULT_THEME][state];
+}
+
+/** True for `{ on, off, hz }` blink patterns. */
+export const isPattern = (entry) => entry != null && !Array.isArray(entry) && typeof entry === 'object';
+
+/**
+ * Parse a config color: palette name, `#rrggbb`, or an `[r, g]` / `[r, g, b]`
+ * tuple with integers 0..3. Hex channels are rounded to the nearest level.
+ * @param {unknown} value
+ * @returns {Readonly<number[]>|null} null when invalid.
+ */
+export function parseColor(value) {
+    if (typeof value === 'string') {
+        if (Object.hasOwn(COLORS, value)) return COLORS[value];
+        const hex = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(value);
+        if (!hex) return null;
+        const [r, g, b] = hex.slice(1).map((h) => Math.round(parseInt(h, 16) / 85));
+        return C(r, g, b);
+    }
+    return isColor(value) ? C(value[0], value[1], value[2]) : null;
+}
+
+/**
+ * Expand a per-pad `colors` key into LedState names.
+ * @param {string} key - Alias (`running`) or LedState name (any case).
+ * @returns {string[]|null}
+ */
+export function resolveStateKey(key) {
+    const k = String(key).trim();
+    if (STATE_ALIASES[k.toLowerCase()]) return STATE_ALIASES[k.toLowerCase()];
+    const upper = k.toUpperCase();
+    return Object.hasOwn(LedState, upper) ? [LedState[upper]] : null;
+}
+
+/** Keys accepted in per-pad `colors` (for error messages). */
+export const colorKeyNames = () => Object.keys(STATE_ALIASES);
+
+/** Palette names accepted as colors (for error messages). */
+export const paletteNames = () => Object.keys(COLORS);
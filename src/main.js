@@ -2,10 +2,22 @@
  * Application entry point for the Launchpad Shortcut Deck.
  *
  * Responsibilities
+ * - Load and validate the user config (pad table) before touching the device.
  * - Initialize the MIDI adapter and start a clean LED baseline.
- * - Preflight Hammerspoon so the Lua bridge is callable.
+ * - Preflight Hammerspoon so the Lua bridge is callable (scrolls "HS DOWN" on the grid if not).
  * - Play a short boot animation (non‑blocking to app startup).
- * - Wire controller (gestures → actions) and periodic LED state sync.
+ * - Wire controller (gestures → actions) and periodic LED state sync, drawing
+ *   through one layered LED compositor (sync < action < alert < hold).
+ * - Page through banks of mappings with the top-row buttons (the page name scrolls across the grid).
+ * - Chords (pads pressed together), swipes (slides across a row/column) and modifier pads from the config.
+ * - Switch to context profiles while their app is frontmost.
+ * - Apply the configured LED theme (switchable on reload).
+ * - Rest the deck after idle time (screensaver; the waking press is swallowed)
+ *   and cap LED intensity at night.
+ * - Apply timing overrides from the config and `LP_TIMING_*` env vars.
+ * - Hot-reload the config file: swap the pad table in place, no restart.
+ * - Learn mode (`--learn` or the scene-button chord): bind pads from the device
+ *   and save them to the config file.
  * - Provide a robust, idempotent shutdown path (signals & keypress).
  *
  * Design goals
@@ -19,48 +31,97 @@ import readline from 'node:readline';
 import {getDefaultLaunchpadPorts, LaunchpadJulusian} from './launchpad/adapters/launchpad-julusian.js';
 import {createAppController, setPokeSync} from './app/controller.js';
 import {startStateSync} from './app/state-sync.js';
-import {APP_MAPPINGS} from './config/app-mappings.js';
+import {createPageManager} from './app/page-manager.js';
+import {createProfileSwitcher} from './app/profile-switcher.js';
+import {createLearnMode} from './app/learn-mode.js';
+import {createScreensaver} from './app/screensaver.js';
+import {defaultConfigPath, loadConfig, watchConfig} from './config/user-config.js';
+import {writePadEntry} from './config/config-writer.js';
 import {ensureReady} from './integrations/hammerspoon/index.js';
 import {logger} from './utils/logger.js';
 import {playBootAnimation} from './launchpad/boot-animation.js';
 import {playShutdownAnimation} from './launchpad/shutdown-animations.js';
-import {TIMINGS} from './config/timings.js'; // ← use centralized timings
+import {stopAllAnimations} from './launchpad/led-animator.js';
+import {Layer, LedCompositor} from './launchpad/led-compositor.js';
+import {COLORS} from './launchpad/led-colors.js';
+import {getLayout} from './launchpad/layout.js';
+import {activeThemeName, setTheme} from './launchpad/themes.js';
+import {TIMINGS, applyTimings, describeTimings} from './config/timings.js'; // ← use centralized timings
 
 async function main() {
     logger.info('[BOOT] starting');
 
+    // 0) Load the pad table first: a bad config should fail before the device is touched.
+    const config = await loadConfig();
+    const layout = getLayout(config.model);
+    setTheme(config.theme);
+
+    // Timings must be final before anything reads them (controller, sync, animations).
+    applyTimings(config.timings);
+    const {values: timings, overridden} = describeTimings();
+    logger.info('[CONFIG] effective timings', timings);
+    if (overridden.length) logger.info('[CONFIG] timing overrides', {keys: overridden});
+
     // 1) Preflight Hammerspoon in parallel with MIDI setup.
     //    This saves time because Hammerspoon can finish loading while we open ports.
     const preflight = ensureReady();
 
     // 2) Open Launchpad ports and hard‑clear LEDs for a deterministic baseline.
     const {inIdx, outIdx} = getDefaultLaunchpadPorts();
-    logger.info('[MIDI] opening ports', {inIdx, outIdx});
+    logger.info('[MIDI] opening ports', {inIdx, outIdx, model: config.model});
 
-    const lp = new LaunchpadJulusian({inIdx, outIdx});
+    const lp = new LaunchpadJulusian({inIdx, outIdx, layout, model: config.model});
     if (lp.open) await lp.open();
     if (lp.init) await lp.init();
     await lp.clearAll();
     logger.debug('[MIDI] ports ready & LEDs cleared');
 
-    // 3) Wait until the Hammerspoon Lua API is callable.
-    await preflight;
+    // 3) Wait until the Hammerspoon Lua API is callable; if it is not, say so on the device before failing.
+    try {
+        await preflight;
+    } catch (e) {
+        await lp.showText('HS DOWN', COLORS.red);
+        await lp.shutdown();
+        throw e;
+    }
     logger.info('[HS] preflight OK');
 
     // 4) Startup animation — use the tuned values from TIMINGS.animations.boot.
     try {
-        await playBootAnimation(lp, APP_MAPPINGS, {...TIMINGS.animations.boot});
+        await playBootAnimation(lp, config.pages[0].mappings, {...TIMINGS.animations.boot, layout});
     } catch (e) {
         logger.warn('[BOOT] startup animation skipped', {err: String(e)});
     }
 
-    // 5) Controller and periodic LED sync.
-    const ctl = createAppController({lpPort: lp, appMappings: APP_MAPPINGS});
+    // 5) Controller, pages, profiles and periodic LED sync (only the visible layout is polled).
+    //    From here on every LED goes through the compositor; each writer owns one layer.
+    const leds = new LedCompositor(lp);
+    const ctl = createAppController({lpPort: lp, leds, appMappings: config.pages[0].mappings, layout});
+    ctl.setChords(config.chords);
+    ctl.setSwipes(config.swipes);
+    ctl.setModifiers(config.modifiers);
     const appService = ctl.app;
+    const showText = (text, color) => leds.showText(text, color); // LEDs wait behind the text, then repaint
+    const pager = createPageManager({pages: config.pages, layout, lpPort: leds.port(Layer.SYNC), controller: ctl, showText});
+    const profiles = createProfileSwitcher({profiles: config.profiles, pager});
+    const appMappings = pager.activeMappings();
 
-    // Bulk state sync cadence from TIMINGS.
+    // Bulk state sync cadence from TIMINGS; profile apps are watched for focus changes.
     const intervalMs = TIMINGS.sync.intervalMsDefault;
-    const syncCtl = startStateSync({appService, lpPort: lp, appMappings: APP_MAPPINGS, intervalMs});
+    const syncCtl = startStateSync({
+        appService,
+        lpPort: leds.port(Layer.SYNC),
+        appMappings,
+        intervalMs,
+        watchTargets: profiles.watchTargets(),
+        onFocusChange: profiles.onFocusChange,
+        progress: ctl, // pads showing launch/minimize/close progress end it once the OS state matches
+    });
+    pager.setSync(syncCtl);
+    profiles.setSync(syncCtl);
+
+    // Screensaver and night mode sit on top of the compositor; the press that wakes the deck runs nothing.
+    const saver = createScreensaver({controller: ctl, leds, layout, screensaver: config.screensaver, nightMode: config.nightMode});
 
     if (syncCtl?.poke) setPokeSync(syncCtl.poke);
     logger.info('[SYNC] started', {intervalMs});
@@ -68,7 +129,7 @@ async function main() {
     // Initial nudge so mapped pads settle immediately.
     if (syncCtl?.poke) {
         let count = 0;
-        for (const k of Object.keys(APP_MAPPINGS)) {
+        for (const k of Object.keys(appMappings)) {
             const id = Number(k);
             if (Number.isFinite(id)) {
                 syncCtl.poke(id);
@@ -78,6 +139,56 @@ async function main() {
         logger.debug('[SYNC] initial pokes', {pads: count});
     }
 
+    // 6) Hot-reload: swap tables in place so gesture state and LEDs survive edits.
+    const applyConfig = (next) => {
+        if (next.model !== config.model) {
+            logger.warn('[CONFIG] model change needs a restart, ignoring this reload', {running: config.model, file: next.model});
+            return;
+        }
+        // Pads hold no timing defaults (actions read TIMINGS when they run), so the new tables follow the running values.
+        if (JSON.stringify(next.timings) !== JSON.stringify(config.timings)) {
+            logger.warn('[CONFIG] timings change needs a restart, keeping the running values');
+        }
+        const themeChanged = next.theme !== activeThemeName();
+        if (themeChanged) {
+            setTheme(next.theme);
+            logger.info('[CONFIG] theme changed', {theme: next.theme});
+        }
+        pager.setPages(next.pages);
+        profiles.setProfiles(next.profiles);
+        ctl.setChords(next.chords);
+        ctl.setSwipes(next.swipes);
+        ctl.setModifiers(next.modifiers);
+        saver.setConfig(next.screensaver, next.nightMode);
+        if (themeChanged) syncCtl.repaint();
+    };
+    let configPath = config.path;
+    let watcher = configPath ? watchConfig(configPath, applyConfig) : null;
+
+    // 7) Learn mode: bindings are written to the config file (created on first save) and applied at once.
+    const learn = createLearnMode({
+        controller: ctl,
+        appService,
+        lpPort: leds.port(Layer.ALERT),
+        layout,
+        showText,
+        save: async (padId, entry) => {
+            const file = configPath ?? defaultConfigPath();
+            const profile = pager.activeProfile();
+            const scope = profile ? {profile: profile.name} : {page: pager.activePage().name};
+            const next = await writePadEntry(file, {padId, entry, scope, layout});
+            if (!next) return;
+            if (!configPath) {
+                configPath = file;
+                watcher = watchConfig(file, applyConfig);
+                logger.info('[CONFIG] created', {path: file});
+            }
+            watcher.expect(next); // applied here, not again when the watcher sees the write
+            applyConfig(next);
+        },
+    });
+    if (process.argv.includes('--learn')) learn.enter();
+
     // ────────────────────────── Controlled shutdown ──────────────────────────
     let quitting = false;
 
@@ -93,15 +204,35 @@ async function main() {
         quitting = true;
         logger.warn('[SHUTDOWN] begin', {reason});
 
+        try {
+            watcher?.stop();
+        } catch {
+        }
+        try {
+            learn.stop();
+        } catch {
+        }
+        try {
+            profiles.stop();
+        } catch {
+        }
+        try {
+            saver.stop();
+        } catch {
+        }
         try {
             syncCtl?.stop?.();
         } catch {
         }
 
+        // Pad animations still running (blinks, ramps) stop before the goodbye sweep.
+        stopAllAnimations();
+
         // “Goodbye” sweep using TIMINGS.animations.shutdown.
         try {
-            const mappedPads = Object.keys(APP_MAPPINGS).map(Number).filter(Number.isFinite);
-            await playShutdownAnimation(lp, mappedPads, {...TIMINGS.animations.shutdown});
+            const mappedPads = Object.keys(pager.activeMappings()).map(Number).filter(Number.isFinite);
+            mappedPads.push(...pager.buttonPads());
+            await playShutdownAnimation(lp, mappedPads, {...TIMINGS.animations.shutdown, layout});
         } catch {
         }
 
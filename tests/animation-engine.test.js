@@ -0,0 +1,157 @@
+// Unit tests for the LED animation engine.
+//
+// Time is driven by a fake clock and timer queue passed to the engine, so
+// every case is deterministic and runs instantly.
+// Run with:  pnpm test:animations   (or: node --test tests/)
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {AnimationEngine} from '../src/launchpad/animation-engine.js';
+import {fakeClock} from './fake-clock.js';
+
+const ON = Object.freeze([0, 3]);
+const OFF = Object.freeze([0, 0]);
+
+/** Engine wired to a fake clock; `frames` collects each batch written to the port, `wakes` counts timer starts. */
+function setup() {
+    const {clock, advance, pending} = fakeClock();
+    const frames = [];
+
+    let wakes = 0;
+    const engine = new AnimationEngine({
+        frameMs: 20,
+        ...clock,
+        setTimeout: (fn, ms) => {
+            wakes++;
+            return clock.setTimeout(fn, ms);
+        },
+    });
+    const lp = {
+        setPad: () => assert.fail('a port with setPads gets whole frames'),
+        setPads: (frame) => frames.push([...frame].map(([pad, c]) => `${pad}:${c}`).join(' ')),
+    };
+
+    return {engine, lp, frames, advance, pending, wakes: () => wakes};
+}
+
+test('a blink paints its first frame at once and only writes changes', () => {
+    const {engine, lp, frames, advance} = setup();
+    engine.play(lp, {type: 'blink', pads: [1], on: ON, hz: 5});
+    assert.deepEqual(frames, ['1:0,3']);
+    advance(99);
+    assert.equal(frames.length, 1);
+    advance(1);
+    assert.deepEqual(frames, ['1:0,3', '1:0,0']);
+});
+
+test('the clock only wakes when a frame can change', () => {
+    const {engine, lp, frames, advance, pending, wakes} = setup();
+    engine.play(lp, {type: 'solid', pads: [9], color: ON});
+    assert.deepEqual(frames, ['9:0,3']);
+    assert.equal(pending(), 0); // an open-ended solid has nothing more to paint
+
+    frames.length = 0;
+    engine.play(lp, {type: 'wave', pads: [0, 1], groupOf: (pad) => pad, dim: OFF, bright: ON, periodMs: 1000, staggerMs: 100, durationMs: Infinity});
+    advance(1000);
+    assert.deepEqual(frames, ['0:0,3 1:0,3', '1:0,0', '0:0,0', '1:0,3', '0:0,3']);
+    assert.equal(wakes(), 5); // one per change, not one per 20 ms frame
+});
+
+test('pads of every animation are written in one batch per frame', () => {
+    const {engine, lp, frames, advance} = setup();
+    engine.play(lp, {type: 'blink', pads: [1, 2], on: ON, hz: 5});
+    engine.play(lp, {type: 'blink', pads: [3], on: ON, hz: 5});
+    frames.length = 0;
+    advance(100);
+    assert.deepEqual(frames, ['1:0,0 2:0,0 3:0,0']);
+});
+
+test('finite animations paint their final color, resolve done and stop the clock', async () => {
+    const {engine, lp, frames, advance, pending} = setup();
+    const {done} = engine.play(lp, {type: 'solid', pads: [4], color: ON, durationMs: 100, final: OFF});
+    advance(100);
+    assert.equal(await done, true);
+    assert.deepEqual(frames, ['4:0,3', '4:0,0']);
+    assert.equal(pending(), 0);
+});
+
+test('a new animation on a pad takes it over; the old one ends once it owns no pads', async () => {
+    const {engine, lp, frames, advance} = setup();
+    const first = engine.play(lp, {type: 'blink', pads: [1, 2], on: ON, hz: 5});
+    engine.play(lp, {type: 'solid', pads: [1], color: [3, 0]});
+    assert.ok(engine.isAnimating(2));
+    frames.length = 0;
+    advance(100);
+    assert.deepEqual(frames, ['2:0,0']);
+
+    engine.play(lp, {type: 'solid', pads: [2], color: [3, 0]});
+    assert.equal(await first.done, false);
+});
+
+test('stopping does not repaint and leaves the pad to its caller', async () => {
+    const {engine, lp, frames, advance, pending} = setup();
+    const {stop, done} = engine.play(lp, {type: 'blink', pads: [1], on: ON, hz: 5, final: OFF});
+    stop();
+    advance(500);
+    assert.deepEqual(frames, ['1:0,3']);
+    assert.equal(await done, false);
+    assert.equal(pending(), 0);
+});
+
+test('a ramp waits for its first segment, fades, then holds the last color', () => {
+    const {engine, lp, frames, advance} = setup();
+    engine.play(lp, {type: 'ramp', pads: [7], segments: [{at: 100, until: 300, from: [1, 0], to: [3, 0]}]});
+    assert.deepEqual(frames, []);
+    advance(100);
+    assert.deepEqual(frames, ['7:1,0']);
+    advance(200);
+    assert.deepEqual(frames, ['7:1,0', '7:2,0', '7:3,0']);
+    advance(500);
+    assert.equal(frames.length, 3);
+});
+
+test('a sequence runs its steps back to back', async () => {
+    const {engine, lp, frames, advance} = setup();
+    const {done} = engine.play(lp, {
+        type: 'sequence',
+        steps: [
+            {type: 'solid', pads: [1, 2], color: [1, 1], durationMs: 100},
+            {type: 'solid', pads: [2], color: [3, 3], durationMs: 100},
+        ],
+        final: OFF,
+    });
+    advance(100);
+    advance(100);
+    assert.equal(await done, true);
+    assert.deepEqual(frames, ['1:1,1 2:1,1', '2:3,3', '1:0,0 2:0,0']);
+});
+
+test('a sweep moves a head and trail over the pads in order and leaves them off', () => {
+    const {engine, lp, frames, advance} = setup();
+    engine.play(lp, {type: 'sweep', pads: [1, 2, 3], trail: [[3, 3], [1, 1]], stepMs: 20});
+    for (let i = 0; i < 5; i++) advance(20);
+    assert.deepEqual(frames, [
+        '1:3,3',
+        '1:1,1 2:3,3',
+        '1:0,0 2:1,1 3:3,3',
+        '2:0,0 3:1,1',
+        '3:0,0',
+    ]);
+});
+
+test('unknown animation types are rejected', () => {
+    const {engine, lp} = setup();
+    assert.throws(() => engine.play(lp, {type: 'sparkle', pads: [1]}), /ANIMATION_UNKNOWN: sparkle/);
+});
+
+test('a marquee scrolls its columns in from the right edge and leaves the grid off', async () => {
+    const {engine, lp, frames, advance} = setup();
+    const coordsOf = (pad) => ({row: pad >> 4, col: pad & 15});
+    const {done} = engine.play(lp, {
+        type: 'marquee', pads: [0, 1, 16, 17], columns: [0b01, 0b10], coordsOf, color: ON, stepMs: 50, width: 2,
+    });
+    assert.deepEqual(frames, ['0:0,0 1:0,0 16:0,0 17:0,0']);
+    advance(300);
+    assert.equal(await done, true);
+    assert.deepEqual(frames, ['0:0,0 1:0,0 16:0,0 17:0,0', '1:0,3', '0:0,3 1:0,0 17:0,3', '0:0,0 16:0,3 17:0,0', '16:0,0']);
+});
@@ -0,0 +1,37 @@
+// Unit tests for the device color encoders and config colors.
+//
+// Run with:  pnpm test:animations   (or: node --test tests/)
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {encodeColor, packColor, rgbOf} from '../src/launchpad/color-encoder.js';
+import {COLORS, mixColors} from '../src/launchpad/led-colors.js';
+import {parseColor} from '../src/launchpad/themes.js';
+
+test('the Launchpad S shows blue as the nearest red or green, at the same brightness', () => {
+    assert.equal(encodeColor(COLORS.off), 0);
+    assert.equal(encodeColor(COLORS.amber), 12 + (3 << 4) + 3);
+    assert.equal(encodeColor(COLORS.blue), encodeColor(COLORS.green));
+    assert.equal(encodeColor(COLORS.dimBlue), encodeColor(COLORS.dimGreen));
+    assert.equal(encodeColor(COLORS.purple), encodeColor(COLORS.red));
+    assert.equal(encodeColor(COLORS.white), encodeColor(COLORS.amber));
+});
+
+test('RGB models get each level scaled to the device range', () => {
+    assert.deepEqual(rgbOf(packColor(COLORS.purple), 127), [85, 0, 127]);
+    assert.deepEqual(rgbOf(packColor(COLORS.dimGreen), 63), [0, 21, 0]);
+    assert.equal(packColor(COLORS.off), 0);
+});
+
+test('config colors accept palette names, two or three levels, and #rrggbb', () => {
+    assert.equal(parseColor('cyan'), COLORS.cyan);
+    assert.deepEqual(parseColor([1, 2]), [1, 2]);
+    assert.deepEqual(parseColor([1, 2, 0]), [1, 2]); // no blue stored when it is off
+    assert.deepEqual(parseColor('#8000FF'), [2, 0, 3]);
+    for (const bad of [[1, 2, 3, 0], [4, 0], '#12345', 'mauve']) assert.equal(parseColor(bad), null);
+});
+
+test('fades blend the blue channel too', () => {
+    assert.deepEqual(mixColors(COLORS.off, COLORS.blue, 0.5), [0, 0, 2]);
+    assert.deepEqual(mixColors(COLORS.blue, COLORS.green, 1), [0, 3]);
+});
@@ -0,0 +1,180 @@
+// Unit tests for config validation and normalization.
+//
+// Run with:  pnpm test:config   (or: node --test tests/)
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {normalizeConfig} from '../src/config/config-schema.js';
+import {applyTimings} from '../src/config/timings.js';
+
+const DEFAULTS = {defaults: {mappings: {}}};
+
+/** Issues reported for `raw` (fails when the config is valid). */
+function issuesOf(raw) {
+    try {
+        normalizeConfig(raw, DEFAULTS);
+    } catch (err) {
+        assert.match(err.message, /^CONFIG_INVALID:\n {2}- /);
+        assert.equal(err.message, 'CONFIG_INVALID:\n  - ' + err.issues.join('\n  - '));
+        return err.issues;
+    }
+    assert.fail('expected CONFIG_INVALID');
+}
+
+const PAD_KEY_HINT = '"r<row>c<col>" (row 0..7, col 0..8 where 8 is the scene column), "top<0..7>", or a pad number on this model';
+
+test('valid pads are keyed by device pad ID and filled with their type defaults', () => {
+    const config = normalizeConfig({
+        mappings: {
+            r1c1: {appName: 'Finder', bundleId: 'com.apple.finder'},
+            18: {bundleId: 'com.apple.Safari', longPress: 'quit'},
+            top2: {type: 'url', url: 'https://example.com'},
+        },
+    }, DEFAULTS);
+    assert.equal(config.model, 'launchpad-s');
+    assert.equal(config.theme, 'default');
+    assert.deepEqual(config.pages.map((p) => [p.name, p.button]), [['main', 0]]);
+    assert.deepEqual(config.pages[0].mappings, {
+        17: {type: 'app', appName: 'Finder', bundleId: 'com.apple.finder'},
+        18: {type: 'app', appName: 'com.apple.Safari', bundleId: 'com.apple.Safari', bindings: {longPress: 'quit'}},
+        306: {type: 'url', name: 'https://example.com/', url: 'https://example.com/'},
+    });
+    assert.ok(Object.isFrozen(config.pages[0].mappings[17]));
+});
+
+test('pad keys go through the model layout', () => {
+    const config = normalizeConfig({model: 'launchpad-x', mappings: [{at: {row: 0, col: 0}, bundleId: 'com.a'}]}, DEFAULTS);
+    assert.deepEqual(Object.keys(config.pages[0].mappings), ['81']);
+});
+
+test('the file defaults are used when there are neither mappings nor pages', () => {
+    const config = normalizeConfig({}, {defaults: {mappings: {r0c0: {bundleId: 'com.a'}}}});
+    assert.deepEqual(Object.keys(config.pages[0].mappings), ['0']);
+});
+
+test('every problem is reported at once, naming the pad and field', () => {
+    assert.deepEqual(issuesOf({
+        foo: 1,
+        model: 'launchpad-z',
+        theme: 'pink',
+        mappings: {
+            r9c0: {bundleId: 'com.a'},
+            r0c1: {type: 'ftp'},
+            r0c2: {bundleId: 'com.a', color: 1},
+            r0c3: {bundleId: 'com.a', press: 'explode'},
+        },
+    }), [
+        'config → foo: unknown top-level key',
+        'config → model: unknown model "launchpad-z" (expected one of: launchpad-s, launchpad-mini, launchpad-x, launchpad-mini-mk3, launchpad-pro-mk3, launchpad-mk2)',
+        'config → theme: unknown theme "pink" (expected one of: default, high-contrast, colorblind, night, vivid)',
+        `pad "r9c0": key must be ${PAD_KEY_HINT}`,
+        'pad "r0c1" → type: unknown action type "ftp" (expected one of: app, url, shell, keystroke, lua, macro)',
+        'pad "r0c2" → color: unknown field for type "app" (expected one of: type, appName, bundleId, bundleIds, press, doubleTap, tripleTap, longPress, veryLongPress, tapHold, alt, colors, timings, waitForDouble)',
+        'pad "r0c3" → press: unknown action "explode" (expected one of: focus, launch, minimize, hide, maximize, fullscreen, close, quit, none)',
+    ]);
+});
+
+test('bundle IDs must be non-empty and listed once', () => {
+    assert.deepEqual(issuesOf({
+        mappings: {
+            r0c0: {appName: 'Finder'},
+            r0c1: {bundleId: '  '},
+            r0c2: {bundleIds: ['com.a', 'com.a']},
+            r0c3: {bundleId: 'com.a', bundleIds: ['com.b']},
+            r0c4: {bundleIds: []},
+        },
+    }), [
+        'pad "r0c0" → bundleId: must be a non-empty string',
+        'pad "r0c1" → bundleId: must be a non-empty string',
+        'pad "r0c2" → bundleIds: "com.a" is listed twice',
+        'pad "r0c3": set either bundleId or bundleIds, not both',
+        'pad "r0c4" → bundleIds: must be a list of 1..8 non-empty strings',
+    ]);
+});
+
+test('two keys for the same pad and entries without "at" are rejected', () => {
+    assert.deepEqual(issuesOf({
+        mappings: [
+            {at: {row: 0, col: 0}, bundleId: 'com.a'},
+            {at: 'r0c0', bundleId: 'com.b'},
+            {bundleId: 'com.c'},
+        ],
+    }), [
+        'pad "r0c0": same pad as "r0c0"',
+        'mappings[2]: must be a pad entry with "at" (e.g. { "at": { "row": 0, "col": 0 }, ... })',
+    ]);
+    assert.deepEqual(issuesOf({mappings: [{at: {row: 1}, bundleId: 'com.a'}]}), [
+        `pad "{"row":1}": at must be ${PAD_KEY_HINT}`,
+    ]);
+    assert.deepEqual(issuesOf({modifiers: [{col: 'x'}]}), [`modifiers: "{"col":"x"}" must be ${PAD_KEY_HINT}`]);
+    assert.deepEqual(issuesOf({mappings: 'r0c0'}), [
+        'mappings: must be an object keyed by pad (e.g. "r0c0") or an array of entries with "at"',
+    ]);
+});
+
+test('page names are unique and page buttons cannot be mapped', () => {
+    assert.deepEqual(issuesOf({
+        pages: [
+            {name: 'Apps', mappings: {top1: {bundleId: 'com.a'}}},
+            {name: 'Apps', mappings: {}},
+        ],
+    }), [
+        'page "Apps" → name: duplicate page name',
+        'page "Apps" → pad "top1": reserved for the button of page "Apps"',
+    ]);
+    assert.deepEqual(issuesOf({mappings: {}, pages: [{name: 'A', mappings: {}}]}), [
+        'config → mappings: use either "mappings" or "pages", not both',
+    ]);
+});
+
+test('a bundle ID triggers at most one profile', () => {
+    assert.deepEqual(issuesOf({
+        profiles: [
+            {name: 'Code', bundleId: 'com.a', mappings: {}},
+            {name: 'Docs', bundleIds: ['com.a'], mappings: {}},
+        ],
+    }), ['profile "Docs" → bundleIds: "com.a" already triggers profile "Code"']);
+});
+
+test('pad colors accept palette names and level tuples only', () => {
+    const config = normalizeConfig({mappings: {r0c0: {bundleId: 'com.a', colors: {running: 'amber', stopped: [1, 0]}}}}, DEFAULTS);
+    assert.deepEqual(config.pages[0].mappings[0].colors, {
+        RUNNING_BACKGROUND: [3, 3],
+        RUNNING_FOCUSED: [3, 3],
+        ASSIGNED_STOPPED: [1, 0],
+    });
+    const [issue] = issuesOf({mappings: {r0c0: {bundleId: 'com.a', colors: {sleepy: 'red', running: [4, 0]}}}});
+    assert.match(issue, /^pad "r0c0" → colors → sleepy: unknown state \(expected one of: unassigned, /);
+});
+
+test('a pad that binds veryLongPress keeps it above its own longPressMs', () => {
+    assert.deepEqual(issuesOf({
+        timings: {gesture: {veryLongPressMs: 2500}},
+        mappings: {
+            r0c0: {bundleId: 'com.a', veryLongPress: 'quit', timings: {longPressMs: 3000}},
+            r0c1: {bundleId: 'com.a', alt: {veryLongPress: 'quit'}, timings: {longPressMs: 2500}},
+            r0c2: {bundleId: 'com.a', veryLongPress: 'quit', timings: {longPressMs: 1000, veryLongPressMs: 900}},
+        },
+    }), [
+        'pad "r0c2" → timings: veryLongPressMs (900) must be greater than longPressMs (1000)',
+        'pad "r0c0" → timings: veryLongPressMs (2500) must be greater than longPressMs (3000) on a pad that binds veryLongPress',
+        'pad "r0c1" → timings: veryLongPressMs (2500) must be greater than longPressMs (2500) on a pad that binds veryLongPress',
+    ]);
+    const config = normalizeConfig({
+        mappings: {
+            r0c0: {bundleId: 'com.a', timings: {longPressMs: 3000}},
+            r0c1: {bundleId: 'com.a', veryLongPress: 'quit', timings: {longPressMs: 3000, veryLongPressMs: 4000}},
+        },
+    }, DEFAULTS);
+    assert.deepEqual(Object.keys(config.pages[0].mappings), ['0', '1']);
+});
+
+test('the veryLongPress check does not depend on the timings running in the process', () => {
+    const raw = {mappings: {r0c0: {bundleId: 'com.a', veryLongPress: 'quit', timings: {longPressMs: 3000}}}};
+    const before = issuesOf(raw);
+    applyTimings({gesture: {veryLongPressMs: 5000}}, {env: {}}); // as on a reload after boot
+    assert.deepEqual(issuesOf(raw), before);
+    assert.deepEqual(before, [
+        'pad "r0c0" → timings: veryLongPressMs (2000) must be greater than longPressMs (3000) on a pad that binds veryLongPress',
+    ]);
+});
@@ -0,0 +1,95 @@
+// Unit tests for saving learned pads back to the user config file.
+//
+// Run with:  pnpm test:config   (or: node --test tests/)
+
+import {test, after} from 'node:test';
+import assert from 'node:assert/strict';
+import {mkdtemp, readFile, readdir, rm, writeFile} from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {writePadEntry} from '../src/config/config-writer.js';
+import {APP_MAPPINGS} from '../src/config/app-mappings.js';
+import {getLayout} from '../src/launchpad/layout.js';
+
+const layout = getLayout('launchpad-s');
+const dir = await mkdtemp(path.join(os.tmpdir(), 'lp-config-writer-'));
+after(() => rm(dir, {recursive: true, force: true}));
+
+let seq = 0;
+/** Fresh config file holding `text`. */
+async function configFile(ext, text) {
+    const file = path.join(dir, `config-${++seq}.${ext}`);
+    if (text != null) await writeFile(file, text, 'utf8');
+    return file;
+}
+
+test('JSON: every key of the pad is replaced by one grid key', async () => {
+    const file = await configFile('json', JSON.stringify({
+        mappings: {17: {bundleId: 'com.a'}, r1c1: {bundleId: 'com.b'}, r0c0: {bundleId: 'com.c'}},
+    }));
+    const config = await writePadEntry(file, {padId: 17, entry: {bundleId: 'com.d'}, scope: {page: 'main'}, layout});
+    assert.equal(config.pages[0].mappings[17].bundleId, 'com.d');
+    const text = await readFile(file, 'utf8');
+    assert.equal(text, JSON.stringify({mappings: {r0c0: {bundleId: 'com.c'}, r1c1: {bundleId: 'com.d'}}}, null, 2) + '\n');
+    assert.deepEqual(await readdir(dir).then((f) => f.filter((n) => n.includes('.tmp-'))), []);
+});
+
+test('YAML: comments and flow style survive, array mappings get "at"', async () => {
+    const file = await configFile('yaml', [
+        '# my deck',
+        'mappings:',
+        '  - { at: r0c0, bundleId: com.a } # first',
+        '',
+    ].join('\n'));
+    await writePadEntry(file, {padId: 17, entry: {bundleId: 'com.b', longPress: 'quit'}, scope: {page: 'main'}, layout});
+    assert.equal(await readFile(file, 'utf8'), [
+        '# my deck',
+        'mappings:',
+        '  - { at: r0c0, bundleId: com.a } # first',
+        '  - { at: r1c1, bundleId: com.b, longPress: quit }',
+        '',
+    ].join('\n'));
+
+    const config = await writePadEntry(file, {padId: 0, entry: null, scope: {page: 'main'}, layout});
+    assert.deepEqual(Object.keys(config.pages[0].mappings), ['17']);
+    assert.match(await readFile(file, 'utf8'), /^# my deck\nmappings:\n {2}- \{ at: r1c1,/);
+});
+
+test('the page or profile shown is the one edited', async () => {
+    const file = await configFile('json', JSON.stringify({
+        pages: [{name: 'Apps', mappings: {}}, {name: 'Docs', mappings: {r0c0: {bundleId: 'com.a'}}}],
+        profiles: [{name: 'Code', bundleId: 'com.code', mappings: {}}],
+    }));
+    let config = await writePadEntry(file, {padId: 0, entry: null, scope: {page: 'Docs'}, layout});
+    assert.deepEqual(config.pages[1].mappings, {});
+    config = await writePadEntry(file, {padId: 0, entry: {bundleId: 'com.b'}, scope: {page: 'Apps', profile: 'Code'}, layout});
+    assert.equal(config.profiles[0].mappings[0].bundleId, 'com.b');
+    assert.deepEqual(config.pages[0].mappings, {});
+
+    await assert.rejects(
+        writePadEntry(file, {padId: 0, entry: {bundleId: 'com.b'}, scope: {page: 'Mail'}, layout}),
+        {message: 'CONFIG_WRITE: page "Mail" not found in the file'},
+    );
+    await assert.rejects(
+        writePadEntry(file, {padId: 0, entry: {bundleId: 'com.b'}, scope: {profile: 'Docs'}, layout}),
+        {message: 'CONFIG_WRITE: profile "Docs" not found in the file'},
+    );
+});
+
+test('a new file is seeded with the built-in table', async () => {
+    const file = await configFile('yaml');
+    const config = await writePadEntry(file, {padId: 17, entry: {bundleId: 'com.a'}, scope: {page: 'main'}, layout});
+    assert.equal(config.pages[0].mappings[17].bundleId, 'com.a');
+    assert.ok(Object.keys(config.pages[0].mappings).length >= Object.keys(APP_MAPPINGS).length);
+});
+
+test('nothing is written when nothing changes or the result is invalid', async () => {
+    const text = JSON.stringify({mappings: {r0c0: {bundleId: 'com.a'}}});
+    const file = await configFile('json', text);
+    assert.equal(await writePadEntry(file, {padId: 17, entry: null, scope: {page: 'main'}, layout}), null);
+    await assert.rejects(
+        writePadEntry(file, {padId: 17, entry: {bundleId: 'com.b', press: 'explode'}, scope: {page: 'main'}, layout}),
+        /^Error: CONFIG_INVALID:\n {2}- pad "r1c1" → press: unknown action "explode"/,
+    );
+    assert.equal(await readFile(file, 'utf8'), text);
+});
@@ -0,0 +1,43 @@
+// Fake clock and timer queue shared by the unit tests.
+//
+// `clock` has the `now` / `setTimeout` / `clearTimeout` options the decoder,
+// the swipe layer and the animation engine accept, so time only moves when a
+// test calls `advance`.
+
+/**
+ * @param {number} [start=1000] - Initial clock value (ms).
+ * @returns {{
+ *   clock: { now: () => number, setTimeout: (fn: () => void, ms: number) => number, clearTimeout: (id: number) => void },
+ *   advance: (ms: number) => void,
+ *   pending: () => number,
+ * }}
+ */
+export function fakeClock(start = 1000) {
+    let now = start;
+    let seq = 0;
+    const timers = new Map(); // id → { at, fn }
+
+    const clock = {
+        now: () => now,
+        setTimeout: (fn, ms) => {
+            timers.set(++seq, {at: now + ms, fn});
+            return seq;
+        },
+        clearTimeout: (id) => timers.delete(id),
+    };
+
+    /** Advance the clock, firing due timers in order. */
+    const advance = (ms) => {
+        const end = now + ms;
+        for (;;) {
+            const due = [...timers].filter(([, t]) => t.at <= end).sort((a, b) => a[1].at - b[1].at)[0];
+            if (!due) break;
+            timers.delete(due[0]);
+            now = due[1].at;
+            due[1].fn();
+        }
+        now = end;
+    };
+
+    return {clock, advance, pending: () => timers.size};
+}
@@ -0,0 +1,363 @@
+// Unit tests for the gesture decoder.
+//
+// Time is driven by a fake clock and timer queue passed to the decoder, so
+// every case is deterministic and runs instantly.
+// Run with:  pnpm test:gestures   (or: node --test tests/)
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {GestureDecoder} from '../src/launchpad/gesture-decoder.js';
+import {fakeClock} from './fake-clock.js';
+
+const PAD = 17;
+
+/** Decoder wired to a fake clock; `events` collects emitted gestures. */
+function setup(opts = {}) {
+    const {clock, advance, pending} = fakeClock();
+    const events = [];
+
+    const decoder = new GestureDecoder(
+        (padId, meta) => events.push(`${padId}:taps${meta.taps}${meta.double ? ':double' : ''}`),
+        (padId, kind) => events.push(`${padId}:${kind}`),
+        {
+            doubleTapMs: 400,
+            longPressMs: 800,
+            bounceMs: 30,
+            ...opts,
+            ...clock,
+        },
+    );
+
+    const tap = (holdMs = 60, padId = PAD) => {
+        decoder.onDown(padId);
+        advance(holdMs);
+        decoder.onUp(padId);
+    };
+    const hold = (ms, padId = PAD) => {
+        decoder.onDown(padId);
+        advance(ms);
+        decoder.onUp(padId);
+    };
+
+    return {decoder, events, advance, tap, hold, pending};
+}
+
+test('single tap emits one press on release', () => {
+    const {events, tap, pending} = setup();
+    tap();
+    assert.deepEqual(events, ['17:taps1']);
+    assert.equal(pending(), 0);
+});
+
+test('taps shorter than bounceMs are ignored and leave no hold pending', () => {
+    const {events, tap, advance} = setup();
+    tap(10);
+    advance(2000);
+    assert.deepEqual(events, []);
+});
+
+test('two taps inside the window emit press then doubleTap', () => {
+    const {events, tap, advance} = setup();
+    tap();
+    advance(200);
+    tap();
+    assert.deepEqual(events, ['17:taps1', '17:taps2:double']);
+});
+
+test('taps further apart than doubleTapMs are two singles', () => {
+    const {events, tap, advance} = setup();
+    tap();
+    advance(500);
+    tap();
+    assert.deepEqual(events, ['17:taps1', '17:taps1']);
+});
+
+test('a third tap repeats doubleTap unless the pad enables triple taps', () => {
+    const {decoder, events, tap, advance} = setup();
+    for (let i = 0; i < 3; i++) {
+        tap();
+        advance(100);
+    }
+    assert.deepEqual(events.at(-1), '17:taps2:double');
+
+    events.length = 0;
+    advance(1000);
+    decoder.setPadOptions(PAD, {maxTaps: 3});
+    for (let i = 0; i < 4; i++) {
+        tap();
+        advance(100);
+    }
+    assert.deepEqual(events, ['17:taps1', '17:taps2:double', '17:taps3', '17:taps3']);
+});
+
+test('holding past longPressMs emits longPress while held and swallows the release', () => {
+    const {decoder, events, advance} = setup();
+    decoder.onDown(PAD);
+    advance(799);
+    assert.deepEqual(events, []);
+    advance(1);
+    assert.deepEqual(events, ['17:longPress']);
+    decoder.onUp(PAD);
+    assert.deepEqual(events, ['17:longPress']);
+});
+
+test('very long tier: long press on release below it, veryLongPress once reached', () => {
+    const {decoder, events, hold, advance} = setup({veryLongPressMs: 2000});
+    hold(1200);
+    assert.deepEqual(events, ['17:longPress']);
+
+    events.length = 0;
+    advance(1000);
+    decoder.onDown(PAD);
+    advance(2000);
+    assert.deepEqual(events, ['17:veryLongPress']);
+    decoder.onUp(PAD);
+    assert.deepEqual(events, ['17:veryLongPress']);
+});
+
+test('per-pad options override the defaults for that pad only', () => {
+    const {decoder, events, hold, advance} = setup();
+    decoder.setPadOptions(PAD, {longPressMs: 1500, veryLongPressMs: 3000});
+    hold(1000);
+    hold(1000, 5);
+    assert.deepEqual(events, ['17:taps1', '5:longPress']);
+
+    events.length = 0;
+    advance(1000);
+    decoder.setPadOptions(PAD, null);
+    hold(1000);
+    assert.deepEqual(events, ['17:longPress']);
+});
+
+test('tap then hold emits only tapHold instead of longPress when enabled', () => {
+    const {decoder, events, tap, advance} = setup({tapHold: true});
+    tap();
+    advance(150);
+    decoder.onDown(PAD);
+    advance(800);
+    decoder.onUp(PAD);
+    advance(1000);
+    assert.deepEqual(events, ['17:tapHold']);
+
+    // A hold that does not follow a tap is a plain long press.
+    events.length = 0;
+    advance(1000);
+    decoder.onDown(PAD);
+    advance(800);
+    decoder.onUp(PAD);
+    assert.deepEqual(events, ['17:longPress']);
+});
+
+test('tapHold without waitForDouble: a lone tap or a double waits for the window only when needed', () => {
+    const {events, tap, advance, pending} = setup({tapHold: true});
+    tap();
+    assert.deepEqual(events, []);
+    advance(400);
+    assert.deepEqual(events, ['17:taps1']);
+    assert.equal(pending(), 0);
+
+    events.length = 0;
+    advance(1000);
+    tap();
+    advance(100);
+    tap();
+    assert.deepEqual(events, ['17:taps2:double']);
+});
+
+test('tap then hold is a long press when tapHold is off', () => {
+    const {decoder, events, tap, advance} = setup();
+    tap();
+    advance(150);
+    decoder.onDown(PAD);
+    advance(800);
+    assert.deepEqual(events, ['17:taps1', '17:longPress']);
+});
+
+test('a hold ends the tap chain', () => {
+    const {events, tap, hold, advance} = setup();
+    hold(900);
+    advance(50);
+    tap();
+    assert.deepEqual(events, ['17:longPress', '17:taps1']);
+});
+
+test('cooldown drops taps that follow an emit too closely', () => {
+    const {events, tap, advance} = setup({cooldownMs: 300});
+    tap();
+    advance(100);
+    tap();
+    advance(400);
+    tap();
+    assert.deepEqual(events, ['17:taps1', '17:taps1']);
+});
+
+test('cancelPad and reset drop pending holds', () => {
+    const {decoder, events, advance, pending} = setup({veryLongPressMs: 2000});
+    decoder.onDown(PAD);
+    decoder.cancelPad(PAD);
+    advance(3000);
+    decoder.onUp(PAD);
+    assert.deepEqual(events, []);
+
+    decoder.onDown(PAD);
+    decoder.onDown(5);
+    decoder.reset();
+    assert.equal(pending(), 0);
+    advance(3000);
+    assert.deepEqual(events, []);
+});
+
+test('emitted metaobjects are shared, not allocated per event', () => {
+    const metas = [];
+    const decoder = new GestureDecoder((_, meta) => metas.push(meta), null, {
+        bounceMs: 0,
+        now: () => 0,
+        setTimeout: () => 1,
+        clearTimeout: () => {},
+    });
+    decoder.onDown(1);
+    decoder.onUp(1);
+    decoder.onDown(2);
+    decoder.onUp(2);
+    assert.equal(metas[0], metas[1]);
+    assert.ok(Object.isFrozen(metas[0]));
+});
+
+test('pads pressed together within the window emit the chord and nothing else', () => {
+    const {decoder, events, advance} = setup();
+    const chord = {pads: [PAD, 5]};
+    decoder.onChord = (c) => events.push(`chord:${c.pads.join('+')}`);
+    decoder.setChords([chord]);
+
+    decoder.onDown(PAD);
+    advance(100);
+    decoder.onDown(5);
+    assert.deepEqual(events, ['chord:17+5']);
+    advance(2000);
+    decoder.onUp(PAD);
+    decoder.onUp(5);
+    assert.deepEqual(events, ['chord:17+5']);
+
+    // The chord does not leave a tap chain behind.
+    advance(100);
+    decoder.onDown(PAD);
+    advance(60);
+    decoder.onUp(PAD);
+    assert.deepEqual(events.at(-1), '17:taps1');
+});
+
+test('pads pressed further apart than the chord window decode on their own', () => {
+    const {decoder, events, advance} = setup({chordWindowMs: 100});
+    decoder.onChord = () => events.push('chord');
+    decoder.setChords([{pads: [PAD, 5]}]);
+
+    decoder.onDown(PAD);
+    advance(150);
+    decoder.onDown(5);
+    advance(60);
+    decoder.onUp(5);
+    decoder.onUp(PAD);
+    assert.deepEqual(events, ['5:taps1', '17:taps1']);
+
+    // A pad released before the other goes down is a tap, not a chord.
+    advance(1000);
+    decoder.onDown(PAD);
+    advance(50);
+    decoder.onUp(PAD);
+    decoder.onDown(5);
+    assert.deepEqual(events.slice(2), ['17:taps1']);
+});
+
+test('the first registered chord wins when several complete', () => {
+    const {decoder, events, advance} = setup();
+    decoder.onChord = (c) => events.push(c.name);
+    decoder.setChords([{name: 'ab', pads: [1, 2]}, {name: 'abc', pads: [1, 2, 3]}, {name: 'cd', pads: [3, 4]}]);
+    decoder.onDown(3);
+    decoder.onDown(1);
+    advance(20);
+    decoder.onDown(2);
+    assert.deepEqual(events, ['ab']);
+    decoder.onDown(4); // pad 3 is still free to join another chord
+    assert.deepEqual(events, ['ab', 'cd']);
+});
+
+test('waitForDouble holds a single tap until the window closes', () => {
+    const {events, tap, advance} = setup({waitForDouble: true});
+    tap();
+    assert.deepEqual(events, []);
+    advance(399);
+    assert.deepEqual(events, []);
+    advance(1);
+    assert.deepEqual(events, ['17:taps1']);
+});
+
+test('waitForDouble emits only the double for a double tap', () => {
+    const {events, tap, advance, pending} = setup({waitForDouble: true});
+    tap();
+    advance(200);
+    tap();
+    assert.deepEqual(events, ['17:taps2:double']);
+    advance(1000);
+    assert.deepEqual(events, ['17:taps2:double']);
+    assert.equal(pending(), 0);
+});
+
+test('waitForDouble with triple taps waits again after the double', () => {
+    const {decoder, events, tap, advance} = setup();
+    decoder.setPadOptions(PAD, {waitForDouble: true, maxTaps: 3});
+    tap();
+    advance(100);
+    tap();
+    assert.deepEqual(events, []);
+    advance(400);
+    assert.deepEqual(events, ['17:taps2:double']);
+
+    events.length = 0;
+    advance(1000);
+    for (let i = 0; i < 3; i++) {
+        tap();
+        advance(100);
+    }
+    assert.deepEqual(events, ['17:taps3']);
+});
+
+test('waitForDouble: a held-back tap is emitted before a following long press', () => {
+    const {decoder, events, tap, advance} = setup({waitForDouble: true});
+    tap();
+    advance(150);
+    decoder.onDown(PAD);
+    advance(800);
+    assert.deepEqual(events, ['17:taps1', '17:longPress']);
+});
+
+test('waitForDouble: a tap-hold absorbs the tap before it', () => {
+    const {decoder, events, tap, advance} = setup({waitForDouble: true, tapHold: true});
+    tap();
+    advance(150);
+    decoder.onDown(PAD);
+    advance(800);
+    decoder.onUp(PAD);
+    advance(1000);
+    assert.deepEqual(events, ['17:tapHold']);
+});
+
+test('waitForDouble: a slow second press ends the chain and flushes the first tap', () => {
+    const {decoder, events, tap, advance} = setup({waitForDouble: true});
+    tap();
+    advance(100);
+    decoder.onDown(PAD);
+    advance(500); // released after the window
+    decoder.onUp(PAD);
+    assert.deepEqual(events, ['17:taps1']);
+    advance(400);
+    assert.deepEqual(events, ['17:taps1', '17:taps1']);
+});
+
+test('waitForDouble: cancelPad drops a held-back tap', () => {
+    const {decoder, events, tap, advance, pending} = setup({waitForDouble: true});
+    tap();
+    decoder.cancelPad(PAD);
+    assert.equal(pending(), 0);
+    advance(1000);
+    assert.deepEqual(events, []);
+});
@@ -0,0 +1,150 @@
+// Unit tests for the LED output of the MIDI adapter.
+//
+// The adapter is given fake MIDI ports; the output records each message sent.
+// Run with:  pnpm test:animations   (or: node --test tests/)
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {LaunchpadJulusian} from '../src/launchpad/adapters/launchpad-julusian.js';
+import {CONTROL_BASE, TOP_ROW, getLayout} from '../src/launchpad/layout.js';
+
+const GREEN = Object.freeze([0, 3]); // velocity 60 on the S, 48 inside a buffered frame
+const RED = Object.freeze([3, 0]); // velocity 15, 3 inside a buffered frame
+const AMBER = Object.freeze([3, 3]); // velocity 63, 51 inside a buffered frame
+
+const CC = 0xB0;
+const NOTE_ON = 0x90;
+const RAPID = 0x92;
+
+/** Adapter over fake ports; `sent` collects the messages written after construction. */
+function setup(model = 'launchpad-s') {
+    const sent = [];
+    const output = {
+        failAt: null, // index in `sent` at which sendMessage throws once
+        sendMessage(msg) {
+            if (sent.length === output.failAt) {
+                output.failAt = null;
+                throw new Error('port gone');
+            }
+            sent.push(msg);
+        },
+        closePort() {
+        },
+    };
+    const input = {
+        ignoreTypes() {
+        },
+        on(_event, handler) {
+            input.receive = (msg) => handler(0, msg);
+        },
+        removeListener() {
+        },
+        closePort() {
+        },
+    };
+    const lp = new LaunchpadJulusian({input, output, layout: getLayout(model), model, logPressedNotes: false});
+    sent.length = 0; // X-Y layout init
+    return {lp, input, output, sent};
+}
+
+const frame = (pads, color) => new Map(pads.map((padId) => [padId, color]));
+
+test('a frame is drawn into the hidden buffer and flipped on screen', () => {
+    const {lp, sent} = setup();
+    lp.setPads(frame([0, 119], GREEN));
+    lp.setPads(frame([0, 119], RED));
+    assert.deepEqual(sent, [
+        [CC, 0, 0x34], // show 0, write 1, copy 0 → 1
+        [NOTE_ON, 0, 48],
+        [NOTE_ON, 119, 48],
+        [CC, 0, 0x25], // show 1, write 1
+        [CC, 0, 0x31], // show 1, write 0, copy 1 → 0
+        [NOTE_ON, 0, 3],
+        [NOTE_ON, 119, 3],
+        [CC, 0, 0x20], // show 0, write 0
+    ]);
+});
+
+test('rapid updates are used only when they take fewer messages', () => {
+    const {lp, sent} = setup();
+    lp.setPads(frame([0, 1, 2, 3], GREEN)); // slots 0..3 in 2 messages instead of 4
+    assert.deepEqual(sent.slice(1, -1), [
+        [RAPID, 48, 48],
+        [RAPID, 48, 48],
+    ]);
+    sent.length = 0;
+    lp.setPads(frame([2, 3, 4], RED)); // slots 0..4 take 3 messages, as many as NOTE ONs
+    assert.deepEqual(sent.slice(1, -1), [
+        [NOTE_ON, 2, 3],
+        [NOTE_ON, 3, 3],
+        [NOTE_ON, 4, 3],
+    ]);
+    sent.length = 0;
+    lp.setPads(frame([0, 1], RED)); // slots 0..1 in one rapid message
+    assert.deepEqual(sent.slice(1, -1), [[RAPID, 3, 3]]);
+    sent.length = 0;
+    lp.setPads(frame([0, 5], AMBER)); // slots 0..5 would take 3 messages for 2 pads
+    assert.deepEqual(sent.slice(1, -1), [
+        [NOTE_ON, 0, 51],
+        [NOTE_ON, 5, 51],
+    ]);
+    sent.length = 0;
+    lp.setPads(frame([0], GREEN)); // one pad: a plain NOTE ON into both buffers, no flip
+    assert.deepEqual(sent, [[NOTE_ON, 0, 60]]);
+});
+
+test('writes inside a buffered frame leave the Copy and Clear flags off', () => {
+    const {lp, sent} = setup();
+    const colors = [[0, 1], [1, 0], [2, 3], [3, 3], [0, 0, 3], [1, 1]];
+    lp.setPads(new Map(colors.map((color, padId) => [padId, color]))); // rapid update
+    lp.setPads(new Map([[0, RED], [119, GREEN], [304, AMBER]])); // NOTE ON and CC
+    const writes = sent.filter(([status, data1]) => !(status === CC && data1 === 0));
+    assert.equal(writes.length, 6);
+    for (const [status, data1, data2] of writes) {
+        const velocities = status === RAPID ? [data1, data2] : [data2];
+        for (const v of velocities) assert.equal(v & 0x0C, 0, `velocity ${v} in [${status}, ${data1}, ${data2}]`);
+    }
+});
+
+test('a failed frame leaves the pads on screen as they were', () => {
+    const {lp, output, sent} = setup();
+    lp.setPads(frame([0, 1, 2, 3], GREEN));
+    output.failAt = sent.length + 2; // after the buffer select and one rapid message
+    lp.setPads(frame([0, 1, 2, 3], RED));
+    sent.length = 0;
+
+    // Slots 0 and 1 are rewritten from the cache: still green, not blanked.
+    lp.setPads(frame([2, 3, 4, 5, 6, 7], AMBER));
+    assert.deepEqual(sent, [
+        [CC, 0, 0x31], // the failed frame was never flipped: buffer 1 is still shown
+        [RAPID, 48, 48],
+        [RAPID, 51, 51],
+        [RAPID, 51, 51],
+        [RAPID, 51, 51],
+        [CC, 0, 0x20],
+    ]);
+});
+
+test('RGB models get the changed pads in one SysEx message', () => {
+    const {lp, sent} = setup('launchpad-x');
+    const top = getLayout('launchpad-x').padAt(TOP_ROW, 0);
+    lp.setPads(new Map([[81, GREEN], [82, [0, 0, 3]], [top, RED]]));
+    lp.setPads(new Map([[81, GREEN]]));
+    assert.deepEqual(sent, [[
+        0xF0, 0x00, 0x20, 0x29, 0x02, 0x0C, 0x03,
+        0x03, 81, 0, 127, 0,
+        0x03, 82, 0, 0, 127,
+        0x03, top - CONTROL_BASE, 127, 0, 0,
+        0xF7,
+    ]]);
+});
+
+test('scrolling text sends the colour levels only and resets the grid when done', async () => {
+    const {lp, input, sent} = setup();
+    const done = lp.showText('Hi', AMBER, 9);
+    assert.deepEqual(sent[0].slice(0, 7), [0xF0, 0x00, 0x20, 0x29, 0x09, 51, 7]); // 3 * 16 + 3, speed capped at 7
+    assert.equal(sent[0].at(-1), 0xF7);
+    input.receive([CC, 0, 0x03]);
+    assert.equal(await done, true);
+    assert.deepEqual(sent.slice(1), [[CC, 0, 0x00], [CC, 0, 0x01]]);
+});
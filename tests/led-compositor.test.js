@@ -0,0 +1,93 @@
+// Unit tests for the layered LED compositor.
+//
+// The device is a fake port that records each batch it receives.
+// Run with:  pnpm test:animations   (or: node --test tests/)
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {Layer, LedCompositor} from '../src/launchpad/led-compositor.js';
+
+const GREEN = Object.freeze([0, 3]);
+const RED = Object.freeze([3, 0]);
+const AMBER = Object.freeze([3, 3]);
+
+/** Compositor over a fake port; `frames` collects each batch written to it. */
+function setup() {
+    const frames = [];
+    const texts = []; // resolve functions of texts still scrolling
+    const lp = {
+        setPad: () => assert.fail('a port with setPads gets whole frames'),
+        setPads: (frame) => frames.push([...frame].map(([pad, c]) => `${pad}:${c}`).join(' ')),
+        showText: () => new Promise((resolve) => texts.push(resolve)),
+    };
+    return {leds: new LedCompositor(lp), frames, texts};
+}
+
+test('the topmost layer wins and clearing it uncovers the one below', () => {
+    const {leds, frames} = setup();
+    leds.set(Layer.SYNC, 1, GREEN);
+    leds.set(Layer.ACTION, 1, RED);
+    leds.set(Layer.SYNC, 1, AMBER); // covered: nothing to write
+    assert.deepEqual(frames, ['1:0,3', '1:3,0']);
+    leds.clear(Layer.ACTION, 1);
+    assert.deepEqual(frames, ['1:0,3', '1:3,0', '1:3,3']);
+    assert.deepEqual(leds.top(1), AMBER);
+});
+
+test('a pad no layer covers any more is turned off', () => {
+    const {leds, frames} = setup();
+    leds.set(Layer.HOLD, 2, RED);
+    leds.clear(Layer.HOLD, 2);
+    leds.clear(Layer.HOLD, 2);
+    assert.deepEqual(frames, ['2:3,0', '2:0,0']);
+    assert.equal(leds.top(2), null);
+});
+
+test('a layer port batches its frame and only writes pads whose top changed', () => {
+    const {leds, frames} = setup();
+    leds.set(Layer.ALERT, 3, AMBER);
+    const sync = leds.port(Layer.SYNC);
+    assert.equal(leds.port(Layer.SYNC), sync);
+    sync.setPads(new Map([[3, GREEN], [4, GREEN], [5, RED]]));
+    assert.deepEqual(frames, ['3:3,3', '4:0,3 5:3,0']);
+    sync.clearPad(4);
+    assert.ok(!leds.has(Layer.SYNC, 4));
+    assert.deepEqual(frames.at(-1), '4:0,0');
+});
+
+test('a port without setPads gets one write per pad', () => {
+    const writes = [];
+    const leds = new LedCompositor({setPad: (pad, c) => writes.push(`${pad}:${c}`)});
+    leds.port(Layer.ACTION).setPads(new Map([[1, GREEN], [2, RED]]));
+    assert.deepEqual(writes, ['1:0,3', '2:3,0']);
+});
+
+test('writes wait while text scrolls, then every pad is written again from its layers', async () => {
+    const {leds, frames, texts} = setup();
+    leds.set(Layer.SYNC, 1, GREEN);
+    leds.set(Layer.SYNC, 2, RED);
+    const first = leds.showText('HI');
+    leds.set(Layer.ACTION, 1, AMBER);
+    const second = leds.showText('THERE');
+    leds.clear(Layer.SYNC, 2);
+    texts[0](false);
+    assert.equal(await first, false);
+    assert.equal(frames.length, 2); // the newer text still holds the device
+    texts[1](true);
+    assert.equal(await second, true);
+    assert.deepEqual(frames, ['1:0,3', '2:3,0', '1:3,3 2:0,0']);
+});
+
+test('a max level caps what the device shows, and clearing a layer uncovers every pad it held', () => {
+    const {leds, frames} = setup();
+    leds.set(Layer.SYNC, 1, AMBER);
+    leds.set(Layer.SCREENSAVER, 1, GREEN);
+    leds.set(Layer.SCREENSAVER, 2, RED);
+    leds.setMaxLevel(1);
+    assert.deepEqual(frames.slice(3), ['1:0,1 2:1,0']);
+    assert.deepEqual(leds.top(1), GREEN); // layers keep their colors
+    leds.clearLayer(Layer.SCREENSAVER);
+    assert.deepEqual(frames.at(-1), '1:1,1 2:0,0');
+    leds.setMaxLevel(3);
+    assert.deepEqual(frames.at(-1), '1:3,3');
+});
@@ -0,0 +1,27 @@
+// Unit tests for the pad-table diff used by config hot-reload.
+//
+// Run with:  pnpm test:config   (or: node --test tests/)
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {diffMappings, samePad} from '../src/config/mapping-diff.js';
+
+const FINDER = Object.freeze({type: 'app', appName: 'Finder', bundleId: 'com.apple.finder'});
+
+test('pads are compared by content, not identity', () => {
+    assert.ok(samePad(FINDER, {...FINDER}));
+    assert.ok(!samePad(FINDER, {...FINDER, bindings: {press: 'quit'}}));
+    assert.ok(!samePad(FINDER, undefined));
+    assert.ok(samePad(undefined, undefined));
+});
+
+test('added, removed and changed pads come back as sorted pad IDs', () => {
+    const prev = {0: FINDER, 17: FINDER, 5: FINDER, 304: FINDER};
+    const next = {0: FINDER, 17: {...FINDER, appName: 'Files'}, 33: FINDER, 2: FINDER, 304: {...FINDER}};
+    assert.deepEqual(diffMappings(prev, next), {added: [2, 33], removed: [5], changed: [17]});
+});
+
+test('missing tables count as empty', () => {
+    assert.deepEqual(diffMappings(undefined, {1: FINDER}), {added: [1], removed: [], changed: []});
+    assert.deepEqual(diffMappings({1: FINDER}), {added: [], removed: [1], changed: []});
+});
@@ -0,0 +1,128 @@
+// Unit tests for the swipe layer, wired to a real GestureDecoder.
+//
+// Time is driven by a fake clock and timer queue shared by both, so every case
+// is deterministic and runs instantly.
+// Run with:  pnpm test:gestures   (or: node --test tests/)
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {GestureDecoder} from '../src/launchpad/gesture-decoder.js';
+import {SwipeDetector} from '../src/launchpad/swipe-detector.js';
+import {getLayout} from '../src/launchpad/layout.js';
+import {fakeClock} from './fake-clock.js';
+
+const layout = getLayout('launchpad-s');
+const pad = (row, col) => layout.padAt(row, col);
+
+/** Swipe layer in front of a decoder; `events` collects everything emitted. */
+function setup(swipes, opts = {}) {
+    const {clock, advance} = fakeClock();
+    const events = [];
+
+    const decoder = new GestureDecoder(
+        (padId, meta) => events.push(`${padId}:taps${meta.taps}`),
+        (padId, kind) => events.push(`${padId}:${kind}`),
+        {doubleTapMs: 400, longPressMs: 800, bounceMs: 30, ...clock},
+    );
+    const detector = new SwipeDetector(layout, {
+        stepMs: 100,
+        minPads: 3,
+        ...opts,
+        ...clock,
+        onDown: (padId, at) => decoder.onDown(padId, at),
+        onUp: (padId, at) => decoder.onUp(padId, at),
+        onSwipe: (s) => events.push(`swipe:${s.direction}:${s.row ?? ''}:${s.col ?? ''}:${s.pads.length}`),
+    });
+    detector.setSwipes(swipes);
+
+    /** Slide over `pads`: each goes down `stepMs` after the previous and is held `holdMs`. */
+    const slide = (pads, stepMs = 50, holdMs = 70) => {
+        const ups = [];
+        for (const [i, p] of pads.entries()) {
+            if (i) advance(stepMs);
+            for (let j = ups.length - 1; j >= 0; j--) {
+                if (ups[j].at <= i * stepMs) {
+                    detector.up(ups[j].pad);
+                    ups.splice(j, 1);
+                }
+            }
+            detector.down(p);
+            ups.push({pad: p, at: i * stepMs + holdMs});
+        }
+        advance(holdMs);
+        for (const u of ups) detector.up(u.pad);
+    };
+
+    const tap = (p, holdMs = 60) => {
+        detector.down(p);
+        advance(holdMs);
+        detector.up(p);
+    };
+
+    return {detector, events, advance, slide, tap};
+}
+
+test('a slide across three pads of a row is a swipe, with no taps', () => {
+    const {events, slide, advance} = setup([{direction: 'right', row: 2}]);
+    slide([pad(2, 1), pad(2, 2), pad(2, 3)]);
+    advance(1000);
+    assert.deepEqual(events, ['swipe:right:2::3']);
+});
+
+test('a longer slide fires once and swallows every pad', () => {
+    const {events, slide, advance} = setup([{direction: 'down'}]);
+    slide([pad(0, 4), pad(1, 4), pad(2, 4), pad(3, 4), pad(4, 4)]);
+    advance(1000);
+    assert.deepEqual(events, ['swipe:down::4:3']);
+});
+
+test('taps on a swipe line still decode, with their original timing', () => {
+    const {events, tap, advance} = setup([{direction: 'right', row: 2}]);
+    tap(pad(2, 1));
+    advance(150);
+    tap(pad(2, 1));
+    advance(1000);
+    const id = pad(2, 1);
+    assert.deepEqual(events, [`${id}:taps1`, `${id}:taps2`]);
+});
+
+test('a long press on a swipe line still fires on time', () => {
+    const {detector, events, advance} = setup([{direction: 'right', row: 2}]);
+    detector.down(pad(2, 1));
+    advance(799);
+    assert.deepEqual(events, []);
+    advance(1);
+    assert.deepEqual(events, [`${pad(2, 1)}:longPress`]);
+});
+
+test('two adjacent pads are replayed as taps when no third pad follows', () => {
+    const {events, slide, advance} = setup([{direction: 'right', row: 2}]);
+    slide([pad(2, 1), pad(2, 2)]);
+    advance(1000);
+    assert.deepEqual(events, [`${pad(2, 1)}:taps1`, `${pad(2, 2)}:taps1`]);
+});
+
+test('slides that are too slow, bend, or run the wrong way are not swipes', () => {
+    const {events, slide, advance} = setup([{direction: 'right', row: 2}]);
+    slide([pad(2, 1), pad(2, 2), pad(2, 3)], 150);
+    advance(1000);
+    slide([pad(2, 1), pad(2, 2), pad(3, 2)]);
+    advance(1000);
+    slide([pad(2, 3), pad(2, 2), pad(2, 1)]);
+    advance(1000);
+    assert.ok(!events.some((e) => e.startsWith('swipe')), events.join(' '));
+    assert.equal(events.length, 9);
+});
+
+test('pads off the configured lines pass straight through', () => {
+    const {events, tap} = setup([{direction: 'right', row: 2}]);
+    tap(pad(5, 5));
+    assert.deepEqual(events, [`${pad(5, 5)}:taps1`]);
+});
+
+test('top-row swipes use the top row buttons', () => {
+    const {events, slide, advance} = setup([{direction: 'right', row: -1}]);
+    slide([pad(-1, 0), pad(-1, 1), pad(-1, 2)]);
+    advance(1000);
+    assert.deepEqual(events, ['swipe:right:-1::3']);
+});
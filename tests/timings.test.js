@@ -0,0 +1,100 @@
+// Unit tests for timing overrides: the config `timings` block, per-pad
+// gesture timings, `LP_TIMING_*` env vars, and the defaults actions read.
+//
+// applyTimings() can succeed once per process (TIMINGS is frozen afterwards),
+// so the cases that need it share one call in the last test.
+// Run with:  pnpm test:config   (or: node --test tests/)
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {DEFAULT_TIMINGS, TIMINGS, applyTimings, describeTimings, normalizePadTimings, normalizeTimings} from '../src/config/timings.js';
+import {normalizeConfig} from '../src/config/config-schema.js';
+import {getActionType} from '../src/app/actions/index.js';
+
+/** Issues reported by `fn(issues)`, with its return value. */
+function collect(fn) {
+    const issues = [];
+    const value = fn(issues);
+    return {value, issues};
+}
+
+test('config timings are range-checked, cross-checked and frozen', () => {
+    const ok = collect((issues) => normalizeTimings({gesture: {doubleTapMs: 400}, animations: {boot: {useAllPads: false}}}, issues));
+    assert.deepEqual(ok.issues, []);
+    assert.deepEqual(ok.value, {gesture: {doubleTapMs: 400}, animations: {boot: {useAllPads: false}}});
+    assert.ok(Object.isFrozen(ok.value.gesture));
+
+    assert.deepEqual(collect((issues) => normalizeTimings({
+        gesture: {doubleTapMs: -1, tapMs: 5},
+        sync: 3,
+        animations: {boot: {useAllPads: 'yes'}},
+    }, issues)).issues, [
+        'config → timings → gesture → doubleTapMs: must be an integer 0..600000 ms',
+        'config → timings → gesture → tapMs: unknown key (expected one of: doubleTapMs, longPressMs, veryLongPressMs, bounceMs, cooldownMs, chordWindowMs, swipeStepMs, swipeMinPads)',
+        'config → timings → sync: must be an object',
+        'config → timings → animations → boot → useAllPads: must be true or false',
+    ]);
+
+    const bad = collect((issues) => normalizeTimings({gesture: {longPressMs: 400}}, issues));
+    assert.equal(bad.value, null);
+    assert.deepEqual(bad.issues, ['config → timings: gesture.longPressMs (400) must be greater than gesture.doubleTapMs (480)']);
+});
+
+test('pad timings take gesture thresholds only, checked against the defaults', () => {
+    const where = 'pad "r0c0" → timings';
+    assert.deepEqual(collect((issues) => normalizePadTimings({longPressMs: 1000}, issues, where)), {value: {longPressMs: 1000}, issues: []});
+    // Without its own veryLongPressMs a pad may raise longPressMs past the global one.
+    assert.deepEqual(collect((issues) => normalizePadTimings({longPressMs: 3000}, issues, where)).issues, []);
+    assert.deepEqual(collect((issues) => normalizePadTimings({bounceMs: 10, doubleTapMs: 900}, issues, where)).issues, [
+        'pad "r0c0" → timings → bounceMs: unknown key (expected one of: doubleTapMs, longPressMs, veryLongPressMs)',
+    ]);
+    assert.deepEqual(collect((issues) => normalizePadTimings({doubleTapMs: 900}, issues, where)).issues, [
+        'pad "r0c0" → timings: longPressMs (800) must be greater than doubleTapMs (900)',
+    ]);
+    assert.deepEqual(collect((issues) => normalizePadTimings({veryLongPressMs: 700}, issues, where)).issues, [
+        'pad "r0c0" → timings: veryLongPressMs (700) must be greater than longPressMs (800)',
+    ]);
+});
+
+test('bad env overrides and inconsistent results are rejected without touching TIMINGS', () => {
+    assert.throws(() => applyTimings(null, {env: {LP_TIMING_GESTURE_TAP_MS: '1', LP_TIMING_SYNC_INTERVAL_MS_DEFAULT: 'fast'}}), (err) => {
+        assert.deepEqual(err.issues, [
+            'env LP_TIMING_GESTURE_TAP_MS: unknown timing',
+            'env LP_TIMING_SYNC_INTERVAL_MS_DEFAULT: must be an integer 10..600000 ms',
+        ]);
+        return err.message.startsWith('TIMINGS_INVALID:');
+    });
+    assert.throws(() => applyTimings({gesture: {doubleTapMs: 700}}, {env: {LP_TIMING_GESTURE_LONG_PRESS_MS: '600'}}),
+        /gesture\.longPressMs \(600\) must be greater than gesture\.doubleTapMs \(700\)/);
+    assert.equal(TIMINGS.gesture.doubleTapMs, DEFAULT_TIMINGS.gesture.doubleTapMs);
+    assert.ok(!Object.isFrozen(TIMINGS));
+});
+
+test('overrides apply once, env wins, and actions read their defaults when they run', async () => {
+    // Normalized before the overrides apply, as main does at boot.
+    const config = normalizeConfig({
+        mappings: {
+            r0c0: {type: 'shell', command: 'sleep 5'},
+            r0c1: {type: 'macro', steps: [{type: 'shell', command: 'sleep 5'}]},
+        },
+    }, {defaults: {mappings: {}}});
+    const {0: shell, 1: macro} = config.pages[0].mappings;
+    assert.equal(shell.timeoutMs, undefined);
+    assert.equal(macro.steps[0].timeoutMs, null);
+
+    applyTimings({gesture: {doubleTapMs: 300}, sync: {intervalMsDefault: 200}, actions: {shellTimeoutMs: 150, macroStepTimeoutMs: 120000}}, {
+        env: {LP_TIMING_GESTURE_DOUBLE_TAP_MS: ' 400 ', LP_TIMING_ACTIONS_MACRO_STEP_TIMEOUT_MS: '60', LP_TIMING_ANIMATIONS_BOOT_USE_ALL_PADS: 'FALSE'},
+    });
+    assert.ok(Object.isFrozen(TIMINGS));
+    assert.equal(TIMINGS.gesture.doubleTapMs, 400);
+    assert.equal(TIMINGS.animations.boot.useAllPads, false);
+    assert.deepEqual(describeTimings().overridden, [
+        'gesture.doubleTapMs', 'actions.shellTimeoutMs', 'actions.macroStepTimeoutMs', 'sync.intervalMsDefault', 'animations.boot.useAllPads',
+    ]);
+    assert.throws(() => applyTimings(null, {env: {}}), /^Error: TIMINGS_LOCKED/);
+
+    const ctx = {padId: 0, label: 'test', lp: {setPad() {}}, color: () => [0, 0], app: {}};
+    await assert.rejects(getActionType('shell').run(shell, ctx), /timed out after 150 ms/);
+    // The step limit (60 ms) runs out before the shell's own (150 ms).
+    await assert.rejects(getActionType('macro').run(macro, ctx), /step 1 \(sleep 5\): timed out after 60 ms/);
+});